@@ -16,8 +16,18 @@ import logger from './logger.js';
 class IntegrityMismatchError extends Error { constructor(message) { super(message); this.name = 'IntegrityMismatchError'; } }
 class ManifestNotFoundError extends Error { constructor(message) { super(message); this.name = 'ManifestNotFoundError'; } }
 
-const config = await loadConfig();
-const AUDIT_LOG = path.join(config.backupDir, '.backup-audit.log');
+// Config dimuat saat pertama kali dibutuhkan, bukan saat modul di-import,
+// agar perintah yang tidak memakai backup (misalnya `format --stdin`) tidak ikut memuatnya
+let config = null;
+
+/**
+ * Memuat config proyek sekali (singleton dari config.js).
+ * @returns {Promise<object>}
+ */
+async function ensureConfig() {
+  config ??= await loadConfig();
+  return config;
+}
 
 /**
  * Utility: Tulis log audit yang komprehensif.
@@ -29,7 +39,7 @@ async function writeAudit(action, details = {}) {
     ...details,
   };
   await fsp.mkdir(config.backupDir, { recursive: true });
-  await fsp.appendFile(AUDIT_LOG, JSON.stringify(entry) + '\n');
+  await fsp.appendFile(path.join(config.backupDir, '.backup-audit.log'), JSON.stringify(entry) + '\n');
 }
 
 /**
@@ -78,8 +88,11 @@ async function generateManifest(archivePath, fileList) {
 
 /**
  * Membuat backup dengan efisiensi memori dan logging yang ditingkatkan.
+ * @param {string[]} fileList Daftar file (relatif terhadap rootDir).
+ * @param {{ metadata?: object }} [options] `metadata` disimpan di manifest (misalnya entri index git sebelum precommit).
  */
-export async function createBackup(fileList) {
+export async function createBackup(fileList, { metadata } = {}) {
+  await ensureConfig();
   const start = performance.now();
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const backupFile = path.join(config.backupDir, `backup-${timestamp}.tar.gz`);
@@ -94,6 +107,7 @@ export async function createBackup(fileList) {
     await tar.c({ gzip: gzipOptions, file: backupFile, cwd: config.rootDir }, fileList);
 
     const manifest = await generateManifest(backupFile, fileList);
+    if (metadata) manifest.metadata = metadata;
     await fsp.writeFile(manifestFile, JSON.stringify(manifest, null, 2));
 
     const duration = performance.now() - start;
@@ -111,6 +125,7 @@ export async function createBackup(fileList) {
  * Menampilkan daftar backup.
  */
 export async function listBackups() {
+  await ensureConfig();
   try {
     const files = (await fsp.readdir(config.backupDir)).filter(f => f.endsWith('.tar.gz'));
     const results = [];
@@ -134,6 +149,7 @@ export async function listBackups() {
  * Restore dengan validasi dan snapshot otomatis (tanpa prompt UI).
  */
 export async function restoreBackup(filename) {
+  await ensureConfig();
   const start = performance.now();
   const filePath = path.join(config.backupDir, filename);
   const manifestPath = `${filePath}.manifest.json`;
@@ -169,6 +185,7 @@ export async function restoreBackup(filename) {
  * Menjalankan verifikasi integritas proaktif pada semua backup.
  */
 export async function verifyBackups() {
+    await ensureConfig();
     const report = { healthy: [], corrupt: [], orphaned_archives: [], orphaned_manifests: [] };
     const files = await fsp.readdir(config.backupDir);
     const archives = new Set(files.filter(f => f.endsWith('.tar.gz')));
@@ -203,6 +220,7 @@ export async function verifyBackups() {
  * Membersihkan backup lama (tanpa prompt UI).
  */
 export async function cleanBackups(limit) {
+    await ensureConfig();
     const start = performance.now();
     try {
         const allBackups = await listBackups(); // listBackups sudah diurutkan
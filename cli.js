@@ -4,7 +4,7 @@
 // Saweria: https://saweria.co/arzzq
 
 // cli.js (INTERACTIVE & VISUAL SUPERIOR FULL EDITION)
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import ora from 'ora';
 import chalk from 'chalk';
 import fs from 'fs/promises';
@@ -12,11 +12,16 @@ import path from 'path';
 import { performance } from 'perf_hooks';
 import process from 'process';
 import prompts from 'prompts';
+import { createTwoFilesPatch } from 'diff';
 
-import { runQuantumFormatter, analyzeWhy } from './index.js';
+import { runQuantumFormatter, analyzeWhy, runPrecommit, formatText, explainFile } from './index.js';
 import * as BackupManager from './backup-manager.js';
+import { listRecoveries, findRecovery, readRecovery, restoreRecovery, cleanRecoveries } from './recovery.js';
+import { readTextFile } from './text-file.js';
+import { getHistoryDir, listSessions, undoSession } from './session-history.js';
 import { loadConfig } from './config.js';
 import logger from './logger.js';
+import { writesToStdout, isRunSuccessful } from './reporters/index.js';
 
 const program = new Command();
 const startTime = performance.now();
@@ -33,6 +38,22 @@ async function getPackageVersion() {
     }
 }
 
+/**
+ * Memberi warna pada unified diff: header tebal, hunk cyan, baris tambahan hijau, baris hapus merah.
+ * @param {string} diff
+ * @returns {string}
+ */
+function colorizeDiff(diff) {
+    return diff.split('\n').map((line) => {
+        if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        if (line.startsWith('\\')) return chalk.dim(line);
+        return line;
+    }).join('\n');
+}
+
 /**
  * Mengatur reporter CLI interaktif yang mendengarkan event dari QuantumRunner.
  * @param {import('events').EventEmitter} emitter - Emitter dari QuantumRunner.
@@ -61,8 +82,39 @@ function setupCliReporter(emitter) {
     });
 
     emitter.on('run:complete', (summary) => {
-        spinner.succeed(chalk.green('Formatting run completed!'));
-        console.log(chalk.blue(`✨ Formatted: ${summary.fulfilled}, Failed: ${summary.rejected}, Total: ${summary.total}`));
+        const failedCount = summary.failed.length;
+        if (summary.transaction && summary.transaction.status !== 'committed') {
+            spinner.fail(chalk.red(`Transaction ${summary.transaction.status}: ${summary.transaction.error.message}`));
+            console.log(chalk.blue(`✨ Would format: ${summary.unformatted.length}, Failed: ${failedCount}, Total: ${summary.total}`));
+        } else if (summary.mode === 'write') {
+            spinner.succeed(chalk.green('Formatting run completed!'));
+            console.log(chalk.blue(`✨ Formatted: ${summary.stats.formatted}, Failed: ${failedCount}, Total: ${summary.total}`));
+        } else {
+            const label = summary.mode === 'check' ? 'Check' : 'Dry run';
+            if (summary.unformatted.length > 0) {
+                spinner.warn(chalk.yellow(`${label} completed: ${summary.unformatted.length} file(s) would be reformatted.`));
+            } else {
+                spinner.succeed(chalk.green(`${label} completed: all files are formatted.`));
+            }
+            summary.results.filter(r => r.diff).forEach(r => console.log(colorizeDiff(r.diff)));
+            summary.unformatted.forEach(file => console.log(`  ${chalk.yellow('unformatted')} ${chalk.cyan(path.relative(process.cwd(), file))}`));
+            console.log(chalk.blue(`✨ Would format: ${summary.unformatted.length}, Failed: ${failedCount}, Total: ${summary.total}`));
+        }
+        summary.results
+            .filter(r => r.outcome === 'invalid')
+            .forEach(r => console.log(`  ${chalk.red('failed'.padEnd(11))} ${chalk.cyan(path.relative(process.cwd(), r.file))} ${chalk.dim(r.error?.message ?? '')}`));
+
+        const { error, warn, info } = summary.diagnosticCounts;
+        if (summary.diagnostics.length > 0) {
+            console.log(`🔍 Diagnostics: ${chalk.red(`${error} error(s)`)}, ${chalk.yellow(`${warn} warning(s)`)}, ${chalk.dim(`${info} info`)}`);
+            summary.diagnostics
+                .filter(d => d.severity !== 'info')
+                .forEach(d => {
+                    const color = d.severity === 'error' ? chalk.red : chalk.yellow;
+                    const location = `${path.relative(process.cwd(), d.file)}${d.line ? `:${d.line}:${d.column ?? 0}` : ''}`;
+                    console.log(`  ${color(d.severity.padEnd(5))} ${chalk.cyan(location)} ${d.message} ${chalk.dim(d.ruleId)}`);
+                });
+        }
     });
 
     emitter.on('run:error', ({ error }) => {
@@ -80,11 +132,143 @@ function setupCliReporter(emitter) {
     });
 }
 
+/**
+ * Parser opsi `--reporter` dan `--output-file` untuk satu command. Keduanya boleh diulang;
+ * setiap `--output-file` berlaku untuk `--reporter` yang mendahuluinya di command line.
+ * @returns {{ reporter: (name: string) => Array, outputFile: (file: string) => string }}
+ */
+function createReporterOptionParsers() {
+    const entries = [];
+    return {
+        reporter: (name) => {
+            entries.push([name, {}]);
+            return entries;
+        },
+        outputFile: (file) => {
+            const last = entries.at(-1);
+            if (!last) throw new InvalidArgumentError('--output-file must follow the --reporter it applies to.');
+            if (last[1].outputFile) throw new InvalidArgumentError(`reporter "${last[0]}" already has an output file.`);
+            last[1].outputFile = file;
+            return file;
+        },
+    };
+}
+
+/**
+ * Daftar reporter sebuah run: dari `--reporter`, ditambah reporter `json` ke stdout untuk `--json`.
+ * @param {Array|undefined} reporterEntries Hasil parser `--reporter`.
+ * @param {boolean} json
+ * @returns {Array}
+ */
+function resolveReporters(reporterEntries = [], json = false) {
+    const hasStdoutJson = reporterEntries.some(entry => entry[0] === 'json' && writesToStdout(entry));
+    return json && !hasStdoutJson ? [...reporterEntries, ['json', {}]] : reporterEntries;
+}
+
+/**
+ * Memasang output dan penentuan exit code untuk sebuah run. Reporter interaktif (spinner) hanya dipakai
+ * jika tidak ada reporter yang menulis ke stdout.
+ * @param {import('events').EventEmitter} emitter - Emitter dari QuantumRunner.
+ * @param {{ reporters: Array, json: boolean }} options
+ */
+function attachRunOutput(emitter, { reporters, json }) {
+    emitter.on('run:complete', (summary) => {
+        // Kondisi yang sama dengan field `success` pada reporter JSON
+        if (!isRunSuccessful(summary)) process.exitCode = 1;
+    });
+    // Laporan yang diminta tapi gagal ditulis tidak boleh lolos diam-diam di CI
+    emitter.on('reporter:error', () => {
+        process.exitCode = 1;
+    });
+    // Run yang gagal total (misalnya ref `--since` tidak dikenal) tidak pernah boleh lolos sebagai sukses
+    emitter.on('run:error', (error) => {
+        if (json) console.error(JSON.stringify({ success: false, error }, null, 2));
+        process.exitCode = 1;
+    });
+    if (!reporters.some(writesToStdout)) {
+        setupCliReporter(emitter);
+    }
+}
+
+/**
+ * Parser opsi berupa jumlah hari (boleh pecahan), dikembalikan dalam milidetik.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseDays(value) {
+    const days = Number(value);
+    if (!Number.isFinite(days) || days < 0) throw new InvalidArgumentError('must be a non-negative number of days.');
+    return days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Parser opsi `--workers [count]`: jumlah worker berupa bilangan bulat positif.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseWorkers(value) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) throw new InvalidArgumentError('must be a positive integer.');
+    return count;
+}
+
+/**
+ * Mencetak laporan `explainFile` untuk manusia; dipakai oleh `explain` dan `why`.
+ * @param {object} result Hasil `explainFile`.
+ */
+function printExplainReport(result) {
+    const relative = (p) => path.relative(process.cwd(), p) || '.';
+    const section = (title) => console.log(`\n${chalk.cyan.bold(title)}`);
+    const format = (value) => JSON.stringify(value);
+
+    console.log(`- File:    ${chalk.cyan(relative(result.file))}${result.exists ? '' : chalk.yellow(' (not found on disk)')}`);
+    console.log(`- Config:  ${result.configFile ? chalk.cyan(relative(result.configFile)) : chalk.dim('defaults (no config file found)')}`);
+    if (result.excluded) {
+        const rule = result.ignore ? ` by ${chalk.magenta(result.ignore.rule)} (${result.ignore.line ? `${result.ignore.source}:${result.ignore.line}` : result.ignore.source})` : '';
+        console.log(`- Status:  ${chalk.yellow(`Not formatted: ${result.excluded}`)}${rule}`);
+        if (result.ignore?.inherited) console.log(`- Via:     ${chalk.dim(`parent directory ${result.ignore.path}/`)}`);
+    } else {
+        console.log(`- Status:  ${chalk.green('Formatted by run')}`);
+    }
+
+    section('Overrides');
+    if (result.overrides.length === 0) console.log(chalk.dim('  none matched'));
+    result.overrides.forEach(({ index, files }) => console.log(`  overrides[${index}] ${chalk.dim(format(files))}`));
+
+    section('Prettier options');
+    for (const [key, { value, source, overridden }] of Object.entries(result.prettier.sources)) {
+        const shadowed = overridden.map(o => `${o.source}=${format(o.value)}`).join(', ');
+        console.log(`  ${key.padEnd(24)} ${format(value).padEnd(20)} ${chalk.magenta(source)}${shadowed ? chalk.dim(`  (wins over ${shadowed})`) : ''}`);
+    }
+
+    section('Plugins (in order)');
+    if (result.plugins.length === 0) console.log(chalk.dim('  none'));
+    result.plugins.forEach(plugin => {
+        const status = plugin.loaded ? '' : chalk.red(' (failed to load)');
+        const rules = plugin.ruleIds.length > 0 ? chalk.dim(` rules: ${plugin.ruleIds.join(', ')}`) : '';
+        console.log(`  ${plugin.order}. ${plugin.name}${status}${rules}`);
+    });
+    if (result.disabledPlugins.length > 0) console.log(chalk.dim(`  disabled by overrides: ${result.disabledPlugins.join(', ')}`));
+
+    section('Cache');
+    const cacheColor = { fresh: chalk.green, stale: chalk.yellow, missing: chalk.dim }[result.cache.status];
+    console.log(`  ${cacheColor(result.cache.status)}${result.cache.reasons.length > 0 ? chalk.dim(` (${result.cache.reasons.join(', ')})`) : ''}`);
+}
+
+/**
+ * Membaca seluruh stdin sebagai teks UTF-8.
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
 /**
  * Fungsi utama CLI.
  */
 async function main() {
-    const config = await loadConfig();
     const pkgVersion = await getPackageVersion();
 
     program
@@ -95,41 +279,57 @@ async function main() {
         .option('-q, --quiet', 'Suppress all non-error output.', false)
         .option('-y, --yes', 'Automatically answer yes to prompts.', false)
         .option('--json', 'Output results in JSON format.', false)
-        .option('--ci', 'CI mode: enables --quiet, --yes, --json, --no-backup.', false)
-        .hook('preAction', (thisCommand) => {
+        .option('--ci', 'CI mode: enables --quiet, --yes, --json; `run` behaves like `check` and never writes files.', false)
+        .hook('preAction', (thisCommand, actionCommand) => {
             const opts = thisCommand.opts();
             if (opts.ci) {
                 Object.assign(opts, { quiet: true, yes: true, json: true });
             }
             logger.setLevels(opts);
+            // stdout milik hasil format atau laporan reporter; semua log dialihkan ke stderr
+            const reporters = ['run', 'check'].includes(actionCommand.name()) ? resolveReporters(actionCommand.opts().reporter, opts.json) : [];
+            if (actionCommand.name() === 'format' || reporters.some(writesToStdout)) logger.setOutput('stderr');
         });
 
+    const runReporterParsers = createReporterOptionParsers();
     program
         .command('run [files...]')
-        .description('Scan, validate, and format target files. Optionally provide specific files.')
+        .description('Scan, validate, and format target files. Optionally limit the run to specific files, directories or globs.')
         .option('--no-backup', 'Skip creating a backup before running.')
         .option('--dry-run', 'Simulate formatting without modifying files.')
+        .option('--diff', 'Show a unified diff of the changes that would be made (implies --dry-run).')
+        .option('--transactional', 'Stage every output and write them all at once; any failed file aborts the run and leaves the tree untouched.')
         .option('--watch', 'Run in continuous watch mode.')
+        .option('--changed', 'Only process files changed in the git working tree (including untracked files).')
+        .option('--staged', 'Only process files staged in the git index.')
+        .option('--since <ref>', 'Only process files changed since a git commit or branch.')
+        .option('--workers [count]', 'Process files in a worker thread pool (default size: config concurrency).', parseWorkers)
+        .option('--no-ignore', 'Do not apply ignore rules (ignorePatterns, .gitignore).')
+        .option('--reporter <name>', 'Report results with a reporter: summary, json, sarif, junit, html, a file path or a package name (repeatable).', runReporterParsers.reporter)
+        .option('--output-file <path>', 'Write the preceding --reporter to a file instead of stdout.', runReporterParsers.outputFile)
         .action(async (files, options) => {
             const globalOptions = program.opts();
+            const reporters = resolveReporters(options.reporter, globalOptions.json);
             const runOptions = {
                 backup: options.backup && !globalOptions.ci,
+                // Di CI, run hanya memeriksa: tidak ada file yang ditulis
+                check: globalOptions.ci && !options.watch,
                 dryRun: options.dryRun,
+                diff: options.diff && !options.watch,
+                transactional: options.transactional,
                 watch: options.watch,
+                changed: options.changed,
+                staged: options.staged,
+                since: options.since,
+                workers: options.workers,
                 files: files.length > 0 ? files : null,
+                ignore: options.ignore,
+                reporters,
             };
 
             try {
                 const emitter = await runQuantumFormatter(runOptions);
-                if (globalOptions.json) {
-                    emitter.on('run:complete', (summary) => console.log(JSON.stringify(summary, null, 2)));
-                    emitter.on('run:error', (error) => {
-                        console.error(JSON.stringify({ success: false, error }, null, 2));
-                        process.exitCode = 1;
-                    });
-                } else {
-                    setupCliReporter(emitter);
-                }
+                attachRunOutput(emitter, { reporters, json: globalOptions.json });
                 if (runOptions.watch) {
                     const shutdownHandler = async () => {
                         console.log(chalk.yellow('\n⚠️ Termination signal received. Shutting down gracefully...'));
@@ -140,37 +340,154 @@ async function main() {
                     process.on('SIGTERM', shutdownHandler);
                 }
             } catch (error) {
-                logger.error('Fatal error executing the run command:', error);
+                logger.error(`Fatal error executing the run command: ${error.message}`, error);
+                process.exitCode = 1;
+            }
+        });
+
+    const checkReporterParsers = createReporterOptionParsers();
+    program
+        .command('check [files...]')
+        .description('Format files in memory and list those that would change. Exits non-zero if any file is unformatted.')
+        .option('--changed', 'Only check files changed in the git working tree (including untracked files).')
+        .option('--staged', 'Only check files staged in the git index.')
+        .option('--since <ref>', 'Only check files changed since a git commit or branch.')
+        .option('--workers [count]', 'Check files in a worker thread pool (default size: config concurrency).', parseWorkers)
+        .option('--diff', 'Show a unified diff for each file that would be reformatted.')
+        .option('--no-ignore', 'Do not apply ignore rules (ignorePatterns, .gitignore).')
+        .option('--reporter <name>', 'Report results with a reporter: summary, json, sarif, junit, html, a file path or a package name (repeatable).', checkReporterParsers.reporter)
+        .option('--output-file <path>', 'Write the preceding --reporter to a file instead of stdout.', checkReporterParsers.outputFile)
+        .action(async (files, options) => {
+            const reporters = resolveReporters(options.reporter, program.opts().json);
+            const runOptions = {
+                check: true,
+                backup: false,
+                diff: options.diff,
+                files: files.length > 0 ? files : null,
+                ignore: options.ignore,
+                changed: options.changed,
+                staged: options.staged,
+                since: options.since,
+                workers: options.workers,
+                reporters,
+            };
+            try {
+                const emitter = await runQuantumFormatter(runOptions);
+                attachRunOutput(emitter, { reporters, json: program.opts().json });
+            } catch (error) {
+                logger.error(`Fatal error executing the check command: ${error.message}`, error);
+                process.exitCode = 1;
+            }
+        });
+
+    program
+        .command('format')
+        .description('Format source read from stdin and write the result to stdout (for editors and pipes).')
+        .option('--stdin', 'Read the source from stdin.')
+        .option('--stdin-filepath <path>', 'Path the source belongs to; selects config overrides, plugins, parser and Prettier options.')
+        .action(async (options) => {
+            if (!options.stdin || !options.stdinFilepath) {
+                logger.error('The format command requires --stdin and --stdin-filepath <path>.');
+                process.exitCode = 1;
+                return;
+            }
+            try {
+                const source = await readStdin();
+                const result = await formatText(source, options.stdinFilepath);
+                if (result.error) {
+                    // Tidak ada output ke stdout agar editor tidak mengganti buffer dengan konten rusak
+                    logger.error(`Failed to format ${options.stdinFilepath}: ${result.error.message}`);
+                    process.exitCode = 1;
+                    return;
+                }
+                if (result.ignored) logger.verbose(`${options.stdinFilepath} is not formatted (${result.ignored}); echoing input.`);
+                result.diagnostics
+                    .filter(d => d.severity !== 'info')
+                    .forEach(d => {
+                        const location = `${options.stdinFilepath}${d.line ? `:${d.line}:${d.column ?? 0}` : ''}`;
+                        const message = `${location} ${d.message} (${d.ruleId})`;
+                        if (d.severity === 'error') logger.error(message);
+                        else logger.warn(message);
+                    });
+                if (result.diagnosticCounts.error > 0) process.exitCode = 1;
+                process.stdout.write(result.formatted);
+            } catch (err) {
+                logger.error('Error during stdin formatting:', err);
                 process.exitCode = 1;
             }
         });
 
     program
         .command('why <file_path>')
-        .description('Analyze and report why a specific file is being ignored.')
+        .description('Explain why a file is or is not formatted: ignore rule, config, overrides, Prettier options, plugins, and cache status.')
         .action(async (filePath) => {
-            const spinner = ora('Analyzing ignore rules...').start();
             try {
-                const result = await analyzeWhy(filePath);
-                spinner.stop();
+                const result = await explainFile(filePath);
                 if (program.opts().json) {
-                    console.log(JSON.stringify(result, null, 2));
-                } else {
-                    const status = result.isIgnored ? chalk.yellow('Ignored') : chalk.green('Not Ignored');
-                    console.log(`- File:    ${chalk.cyan(result.file)}`);
-                    console.log(`- Status:  ${status}`);
-                    if (result.isIgnored) {
-                        console.log(`- Rule:    ${chalk.magenta(result.reason.rule)}`);
-                        console.log(`- Source:  ${chalk.dim(result.reason.source)}`);
-                    }
+                    // `isIgnored` dan `reason` dipertahankan untuk skrip yang memakai output `why` versi lama
+                    const { isIgnored, reason } = await analyzeWhy(filePath);
+                    console.log(JSON.stringify({ isIgnored, reason, ...result }, null, 2));
+                    return;
                 }
+                printExplainReport(result);
             } catch (err) {
-                spinner.fail('Analysis failed.');
                 logger.error('Error during analysis:', err);
                 process.exitCode = 1;
             }
         });
 
+    program
+        .command('precommit')
+        .description('Format the staged version of files and re-stage the result (for git pre-commit hooks).')
+        .option('--no-backup', 'Skip creating a backup before updating the index.')
+        .action(async (options) => {
+            const globalOptions = program.opts();
+            const spinner = globalOptions.json || globalOptions.quiet ? null : ora('Formatting staged files...').start();
+            try {
+                const summary = await runPrecommit({ backup: options.backup && !globalOptions.ci });
+                const failed = summary.files.filter(f => f.status === 'error');
+                if (failed.length > 0 || summary.diagnosticCounts.error > 0) process.exitCode = 1;
+
+                if (globalOptions.json) {
+                    console.log(JSON.stringify(summary, null, 2));
+                    return;
+                }
+                const formatted = summary.files.filter(f => f.status.startsWith('formatted'));
+                spinner?.succeed(chalk.green(`Staged files checked: ${summary.files.length}, re-staged: ${formatted.length}, failed: ${failed.length}`));
+                for (const { file, status, partial, error } of summary.files) {
+                    if (status === 'unchanged') continue;
+                    const relative = path.relative(process.cwd(), file);
+                    if (status === 'error') console.log(`  ${chalk.red('error'.padEnd(9))} ${chalk.cyan(relative)} ${error ?? ''}`);
+                    else console.log(`  ${chalk.green('formatted')} ${chalk.cyan(relative)}${partial ? chalk.dim(' (partially staged)') : ''}${status === 'formatted-index-only' ? chalk.yellow(' (working tree untouched)') : ''}`);
+                }
+                for (const d of summary.diagnostics.filter(d => d.severity === 'error')) {
+                    const location = `${path.relative(process.cwd(), d.file)}${d.line ? `:${d.line}:${d.column ?? 0}` : ''}`;
+                    console.log(`  ${chalk.red('error'.padEnd(9))} ${chalk.cyan(location)} ${d.message} ${chalk.dim(d.ruleId)}`);
+                }
+            } catch (err) {
+                spinner?.fail('Precommit formatting failed.');
+                logger.error('Error during precommit:', err);
+                process.exitCode = 1;
+            }
+        });
+
+    program
+        .command('explain <file_path>')
+        .description('Show the effective pipeline for one file: config, overrides, Prettier options and their sources, plugins, and cache status.')
+        .action(async (filePath) => {
+            try {
+                const result = await explainFile(filePath);
+                if (program.opts().json) {
+                    console.log(JSON.stringify(result, null, 2));
+                    return;
+                }
+                printExplainReport(result);
+            } catch (err) {
+                logger.error('Error while explaining file:', err);
+                process.exitCode = 1;
+            }
+        });
+
     const backupCommand = program.command('backup').description('Manage project backups.');
 
     backupCommand.command('list').description('List all available backups.').action(async () => {
@@ -264,6 +581,7 @@ async function main() {
     backupCommand.command('info <filename>').description('Show detailed manifest info of a backup.').action(async (filename) => {
         const spinner = ora(`Fetching manifest for "${filename}"...`).start();
         try {
+            const config = await loadConfig();
             const manifestPath = path.join(config.backupDir, `${filename}.manifest.json`);
             const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
             spinner.stop();
@@ -287,13 +605,194 @@ async function main() {
         }
     });
 
+    const recoveryCommand = program.command('recovery').description('Manage recovery copies saved when a file failed to format.');
+
+    recoveryCommand.command('list').description('List recovery copies of this project, newest first.').option('-a, --all', 'Include recovery copies from every project.', false).action(async (options) => {
+        const spinner = ora('Reading recovery index...').start();
+        try {
+            const config = await loadConfig();
+            const entries = await listRecoveries({ rootDir: options.all ? undefined : config.rootDir });
+            if (program.opts().json) {
+                spinner.stop();
+                console.log(JSON.stringify(entries, null, 2));
+                return;
+            }
+            if (entries.length === 0) {
+                spinner.info('No recovery copies found.');
+                return;
+            }
+            spinner.succeed(`Recovery copies: ${entries.length}`);
+            for (const entry of entries) {
+                const missing = entry.missing ? chalk.red(' (copy missing)') : '';
+                console.log(`  - ${chalk.magenta(entry.id)} ${chalk.cyan(path.relative(process.cwd(), entry.file))}${missing} ${chalk.dim(`(${new Date(entry.createdAt).toLocaleString()})`)}`);
+                console.log(chalk.dim(`      session ${entry.sessionId ?? 'unknown'}${entry.error ? ` · ${entry.error.name}: ${entry.error.message}` : ''}`));
+            }
+        } catch (err) {
+            spinner.fail('Failed to list recovery copies.');
+            logger.error('Details:', err);
+            process.exitCode = 1;
+        }
+    });
+
+    recoveryCommand.command('show <id>').description('Show a recovery copy and its diff against the current file.').option('--raw', 'Print the saved content as-is instead of a diff.', false).action(async (id, options) => {
+        try {
+            const entry = await findRecovery(id);
+            const { buffer, content } = await readRecovery(entry);
+            if (options.raw) {
+                process.stdout.write(buffer);
+                return;
+            }
+            const current = await readTextFile(entry.file).then(({ content }) => content, () => null);
+            const relative = path.relative(process.cwd(), entry.file);
+            const diff = current === null ? null : createTwoFilesPatch(`a/${relative}`, `b/${relative}`, current, content, 'current', 'recovery');
+            if (program.opts().json) {
+                console.log(JSON.stringify({ ...entry, exists: current !== null, diff }, null, 2));
+                return;
+            }
+            console.log(chalk.cyan.bold(`Recovery ${entry.id}`));
+            console.log(`- File:        ${chalk.cyan(entry.file)}${current === null ? chalk.yellow(' (not found on disk)') : ''}`);
+            console.log(`- Created At:  ${new Date(entry.createdAt).toLocaleString()}`);
+            console.log(`- Session:     ${entry.sessionId ?? 'unknown'}`);
+            console.log(`- Error:       ${entry.error ? `${entry.error.name}: ${entry.error.message}` : 'unknown'}`);
+            console.log(`- Size:        ${entry.size} bytes`);
+            console.log(`- Hash:        ${chalk.dim(entry.hash)}`);
+            if (diff === null) return;
+            console.log(current === content ? chalk.dim('\nThe current file matches the recovery copy.') : `\n${colorizeDiff(diff)}`);
+        } catch (err) {
+            logger.error('Failed to show recovery copy:', err);
+            process.exitCode = 1;
+        }
+    });
+
+    recoveryCommand.command('restore <id>').description('Restore the original file from a recovery copy.').action(async (id) => {
+        let entry;
+        try {
+            entry = await findRecovery(id);
+        } catch (err) {
+            logger.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+        if (!program.opts().yes) {
+            const response = await prompts({ type: 'confirm', name: 'value', message: `Restore "${entry.file}" from recovery ${entry.id}? This will overwrite the current file.`, initial: false });
+            if (!response.value) {
+                logger.warn('Restore operation cancelled.');
+                return;
+            }
+        }
+        const spinner = ora(`Restoring ${path.relative(process.cwd(), entry.file)}...`).start();
+        try {
+            await restoreRecovery(entry.id);
+            spinner.succeed(chalk.green(`Restored ${entry.file} from recovery ${entry.id}.`));
+        } catch (err) {
+            spinner.fail(chalk.red('Restore failed.'));
+            logger.error('Details:', err);
+            process.exitCode = 1;
+        }
+    });
+
+    recoveryCommand.command('clean').description('Delete recovery copies of this project.')
+        .option('-a, --all', 'Delete recovery copies from every project.', false)
+        .option('--older-than <days>', 'Only delete copies older than this many days.', parseDays)
+        .action(async (options) => {
+            if (!program.opts().yes) {
+                const scope = options.all ? 'all projects' : 'this project';
+                const age = options.olderThan === undefined ? '' : ` older than ${options.olderThan / (24 * 60 * 60 * 1000)} day(s)`;
+                const response = await prompts({ type: 'confirm', name: 'value', message: `Delete recovery copies${age} from ${scope}?`, initial: false });
+                if (!response.value) {
+                    logger.warn('Cleanup cancelled.');
+                    return;
+                }
+            }
+            const spinner = ora('Cleaning recovery copies...').start();
+            try {
+                const config = await loadConfig();
+                const removed = await cleanRecoveries({ rootDir: options.all ? undefined : config.rootDir, olderThanMs: options.olderThan });
+                spinner.succeed(`Cleanup complete. Deleted ${removed.length} recovery cop${removed.length === 1 ? 'y' : 'ies'}.`);
+                if (program.opts().json) console.log(JSON.stringify(removed, null, 2));
+            } catch (err) {
+                spinner.fail('Recovery cleanup failed.');
+                logger.error('Details:', err);
+                process.exitCode = 1;
+            }
+        });
+
+    program
+        .command('undo [sessionId]')
+        .description('Revert exactly the files changed by a run (default: the latest run not yet undone).')
+        .option('-f, --force', 'Also restore files edited again since the run, discarding those edits.', false)
+        .option('-l, --list', 'List recorded sessions instead of undoing one.', false)
+        .action(async (sessionId, options) => {
+            let spinner;
+            try {
+                const config = await loadConfig();
+                const historyDir = getHistoryDir(config);
+                if (options.list) {
+                    const sessions = await listSessions(historyDir, { rootDir: config.rootDir });
+                    if (program.opts().json) {
+                        console.log(JSON.stringify(sessions, null, 2));
+                        return;
+                    }
+                    if (sessions.length === 0) logger.info('No sessions with recorded changes.');
+                    for (const session of sessions) {
+                        const status = session.undoneAt ? chalk.dim(' (undone)') : '';
+                        console.log(`  - ${chalk.magenta(session.sessionId)} ${session.files.length} file(s)${status} ${chalk.dim(`(${new Date(session.createdAt).toLocaleString()})`)}`);
+                    }
+                    return;
+                }
+
+                if (!program.opts().yes) {
+                    const target = sessionId ? `session "${sessionId}"` : 'the latest run';
+                    const response = await prompts({ type: 'confirm', name: 'value', message: `Revert the files changed by ${target}?`, initial: false });
+                    if (!response.value) {
+                        logger.warn('Undo cancelled.');
+                        return;
+                    }
+                }
+                spinner = ora('Reverting changed files...').start();
+                const result = await undoSession(historyDir, { sessionId, rootDir: config.rootDir, force: options.force });
+                const count = (status) => result.files.filter(f => f.status === status).length;
+                const modified = result.files.filter(f => f.status === 'modified');
+                if (modified.length > 0) {
+                    spinner.warn(chalk.yellow(`Session ${result.sessionId}: restored ${count('restored')} file(s); skipped ${modified.length} edited since the run.`));
+                    process.exitCode = 1;
+                } else {
+                    spinner.succeed(chalk.green(`Session ${result.sessionId}: restored ${count('restored')} file(s).`));
+                }
+                if (program.opts().json) {
+                    console.log(JSON.stringify(result, null, 2));
+                    return;
+                }
+                const color = { restored: chalk.green, unchanged: chalk.dim, modified: chalk.yellow };
+                for (const { file, status } of result.files) {
+                    console.log(`  ${color[status](status.padEnd(9))} ${chalk.cyan(path.relative(process.cwd(), file))}`);
+                }
+                if (modified.length > 0) logger.warn('Files edited since the run were left untouched. Use --force to restore them anyway.');
+            } catch (err) {
+                spinner?.fail('Undo failed.');
+                if (err.name === 'UndoError') logger.error(err.message);
+                else logger.error('Details:', err);
+                process.exitCode = 1;
+            }
+        });
+
     program.addHelpText('after', chalk.yellow(`
 Examples:
   $ npx vrzaq run
   $ npx vrzaq run src/components/Button.js
+  $ npx vrzaq run src "lib/**/*.js"
   $ npx vrzaq run --watch
+  $ npx vrzaq check
+  $ npx vrzaq check --reporter summary --reporter json --output-file report.json
+  $ npx vrzaq run --dry-run --diff
+  $ cat src/a.ts | npx vrzaq format --stdin --stdin-filepath src/a.ts
   $ npx vrzaq why ./node_modules/some-file.js
+  $ npx vrzaq explain src/components/Button.js
+  $ npx vrzaq precommit
   $ npx vrzaq backup list
+  $ npx vrzaq undo
+  $ npx vrzaq recovery list
+  $ npx vrzaq recovery restore <id>
 `));
 
     await program.parseAsync(process.argv);
@@ -7,6 +7,7 @@ import os from 'os';
 import crypto from 'crypto';
 import { cosmiconfig } from 'cosmiconfig';
 import Joi from 'joi';
+import ignore from 'ignore';
 import logger from './logger.js';
 
 const EXPLORER_NAME = 'vrzaq'; // Diganti dari 'razzaq' agar konsisten dengan nama proyek
@@ -28,6 +29,12 @@ function getConfigHash(configObject) {
     return crypto.createHash('sha256').update(stableConfigString).digest('hex');
 }
 
+/** Entri plugin: path, atau tuple `[path, options]`. */
+const pluginEntrySchema = Joi.alternatives().try(
+    Joi.string(),
+    Joi.array().ordered(Joi.string().required(), Joi.object()).min(1).max(2)
+);
+
 /**
  * Skema validasi Joi untuk semua opsi konfigurasi.
  * Ini memastikan semua konfigurasi valid sebelum aplikasi berjalan.
@@ -37,19 +44,49 @@ const configSchema = Joi.object({
     backupDir: Joi.string().default(path.join(process.cwd(), ".backups_vrzaq")),
     targetExtensions: Joi.array().items(Joi.string().pattern(/^\./)).default(['.js', '.json', '.mjs', '.cjs', '.ts', '.jsx', '.tsx']),
     ignorePatterns: Joi.array().items(Joi.string()).default(['node_modules/**', '.git/**', '.backups_vrzaq/**']),
+    // File ignore yang dibaca di setiap direktori (semantik .gitignore); yang lebih akhir menang.
+    ignoreFiles: Joi.array().items(Joi.string()).default(['.gitignore', '.prettierignore', '.vrzaqignore']),
     backupRetentionLimit: Joi.number().integer().min(0).default(5),
+    // Jumlah sesi terbaru yang perubahannya bisa dibatalkan dengan `vrzaq undo`; 0 mematikan pencatatan
+    undoHistoryLimit: Joi.number().integer().min(0).default(10),
     concurrency: Joi.number().integer().min(1).max(os.cpus().length * 2).default(Math.max(1, os.cpus().length - 1)),
     maxFileSize: Joi.number().integer().min(0).default(5 * 1024 * 1024), // Default 5 MB
     hashAlgorithm: Joi.string().default('sha256'),
     prettier: Joi.object().default({}),
 
-    plugins: Joi.array().items(
-        Joi.alternatives().try(
-            Joi.string(),
-            Joi.array().ordered(Joi.string().required(), Joi.object()).min(1).max(2)
-        )
-    ).default([]),
+    // Setiap file diparse sekali; AST-nya dibagikan ke semua plugin melalui konteks hook.
+    parser: Joi.object({
+        babelPlugins: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.array())).default(['typescript', 'jsx']),
+        cacheSize: Joi.number().integer().min(0).default(100),
+    }).default(),
+
+    plugins: Joi.array().items(pluginEntrySchema).default([]),
+
+    // Konfigurasi per-glob (relatif terhadap rootDir), digabung berurutan di atas konfigurasi global.
+    overrides: Joi.array().items(Joi.object({
+        files: Joi.array().items(Joi.string()).single().min(1).required(),
+        prettier: Joi.object(),
+        plugins: Joi.array().items(pluginEntrySchema),
+        disablePlugins: Joi.array().items(Joi.string()).single(),
+    })).default([]),
     
+    // Fix dari plugin diterapkan dalam beberapa pass; fix yang bertabrakan ditunda ke pass berikutnya.
+    fix: Joi.object({
+        maxPasses: Joi.number().integer().min(1).default(10),
+    }).default(),
+
+    // Verifikasi sebelum menulis: 'bytes' membaca ulang file dan membandingkan hash-nya; 'ast' juga memastikan
+    // AST (tanpa komentar dan whitespace) tidak berubah di luar yang dideklarasikan plugin dengan `changesCode`.
+    verify: Joi.string().valid('bytes', 'ast').default('bytes'),
+
+    // Proses file di worker_threads: false (main thread), true (ukuran pool = concurrency), atau jumlah worker.
+    workers: Joi.alternatives().try(Joi.boolean(), Joi.number().integer().min(1)).default(false),
+
+    // Komentar `vrzaq-disable*` yang tidak menyembunyikan apa pun dilaporkan sebagai diagnostik.
+    suppressions: Joi.object({
+        reportUnused: Joi.string().valid('error', 'warn', 'info', 'off').default('warn'),
+    }).default(),
+
     cacheVersion: Joi.string().default('1.1.0'), // Versi cache dinaikkan karena struktur berubah
     prettierOverrides: Joi.object().default({}),
     logLevel: Joi.string().valid('verbose', 'info', 'quiet').default('info'),
@@ -62,6 +99,7 @@ const configSchema = Joi.object({
     // Properti yang dihasilkan secara internal, tidak boleh diisi oleh pengguna
     configHash: Joi.string(),
     cacheFile: Joi.string(),
+    configFile: Joi.string().allow(null),
 });
 
 
@@ -121,6 +159,8 @@ export async function loadConfig() {
 
     // Tambahkan hash konfigurasi dan path cache setelah semua digabungkan
     finalConfig.configHash = getConfigHash(finalConfig);
+    // Path file config yang dimuat (null = defaults); tidak ikut di-hash
+    finalConfig.configFile = configPath === 'defaults' ? null : configPath;
     finalConfig.cacheFile = path.join(
         os.tmpdir(), 
         `vrzaq_cache_${crypto.createHash('sha1').update(finalConfig.rootDir).digest('hex').slice(0, 12)}.json`
@@ -131,4 +171,64 @@ export async function loadConfig() {
     // Simpan ke cache singleton dan kembalikan
     loadedConfig = finalConfig;
     return loadedConfig;
-}
\ No newline at end of file
+}
+
+// =======================
+// 🔹 Konfigurasi Per-File (Overrides)
+// =======================
+
+/**
+ * Menormalisasi entri plugin menjadi tuple `[path, options]`.
+ * @param {string|Array} entry Entri plugin dari config.
+ * @returns {[string, object]}
+ */
+export function normalizePluginEntry(entry) {
+    return Array.isArray(entry) ? [entry[0], entry[1] || {}] : [entry, {}];
+}
+
+/**
+ * Nama plugin yang dipakai di seluruh sistem: nama file tanpa ekstensi.
+ * @param {string} pluginPath Path plugin dari config.
+ * @returns {string}
+ */
+export function getPluginName(pluginPath) {
+    return path.basename(pluginPath, path.extname(pluginPath));
+}
+
+/**
+ * Menggabungkan konfigurasi global dengan semua blok `overrides` yang cocok untuk satu file.
+ * Blok diterapkan sesuai urutan di config: `prettier` digabung (blok belakangan menang),
+ * `disablePlugins` membuang plugin (berdasarkan nama atau path) dari daftar saat itu,
+ * lalu `plugins` milik blok ditambahkan di akhir daftar.
+ * @param {object} config Konfigurasi final dari `loadConfig()`.
+ * @param {string} filePath Path file (absolut atau relatif terhadap rootDir).
+ * `prettierLayers` mencatat asal opsi Prettier (`prettier` lalu `overrides[i].prettier`) untuk `vrzaq explain`.
+ * @returns {{ prettier: object, prettierLayers: { source: string, options: object }[], plugins: Array<[string, object]>, overrides: number[], hash: string }}
+ */
+export function resolveFileConfig(config, filePath) {
+    const relativePath = path.relative(config.rootDir, path.resolve(config.rootDir, filePath)).split(path.sep).join('/');
+    let prettierOptions = { ...config.prettier };
+    const prettierLayers = [{ source: 'prettier', options: config.prettier || {} }];
+    let plugins = (config.plugins || []).map(normalizePluginEntry);
+    const matched = [];
+
+    (config.overrides || []).forEach((override, index) => {
+        if (relativePath.startsWith('..') || !ignore().add(override.files).ignores(relativePath)) return;
+        matched.push(index);
+
+        prettierOptions = { ...prettierOptions, ...override.prettier };
+        if (override.prettier) prettierLayers.push({ source: `overrides[${index}].prettier`, options: override.prettier });
+        const disabled = new Set(override.disablePlugins || []);
+        plugins = plugins.filter(([pluginPath]) => !disabled.has(pluginPath) && !disabled.has(getPluginName(pluginPath)));
+        plugins.push(...(override.plugins || []).map(normalizePluginEntry));
+    });
+
+    return {
+        prettier: prettierOptions,
+        prettierLayers,
+        plugins,
+        overrides: matched,
+        // Hash konfigurasi efektif file ini, dipakai sebagai bagian dari kunci cache per file
+        hash: getConfigHash({ prettier: prettierOptions, plugins }),
+    };
+}
@@ -5,15 +5,23 @@
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
-import os from 'os';
 import Joi from 'joi';
 import prettier from 'prettier';
-import * as acorn from 'acorn';
 import pLimit from 'p-limit';
 import ignore from 'ignore';
 import { pathToFileURL } from 'url';
 import { performance } from 'perf_hooks';
+import { createTwoFilesPatch } from 'diff';
 import logger from './logger.js';
+import { normalizePluginEntry, getPluginName, resolveFileConfig } from './config.js';
+import { PARSEABLE_EXTENSIONS, configureParser, getAst, invalidateAst, getParserStats, findAstDifference } from './parser.js';
+import { createFixFromRewrite, validateFix, applyFixes } from './fixer.js';
+import { createSuppressionScope } from './suppressions.js';
+import { WorkerPool, FORWARDED_EVENT } from './worker-pool.js';
+import { IgnoreEngine } from './ignore-engine.js';
+import { readTextFile, decodeText, writeTextFileAtomic, stageTextFile, encodeText, detectLineEnding } from './text-file.js';
+import { saveRecovery } from './recovery.js';
+import { getHistoryDir, recordChange } from './session-history.js';
 
 // =======================
 // 🔹 State Modul Terenkapsulasi
@@ -23,6 +31,12 @@ const state = {
     config: null,
     emitter: null,
     ignorer: null,
+    transforms: [],
+    loadedPluginKeys: new Set(),
+    diagnostics: new Map(),
+    suppressions: new Map(),
+    fileConfigs: new Map(),
+    pool: null,
     cacheLock: false,
     telemetryStats: {
         startTime: Date.now(),
@@ -33,6 +47,21 @@ const state = {
     },
 };
 
+/**
+ * Dilempar oleh `verify: 'ast'` saat makna kode berubah di luar yang dideklarasikan plugin.
+ * `candidate` adalah hasil yang ditolak, agar bisa ditampilkan sebagai diff.
+ */
+class AstMismatchError extends Error {
+    constructor(message, { stage, difference, candidate }) {
+        super(message);
+        this.name = 'AstMismatchError';
+        this.code = 'EVERIFYAST';
+        this.stage = stage;
+        this.difference = difference;
+        this.candidate = candidate;
+    }
+}
+
 // =======================
 // 🔹 Utility Functions
 // =======================
@@ -55,18 +84,24 @@ async function safeHash(content, algos = ['sha256', 'md5']) {
 }
 
 /**
- * Menyimpan file recovery ke direktori terpusat untuk mencegah polusi direktori kerja.
+ * Menyimpan file recovery ke direktori terpusat (lihat recovery.js) untuk mencegah polusi direktori kerja.
+ * Salinan dicatat di index bersama path asli, sesi, dan error-nya, sehingga bisa dikelola lewat `vrzaq recovery`.
  * @param {string} file Path file asli.
  * @param {string} content Konten untuk disimpan.
+ * @param {{ format?: import('./text-file.js').TextFormat, sessionId?: string, error?: Error }} [details]
+ * `format`: encoding dan BOM file asli, agar byte-nya tersimpan utuh.
  */
-async function saveRecoveryFile(file, content) {
+async function saveRecoveryFile(file, content, { format, sessionId, error } = {}) {
     try {
-        const recoveryDir = path.join(os.tmpdir(), 'razzaq_recovery');
-        await fs.mkdir(recoveryDir, { recursive: true });
-        const recoveryPath = path.join(recoveryDir, `${path.basename(file)}.recovery-${Date.now()}`);
-        await fs.writeFile(recoveryPath, content, 'utf8');
-        logger.warn(`Recovery file created: ${recoveryPath}`);
-        state.emitter?.emit('file:recovery:saved', { file, recoveryPath });
+        const entry = await saveRecovery({
+            file,
+            content: encodeText(content, format),
+            rootDir: state.config.rootDir,
+            sessionId,
+            error: error ? serializeError(error) : null,
+        });
+        logger.warn(`Recovery file created: ${entry.recoveryPath} (id ${entry.id})`);
+        state.emitter?.emit('file:recovery:saved', { file, recoveryPath: entry.recoveryPath, id: entry.id });
     } catch (err) {
         logger.error(`Failed to create recovery file for ${file}:`, err);
     }
@@ -104,7 +139,7 @@ async function loadCache() {
  */
 async function saveCache() {
     if (state.cacheLock) {
-        logger.debug('Cache save skipped, lock is active.');
+        logger.verbose('Cache save skipped, lock is active.');
         return;
     }
     state.cacheLock = true;
@@ -122,81 +157,289 @@ async function saveCache() {
     }
 }
 
+// =======================
+// 🔹 Diagnostics
+// =======================
+export const SEVERITIES = ['error', 'warn', 'info'];
+
+const diagnosticSchema = Joi.object({
+    ruleId: Joi.string().required(),
+    severity: Joi.string().valid(...SEVERITIES).default('warn'),
+    file: Joi.string().required(),
+    line: Joi.number().integer().min(1),
+    column: Joi.number().integer().min(0),
+    message: Joi.string().required(),
+    fix: Joi.object({
+        range: Joi.array().ordered(Joi.number().integer().min(0), Joi.number().integer().min(0)).length(2).required(),
+        text: Joi.string().allow('').required(),
+    }),
+    data: Joi.object(),
+});
+
+/**
+ * Menambahkan diagnostik ternormalisasi ke aliran diagnostik milik file terkait.
+ * @param {object} diagnostic Diagnostik yang sudah divalidasi.
+ * @returns {object} Diagnostik yang sama.
+ */
+function recordDiagnostic(diagnostic) {
+    if (!state.diagnostics.has(diagnostic.file)) {
+        state.diagnostics.set(diagnostic.file, []);
+    }
+    state.diagnostics.get(diagnostic.file).push(diagnostic);
+    state.emitter?.emit('diagnostic:reported', diagnostic);
+    return diagnostic;
+}
+
+/**
+ * Mencatat satu diagnostik dari plugin ke aliran diagnostik milik file terkait.
+ * Diagnostik pada baris yang disuppress lewat komentar `vrzaq-disable*` dibuang.
+ * @param {string} pluginName Nama plugin pelapor.
+ * @param {object} descriptor `{ ruleId, severity, file, line, column, message, fix?, data? }`
+ * @returns {object|null} Diagnostik yang sudah dinormalisasi, atau null jika disuppress.
+ */
+function reportDiagnostic(pluginName, descriptor) {
+    const { error, value } = diagnosticSchema.validate(descriptor, { abortEarly: false });
+    if (error) {
+        throw new TypeError(`Invalid diagnostic reported by plugin "${pluginName}": ${error.message}`);
+    }
+
+    const diagnostic = { ...value, file: path.resolve(state.config.rootDir, value.file), plugin: pluginName };
+    const scope = state.suppressions.get(diagnostic.file);
+    if (scope?.isSuppressed([diagnostic.ruleId, pluginName], diagnostic.line)) {
+        state.emitter?.emit('diagnostic:suppressed', diagnostic);
+        return null;
+    }
+    return recordDiagnostic(diagnostic);
+}
+
+/**
+ * Menghitung jumlah diagnostik per severity.
+ * @param {object[]} diagnostics Daftar diagnostik.
+ * @returns {{ error: number, warn: number, info: number }}
+ */
+export function countDiagnostics(diagnostics = []) {
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    for (const { severity } of diagnostics) counts[severity]++;
+    return counts;
+}
+
 // =======================
 // 🔹 Initialization
 // =======================
-export async function initialize(cfg, eventEmitter) {
+/**
+ * Menginisialisasi core: ignore rules, parser, plugin, cache, dan (opsional) worker pool.
+ * @param {object} cfg Konfigurasi dari `loadConfig()`.
+ * @param {import('events').EventEmitter} eventEmitter Emitter sesi.
+ * @param {{ role?: 'main'|'worker'|'embedded', workers?: boolean|number }} [options] `role: 'worker'` dipakai oleh worker.js,
+ * `role: 'embedded'` untuk format di memori (misalnya stdin); keduanya tanpa cache dan tanpa pool.
+ * `workers` menimpa `config.workers`.
+ */
+export async function initialize(cfg, eventEmitter, { role = 'main', workers } = {}) {
+    await shutdown();
     state.config = cfg;
     state.emitter = eventEmitter;
-    state.ignorer = ignore().add(state.config.ignorePatterns || []);
+    state.ignorer = createIgnoreEngine(state.config);
+    state.transforms = [];
+    state.loadedPluginKeys = new Set();
+    state.diagnostics = new Map();
+    state.suppressions = new Map();
+    state.fileConfigs = new Map();
+    configureParser(state.config.parser);
 
-    // Load .gitignore
-    try {
-        const gitignorePath = path.join(state.config.rootDir, '.gitignore');
-        const gitignoreContent = await fs.readFile(gitignorePath, 'utf8');
-        state.ignorer.add(gitignoreContent);
-        state.emitter.emit('core:gitignore:loaded', { path: gitignorePath });
-    } catch {
-        logger.verbose('No .gitignore found, skipping.');
-    }
+    // Load plugins: plugin global dan plugin dari `overrides` dimuat sekali, lalu diaktifkan per file
+    const pluginEntries = [
+        ...(state.config.plugins || []),
+        ...(state.config.overrides || []).flatMap(override => override.plugins || []),
+    ].map(normalizePluginEntry);
+    const loadedKeys = new Set();
 
-    // Load plugins
-    for (const pluginEntry of state.config.plugins || []) {
-        let pluginPath, pluginOptions = {};
-        try {
-            if (Array.isArray(pluginEntry)) {
-                [pluginPath, pluginOptions] = pluginEntry;
-            } else {
-                pluginPath = pluginEntry;
-            }
+    for (const [pluginPath, pluginOptions] of pluginEntries) {
+        const pluginKey = getPluginKey(pluginPath, pluginOptions);
+        if (loadedKeys.has(pluginKey)) continue;
+        loadedKeys.add(pluginKey);
 
+        try {
             const absolutePath = path.resolve(state.config.rootDir, pluginPath);
             const pluginModule = await import(pathToFileURL(absolutePath));
-            
+            const pluginName = getPluginName(pluginPath);
+
+            // `ruleId` dipakai untuk mencocokkan fix dengan komentar suppression (default: nama plugin tanpa `-plugin`).
+            // `changesCode` mendeklarasikan bahwa transformasi boleh mengubah makna kode (bukan hanya komentar/whitespace),
+            // sehingga perubahannya diterima oleh `verify: 'ast'`.
+            const registerTransform = (transform, { ruleId, changesCode = false } = {}) => {
+                if (typeof transform !== 'function') {
+                    throw new TypeError(`registerTransform expects a function (plugin: ${pluginName})`);
+                }
+                state.transforms.push({ name: pluginName, key: pluginKey, ruleId: ruleId || pluginName.replace(/-plugin$/, ''), changesCode: !!changesCode, transform });
+            };
+
+            const report = (descriptor) => reportDiagnostic(pluginName, descriptor);
+
             // Panggil plugin dengan API yang diperkaya
-            pluginModule.default?.({ emitter: state.emitter, logger, config: cfg, options: pluginOptions });
+            await pluginModule.default?.({ emitter: createPluginEmitter(pluginKey), logger, config: cfg, options: pluginOptions, registerTransform, report });
 
+            state.loadedPluginKeys.add(pluginKey);
             state.emitter.emit('core:plugin:loaded', { path: pluginPath });
         } catch (err) {
             logger.error(`Plugin load failed for ${pluginPath}`, err);
         }
     }
 
+    if (role !== 'main') return; // Cache dikelola oleh main thread; mode embedded tidak menyentuh disk
+
     await loadCache();
+
+    const poolSize = resolvePoolSize(workers ?? state.config.workers);
+    if (poolSize > 0) {
+        const pool = new WorkerPool({ size: poolSize, emitter: state.emitter });
+        try {
+            await pool.start();
+            state.pool = pool;
+            logger.verbose(`Worker pool started with ${poolSize} worker(s).`);
+        } catch (err) {
+            await pool.terminate();
+            logger.warn(`Worker pool failed to start, processing on the main thread instead: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Menentukan jumlah worker dari opsi `workers`: `true` mengikuti `concurrency`, angka dipakai apa adanya.
+ * @param {boolean|number|undefined} workers
+ * @returns {number} 0 jika worker pool tidak dipakai.
+ */
+function resolvePoolSize(workers) {
+    if (workers === true) return state.config.concurrency;
+    return Number.isInteger(workers) && workers > 0 ? workers : 0;
+}
+
+/**
+ * Menghentikan worker pool (jika ada). Aman dipanggil berulang kali.
+ */
+export async function shutdown() {
+    const pool = state.pool;
+    state.pool = null;
+    await pool?.terminate();
 }
 
 // =======================
-// 🔹 Ignore Analyzer
+// 🔹 Per-File Plugin Scope
 // =======================
-export async function analyzeIgnore(cfg, filePath) {
-    const relativePath = path.relative(cfg.rootDir, filePath);
+/**
+ * Kunci unik sebuah instance plugin: path absolut + opsi.
+ * @param {string} pluginPath Path plugin dari config.
+ * @param {object} pluginOptions Opsi plugin.
+ * @returns {string}
+ */
+function getPluginKey(pluginPath, pluginOptions) {
+    return `${path.resolve(state.config.rootDir, pluginPath)}|${JSON.stringify(pluginOptions)}`;
+}
 
-    for (const rule of cfg.ignorePatterns || []) {
-        if (ignore().add(rule).ignores(relativePath)) {
-            return { rule, source: 'razzaq.config.js' };
-        }
+/**
+ * Konfigurasi efektif sebuah file (global + `overrides` yang cocok), di-memo per run.
+ * @param {string} file Path file.
+ * @returns {object} Hasil `resolveFileConfig` ditambah `pluginKeys` berurutan.
+ */
+export function getFileConfig(file) {
+    if (!state.fileConfigs.has(file)) {
+        const fileConfig = resolveFileConfig(state.config, file);
+        fileConfig.pluginKeys = fileConfig.plugins.map(([pluginPath, pluginOptions]) => getPluginKey(pluginPath, pluginOptions));
+        state.fileConfigs.set(file, fileConfig);
     }
+    return state.fileConfigs.get(file);
+}
 
-    try {
-        const gitignorePath = path.join(cfg.rootDir, '.gitignore');
-        const gitignoreContent = await fs.readFile(gitignorePath, 'utf8');
-        const gitignoreRules = gitignoreContent
-            .split(/\r?\n/)
-            .filter(line => line.trim() && !line.trim().startsWith('#'));
-
-        for (const rule of gitignoreRules) {
-            if (ignore().add(rule).ignores(relativePath)) {
-                return { rule, source: '.gitignore' };
-            }
+/**
+ * Membungkus emitter untuk satu plugin: listener hanya dipanggil untuk event file
+ * (payload dengan properti `file`) jika plugin aktif untuk file tersebut.
+ * Event tanpa file (misalnya `run:complete`) selalu diteruskan, sedangkan event yang diteruskan
+ * dari worker tidak dipanggil ulang di main thread.
+ * @param {string} pluginKey Kunci instance plugin.
+ * @returns {import('events').EventEmitter}
+ */
+function createPluginEmitter(pluginKey) {
+    const wrappers = new WeakMap();
+    const wrap = (listener) => {
+        if (!wrappers.has(listener)) {
+            wrappers.set(listener, function (payload, ...rest) {
+                // Event dari worker sudah ditangani instance plugin di worker tersebut
+                if (payload?.[FORWARDED_EVENT]) return;
+                if (typeof payload?.file === 'string' && !getFileConfig(payload.file).pluginKeys.includes(pluginKey)) return;
+                return listener.call(this, payload, ...rest);
+            });
         }
-    } catch {}
-    return null;
+        return wrappers.get(listener);
+    };
+
+    const subscribeMethods = ['on', 'addListener', 'once', 'prependListener', 'prependOnceListener'];
+    const unsubscribeMethods = ['off', 'removeListener'];
+    const proxy = new Proxy(state.emitter, {
+        get(target, prop) {
+            if (subscribeMethods.includes(prop)) {
+                return (event, listener) => { target[prop](event, wrap(listener)); return proxy; };
+            }
+            if (unsubscribeMethods.includes(prop)) {
+                return (event, listener) => { target[prop](event, wrappers.get(listener) || listener); return proxy; };
+            }
+            const value = Reflect.get(target, prop, target);
+            return typeof value === 'function' ? value.bind(target) : value;
+        },
+    });
+    return proxy;
+}
+
+// =======================
+// 🔹 Ignore Analyzer
+// =======================
+/**
+ * Membuat ignore engine untuk sebuah config. Engine yang sama dipakai pemindai, watcher, dan `why`.
+ * @param {object} cfg
+ * @returns {IgnoreEngine}
+ */
+function createIgnoreEngine(cfg) {
+    return new IgnoreEngine({
+        rootDir: cfg.rootDir,
+        patterns: cfg.ignorePatterns || [],
+        ignoreFiles: cfg.ignoreFiles,
+        onLoad: (file) => state.emitter?.emit('core:ignorefile:loaded', { path: file }),
+    });
+}
+
+/**
+ * Apakah path diabaikan oleh ignore rules sesi aktif (dipakai oleh watcher).
+ * @param {string} filePath Path absolut atau relatif terhadap rootDir.
+ * @param {{ directory?: boolean }} [options]
+ * @returns {boolean}
+ */
+export function isPathIgnored(filePath, options) {
+    return state.ignorer.isIgnored(filePath, options);
+}
+
+/**
+ * Membuang cache file ignore untuk sebuah direktori, misalnya saat `.gitignore` di dalamnya berubah.
+ * @param {string} [dir]
+ */
+export function invalidateIgnore(dir) {
+    state.ignorer.invalidate(dir);
+}
+
+/**
+ * Menjelaskan mengapa sebuah path diabaikan: aturan, file sumber, dan nomor barisnya.
+ * @param {object} cfg Konfigurasi dari `loadConfig()`.
+ * @param {string} filePath
+ * @returns {Promise<{ rule: string|null, source: string, line: number|null, path: string, inherited: boolean } | null>}
+ */
+export async function analyzeIgnore(cfg, filePath) {
+    // Pakai engine sesi aktif jika config-nya sama, agar cache file ignore ikut terpakai
+    const engine = state.config === cfg && state.ignorer ? state.ignorer : createIgnoreEngine(cfg);
+    const stat = await fs.stat(filePath).catch(() => null);
+    return engine.explain(path.resolve(filePath), { directory: !!stat?.isDirectory() });
 }
 
 // =======================
 // 🔹 Validation
 // =======================
-async function validateFile(filePath, stat) {
+async function validateFile(filePath, stat, content) {
     try {
         if (stat.size === 0) {
             state.emitter.emit('file:validate:skip', { file: filePath, reason: 'Empty file' });
@@ -207,7 +450,6 @@ async function validateFile(filePath, stat) {
             return { isValid: false, reason: `File too large (${stat.size} bytes vs limit ${state.config.maxFileSize})` };
         }
         
-        const content = await fs.readFile(filePath, 'utf8');
         const contentHash = await safeHash(content);
         const ext = path.extname(filePath).slice(1);
 
@@ -218,10 +460,10 @@ async function validateFile(filePath, stat) {
             } catch (e) {
                 return { isValid: false, reason: `Invalid JSON syntax: ${e.message}` };
             }
-        } else if (['js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx'].includes(ext)) {
+        } else if (PARSEABLE_EXTENSIONS.includes(ext)) {
             try {
-                // Gunakan sourceType 'unambiguous' untuk fleksibilitas
-                acorn.parse(content, { ecmaVersion: 'latest', sourceType: 'unambiguous', locations: false });
+                // AST hasil validasi disimpan di cache dan dipakai ulang oleh plugin
+                getAst(content);
             } catch (e) {
                 return { isValid: false, reason: `Invalid JS/TS syntax: ${e.message}` };
             }
@@ -237,25 +479,29 @@ async function validateFile(filePath, stat) {
 // =======================
 // 🔹 File Scanning (Skalabilitas Tinggi dengan Generator)
 // =======================
+/** Argumen CLI yang mengandung karakter ini (dan tidak ada di disk) diperlakukan sebagai pola glob. */
+const GLOB_CHARS = /[*?[\]]/;
+
 /**
  * Memindai file secara rekursif sebagai async generator untuk efisiensi memori.
- * @param {string} dir Direktori awal.
+ * @param {string} dir Direktori awal (di dalam rootDir).
+ * @param {{ respectIgnore?: boolean }} [options] `respectIgnore: false` melewati ignore rules (`--no-ignore`).
  * @yields {string} Path lengkap ke file yang ditemukan.
  */
-export async function* scanFilesGenerator(dir) {
+export async function* scanFilesGenerator(dir, { respectIgnore = true } = {}) {
     try {
         const entries = await fs.readdir(dir, { withFileTypes: true });
         for (const entry of entries) {
             const fullPath = path.join(dir, entry.name);
             const relativePath = path.relative(state.config.rootDir, fullPath);
 
-            if (state.ignorer.ignores(relativePath)) {
+            if (respectIgnore && state.ignorer.isIgnored(relativePath, { directory: entry.isDirectory() })) {
                 state.emitter?.emit('file:ignored', { file: fullPath, reason: 'Matches ignore pattern' });
                 continue;
             }
 
             if (entry.isDirectory()) {
-                yield* scanFilesGenerator(fullPath);
+                yield* scanFilesGenerator(fullPath, { respectIgnore });
             } else if (state.config.targetExtensions.includes(path.extname(entry.name))) {
                 yield fullPath;
             }
@@ -266,104 +512,677 @@ export async function* scanFilesGenerator(dir) {
     }
 }
 
+/**
+ * Menentukan apakah sebuah path termasuk target formatting: berada di dalam rootDir, tidak cocok
+ * dengan ignore rules, dan ekstensinya termasuk `targetExtensions`. Keberadaan file tidak diperiksa,
+ * sehingga bisa dipakai untuk konten yang tidak berasal dari disk (mode stdin).
+ * @param {string} file Path file (absolut atau relatif terhadap rootDir).
+ * @param {{ respectIgnore?: boolean }} [options] `respectIgnore: false` melewati ignore rules.
+ * @returns {string|null} Alasan file tidak ditargetkan, atau `null` jika ditargetkan.
+ */
+export function getExclusionReason(file, { respectIgnore = true } = {}) {
+    const relativePath = path.relative(state.config.rootDir, path.resolve(state.config.rootDir, file));
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) return 'Outside rootDir';
+    if (respectIgnore && state.ignorer.isIgnored(relativePath)) return 'Matches ignore pattern';
+    if (!state.config.targetExtensions.includes(path.extname(relativePath))) return 'Extension not targeted';
+    return null;
+}
+
+/**
+ * Menyaring daftar file pilihan (misalnya dari git) dengan aturan yang sama seperti pemindaian:
+ * harus berada di dalam rootDir, tidak cocok dengan ignore rules, ekstensinya termasuk
+ * `targetExtensions`, dan masih ada di disk.
+ * @param {Iterable<string>|AsyncIterable<string>} files Path file (absolut atau relatif terhadap rootDir).
+ * @param {{ respectIgnore?: boolean }} [options] `respectIgnore: false` melewati ignore rules.
+ * @yields {string} Path lengkap file yang lolos.
+ */
+export async function* filterFilesGenerator(files, { respectIgnore = true } = {}) {
+    for await (const file of files) {
+        const fullPath = path.resolve(state.config.rootDir, file);
+        const reason = getExclusionReason(fullPath, { respectIgnore });
+        if (reason) {
+            state.emitter?.emit('file:ignored', { file: fullPath, reason });
+            continue;
+        }
+
+        const stat = await fs.stat(fullPath).catch(() => null);
+        if (stat?.isFile()) yield fullPath;
+    }
+}
+
+/**
+ * Mengubah target dari baris perintah (file, direktori, atau pola glob) menjadi daftar file.
+ * - File: dipakai langsung; jika diabaikan atau bukan target, sebuah peringatan ditampilkan.
+ * - Direktori: dipindai rekursif dengan aturan yang sama seperti pemindaian rootDir.
+ * - Glob: dicocokkan (sintaks .gitignore, relatif terhadap `cwd`) dengan hasil pemindaian rootDir.
+ * Hasilnya tetap perlu disaring dengan `filterFilesGenerator`.
+ * @param {string[]} targets Argumen dari baris perintah.
+ * @param {{ cwd?: string, respectIgnore?: boolean }} [options]
+ * @yields {string} Path lengkap file.
+ */
+export async function* resolveTargetsGenerator(targets, { cwd = process.cwd(), respectIgnore = true } = {}) {
+    const { rootDir } = state.config;
+    for (const target of targets) {
+        const fullPath = path.resolve(cwd, target);
+        const relativePath = path.relative(rootDir, fullPath);
+        const stat = await fs.stat(fullPath).catch(() => null);
+
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            logger.warn(`Skipping ${target}: outside rootDir (${rootDir}).`);
+            state.emitter?.emit('scan:target:skipped', { target, reason: 'Outside rootDir' });
+        } else if (stat?.isDirectory()) {
+            yield* scanFilesGenerator(fullPath, { respectIgnore });
+        } else if (stat?.isFile()) {
+            const reason = getExclusionReason(fullPath, { respectIgnore });
+            if (!reason) {
+                yield fullPath;
+                continue;
+            }
+            const hint = reason === 'Matches ignore pattern' ? ' Use --no-ignore to include it.' : '';
+            logger.warn(`Skipping ${target}: ${reason.toLowerCase()}.${hint}`);
+            state.emitter?.emit('scan:target:skipped', { target, reason });
+        } else if (GLOB_CHARS.test(target)) {
+            // Pola diawali '/' agar terjangkar di rootDir, seperti glob shell pada umumnya
+            const matcher = ignore().add(`/${relativePath.split(path.sep).join('/')}`);
+            let matched = 0;
+            for await (const file of scanFilesGenerator(rootDir, { respectIgnore })) {
+                if (!matcher.ignores(path.relative(rootDir, file))) continue;
+                matched++;
+                yield file;
+            }
+            if (matched === 0) logger.warn(`No files match ${target}.`);
+        } else {
+            logger.warn(`Skipping ${target}: no such file or directory.`);
+            state.emitter?.emit('scan:target:skipped', { target, reason: 'Not found' });
+        }
+    }
+}
+
+// =======================
+// 🔹 Transform Pipeline
+// =======================
+/**
+ * Membuat konteks file yang dibagikan ke semua hook plugin (`format:before` dan `transform`).
+ * @param {string} file Path file.
+ * @param {string} content Konten asli file.
+ * @returns {object} Konteks file.
+ */
+function createFileContext(file, content) {
+    const ext = path.extname(file).slice(1);
+    return {
+        file,
+        ext,
+        content,
+        originalContent: content,
+        /** Nama plugin yang fix-nya benar-benar diterapkan pada file ini. */
+        appliedPlugins: new Set(),
+        config: state.config,
+        /** Konfigurasi efektif file ini (global + `overrides` yang cocok). */
+        fileConfig: getFileConfig(file),
+        /** AST dari `content` saat ini. Diparse sekali per hash konten, lalu dibagikan ke semua plugin. */
+        get ast() {
+            return PARSEABLE_EXTENSIONS.includes(ext) ? getAst(this.content) : null;
+        },
+        /** Dipanggil plugin yang memodifikasi AST di tempat, agar AST diparse ulang saat dibutuhkan. */
+        markAstDirty() {
+            invalidateAst(this.content);
+        },
+        /** Mengecek apakah sebuah rule disuppress pada baris tertentu (atau seluruh file) lewat komentar `vrzaq-disable*`. */
+        isSuppressed(ruleId, line) {
+            return state.suppressions.get(file)?.isSuppressed([ruleId], line) ?? false;
+        },
+    };
+}
+
+/**
+ * Mem-parse komentar suppression dari konten file, memakai AST bersama jika file dapat diparse.
+ * @param {string} file Path file.
+ * @param {string} content Konten file.
+ * @param {Set<string>} [used] Kunci direktif terpakai dari scope sebelumnya.
+ * @returns {object} Scope suppression.
+ */
+function createFileSuppressions(file, content, used) {
+    let ast = null;
+    if (PARSEABLE_EXTENSIONS.includes(path.extname(file).slice(1))) {
+        try {
+            ast = getAst(content);
+        } catch {
+            // Konten tidak valid akan ditolak saat validasi; tanpa AST, komentar dipindai secara tekstual
+        }
+    }
+    return createSuppressionScope(content, ast, used);
+}
+
+/**
+ * Melaporkan komentar suppression yang tidak pernah menyembunyikan diagnostik maupun fix.
+ * @param {string} file Path file.
+ * @param {object} scope Scope suppression dari konten asli file.
+ */
+function reportUnusedSuppressions(file, scope) {
+    const severity = state.config.suppressions?.reportUnused ?? 'warn';
+    if (severity === 'off') return;
+
+    for (const directive of scope.getUnused()) {
+        recordDiagnostic({
+            ruleId: 'vrzaq/unused-suppression',
+            severity,
+            file,
+            line: directive.line,
+            message: `Unused suppression comment "${directive.text}"`,
+            data: { kind: directive.kind, rules: directive.rules },
+            plugin: 'core',
+        });
+    }
+}
+
+/**
+ * Mengumpulkan fix dari satu langkah transformasi.
+ * Langkah boleh mengembalikan array fix `{ range: [start, end], text }`, string hasil rewrite
+ * (diubah menjadi satu fix minimal), atau nilai kosong (tidak ada perubahan).
+ * @param {object} step Langkah transformasi terdaftar.
+ * @param {number} order Urutan langkah sesuai config (prioritas saat konflik).
+ * @param {string} input Konten acuan pass ini.
+ * @param {object} fileContext Konteks file.
+ * @returns {Promise<object[]>} Daftar fix ternormalisasi.
+ */
+async function collectStepFixes(step, order, input, fileContext) {
+    const output = await step.transform(input, fileContext);
+
+    let fixes = [];
+    if (typeof output === 'string') {
+        const fix = createFixFromRewrite(input, output);
+        if (fix) fixes = [fix];
+    } else if (Array.isArray(output)) {
+        fixes = output;
+    }
+
+    return fixes.map(fix => {
+        const problem = validateFix(fix, input.length);
+        if (problem) {
+            throw new TypeError(`Invalid fix from plugin "${step.name}": ${problem}`);
+        }
+        return { range: [...fix.range], text: fix.text, ruleId: fix.ruleId || step.ruleId, plugin: step.name, order };
+    });
+}
+
+/**
+ * Membuang diagnostik yang dilaporkan sebuah langkah pada pass sebelumnya,
+ * agar langkah yang dijalankan ulang tidak menggandakan temuannya.
+ * @param {string} file Path file.
+ * @param {object[]} [reported] Diagnostik dari run sebelumnya milik langkah tersebut.
+ */
+function discardStepDiagnostics(file, reported) {
+    if (!reported?.length) return;
+    const stale = new Set(reported);
+    state.diagnostics.set(file, (state.diagnostics.get(file) || []).filter(d => !stale.has(d)));
+}
+
+/**
+ * Menjalankan pipeline transformasi plugin dalam beberapa pass.
+ * Pada setiap pass, semua langkah (sesuai urutan config) melihat konten yang sama dan mengusulkan fix.
+ * Fix yang tidak bertabrakan diterapkan; fix yang tumpang tindih ditunda, dan langkah pemiliknya
+ * dijalankan ulang pada pass berikutnya terhadap konten terbaru. Berhenti setelah `fix.maxPasses`.
+ * @param {object} fileContext Konteks file yang dibagikan ke semua plugin.
+ * @returns {Promise<string>} Konten setelah semua fix diterapkan.
+ */
+async function runTransforms(fileContext) {
+    const maxPasses = state.config.fix?.maxPasses ?? 10;
+    // Hanya plugin yang aktif untuk file ini, diurutkan sesuai daftar plugin efektifnya
+    const { pluginKeys } = fileContext.fileConfig;
+    let pendingSteps = state.transforms
+        .filter(step => pluginKeys.includes(step.key))
+        .sort((a, b) => pluginKeys.indexOf(a.key) - pluginKeys.indexOf(b.key))
+        .map((step, order) => ({ step, order }));
+    const stepDiagnostics = new Map();
+
+    for (let pass = 1; pendingSteps.length > 0; pass++) {
+        if (pass > maxPasses) {
+            const plugins = pendingSteps.map(({ step }) => step.name).join(', ');
+            logger.warn(`Conflicting fixes in ${fileContext.file} still pending after ${maxPasses} passes (${plugins}).`);
+            state.emitter.emit('fix:exhausted', { file: fileContext.file, passes: maxPasses, plugins: pendingSteps.map(({ step }) => step.name) });
+            break;
+        }
+
+        const input = fileContext.content;
+        const previousScope = state.suppressions.get(fileContext.file);
+        const scope = createFileSuppressions(fileContext.file, input, previousScope?.used);
+        state.suppressions.set(fileContext.file, scope);
+
+        const fixes = [];
+        for (const { step, order } of pendingSteps) {
+            discardStepDiagnostics(fileContext.file, stepDiagnostics.get(order));
+            const reportedBefore = state.diagnostics.get(fileContext.file)?.length ?? 0;
+
+            for (const fix of await collectStepFixes(step, order, input, fileContext)) {
+                if (scope.isRangeSuppressed([fix.ruleId, fix.plugin], fix.range)) {
+                    state.emitter.emit('fix:suppressed', { file: fileContext.file, plugin: fix.plugin, ruleId: fix.ruleId, range: fix.range });
+                    continue;
+                }
+                fixes.push(fix);
+            }
+            fileContext.content = input; // Setiap langkah dalam satu pass melihat konten yang sama
+
+            const reported = (state.diagnostics.get(fileContext.file) || []).slice(reportedBefore);
+            // `fix.range` diagnostik mengacu pada input pass ini; hanya pass 1 yang melihat konten asli file
+            reported.forEach((diagnostic) => { diagnostic.pass = pass; });
+            stepDiagnostics.set(order, reported);
+        }
+        if (fixes.length === 0) break;
+
+        const { output, applied, deferred } = applyFixes(input, fixes);
+        verifyTransformPass(fileContext, input, output, applied);
+        fileContext.content = output;
+        state.emitter.emit('fix:pass', { file: fileContext.file, pass, applied: applied.length, deferred: deferred.length });
+        for (const plugin of new Set(applied.map(fix => fix.plugin))) {
+            fileContext.appliedPlugins.add(plugin);
+            state.emitter.emit('transform:applied', { file: fileContext.file, plugin, pass });
+        }
+
+        // Hanya langkah dengan fix tertunda yang dijalankan ulang pada pass berikutnya
+        const deferredOrders = new Set(deferred.map(fix => fix.order));
+        pendingSteps = pendingSteps.filter(({ order }) => deferredOrders.has(order));
+    }
+    return fileContext.content;
+}
+
+// =======================
+// 🔹 AST Verification
+// =======================
+/**
+ * Apakah `verify: 'ast'` berlaku untuk file ini (hanya ekstensi yang bisa diparse Babel).
+ * @param {string} file
+ * @returns {boolean}
+ */
+function shouldVerifyAst(file) {
+    return state.config.verify === 'ast' && PARSEABLE_EXTENSIONS.includes(path.extname(file).slice(1));
+}
+
+/**
+ * Memverifikasi satu pass transformasi: fix dari plugin yang tidak mendeklarasikan `changesCode` tidak boleh
+ * mengubah AST. Hasil pass dibandingkan dengan hasil yang hanya menerapkan fix dari plugin yang mendeklarasikannya.
+ * Input yang sudah tidak bisa diparse tidak diverifikasi (Prettier akan menolaknya).
+ * @param {object} fileContext Konteks file.
+ * @param {string} input Konten acuan pass.
+ * @param {string} output Konten setelah semua fix pass ini diterapkan.
+ * @param {object[]} applied Fix yang diterapkan.
+ * @throws {AstMismatchError}
+ */
+function verifyTransformPass(fileContext, input, output, applied) {
+    if (!shouldVerifyAst(fileContext.file)) return;
+    const declaredPlugins = new Set(state.transforms.filter(step => step.changesCode).map(step => step.name));
+    const undeclared = applied.filter(fix => !declaredPlugins.has(fix.plugin));
+    if (undeclared.length === 0) return;
+    try {
+        getAst(input);
+    } catch {
+        return;
+    }
+
+    const expected = applyFixes(input, applied.filter(fix => declaredPlugins.has(fix.plugin))).output;
+    const difference = findAstDifference(expected, output);
+    if (!difference) return;
+    const plugins = [...new Set(undeclared.map(fix => fix.plugin))];
+    throw new AstMismatchError(
+        `AST verification failed: ${plugins.join(', ')} changed code at ${difference.path} without declaring changesCode.`,
+        { stage: 'transform', difference, candidate: output }
+    );
+}
+
+/**
+ * Memverifikasi bahwa Prettier hanya mengubah tata letak: AST sebelum dan sesudah format harus setara.
+ * @param {string} file
+ * @param {string} transformed Konten setelah transformasi plugin.
+ * @param {string} formatted Konten hasil Prettier.
+ * @throws {AstMismatchError}
+ */
+function verifyFormatting(file, transformed, formatted) {
+    if (!shouldVerifyAst(file)) return;
+    const difference = findAstDifference(transformed, formatted);
+    if (!difference) return;
+    throw new AstMismatchError(
+        `AST verification failed: formatting changed code at ${difference.path}.`,
+        { stage: 'format', difference, candidate: formatted }
+    );
+}
+
+// =======================
+// 🔹 File Results
+// =======================
+/**
+ * Hasil terstruktur pemrosesan satu file. Dibuat oleh `processFile` (di main thread maupun worker),
+ * diteruskan apa adanya oleh `processFiles` dan runner, lalu dikonsumsi CLI dan reporter.
+ * @typedef {object} FileResult
+ * @property {string} file Path absolut file.
+ * @property {'formatted'|'unformatted'|'unchanged'|'skipped'|'invalid'} outcome `skipped` berarti cache hit;
+ * `unformatted` berarti file akan berubah (dry-run/check); `invalid` berarti gagal divalidasi atau diproses.
+ * @property {string|null} hashBefore Hash konten asli, `null` jika file tidak sempat dibaca.
+ * @property {string|null} hashAfter Hash konten hasil format (yang ditulis, atau yang akan ditulis pada dry-run).
+ * @property {number} bytesChanged Selisih ukuran dalam byte (sesudah dikurangi sebelum).
+ * @property {number} durationMs Lama pemrosesan file, `0` jika file tidak sempat diproses.
+ * @property {object[]} diagnostics Diagnostik file ini.
+ * @property {string[]} plugins Plugin yang fix-nya diterapkan pada file ini, sesuai urutan penerapan.
+ * @property {{ name: string, message: string, code?: string } | null} error Error yang sudah diserialisasi.
+ * @property {string} [diff] Unified diff: perubahan pada dry-run dengan opsi `diff`, atau hasil yang ditolak `verify: 'ast'`.
+ */
+
+/**
+ * Membuat FileResult dengan nilai awal netral.
+ * @param {string} file
+ * @param {Partial<FileResult>} [fields] Field yang ditimpa.
+ * @returns {FileResult}
+ */
+export function createFileResult(file, fields = {}) {
+    return {
+        file,
+        outcome: 'invalid',
+        hashBefore: null,
+        hashAfter: null,
+        bytesChanged: 0,
+        durationMs: 0,
+        diagnostics: [],
+        plugins: [],
+        error: null,
+        ...fields,
+    };
+}
+
+/**
+ * Mengubah error menjadi objek biasa agar bisa dikirim dari worker dan diserialisasi ke JSON.
+ * @param {*} error
+ * @returns {{ name: string, message: string, code?: string }}
+ */
+export function serializeError(error) {
+    if (!(error instanceof Error)) return { name: 'Error', message: String(error) };
+    return { name: error.name, message: error.message, ...(error.code && { code: error.code }) };
+}
+
 // =======================
 // 🔹 Processing Files
 // =======================
-export async function processFiles(filesIterator, dryRun = false) {
-    const limit = pLimit(state.config.concurrency);
-    const stats = { formatted: 0, skipped: 0, unchanged: 0, invalid: 0, total: 0 };
+/**
+ * Opsi Prettier final untuk sebuah file. Lapisan digabung dengan prioritas (yang belakangan menang):
+ * `.editorconfig` (hanya `end_of_line`) → .prettierrc → `prettier` dari vrzaq config → `overrides[i].prettier` yang cocok → `filepath` → `prettierOverrides`.
+ * @param {string} file
+ * @param {{ withSources?: boolean }} [options] `withSources`: sertakan asal setiap opsi (untuk `vrzaq explain`).
+ * @returns {Promise<{ options: object, sources?: Object<string, { value: *, source: string, overridden: { source: string, value: * }[] }> }>}
+ */
+export async function resolvePrettierOptions(file, { withSources = false } = {}) {
+    const fileConfig = getFileConfig(file);
+    const prettierrcOptions = await prettier.resolveConfig(file);
+    // Dari `.editorconfig` hanya `end_of_line` yang dipakai, dan hanya jika .prettierrc tidak mengatur `endOfLine`
+    const editorconfigEndOfLine = prettierrcOptions?.endOfLine ? undefined : (await prettier.resolveConfig(file, { editorconfig: true }))?.endOfLine;
+    const layers = [
+        { source: '.editorconfig', options: editorconfigEndOfLine ? { endOfLine: editorconfigEndOfLine } : {} },
+        { source: '.prettierrc', options: prettierrcOptions || {} },
+        ...fileConfig.prettierLayers,
+        // Wajib ada agar Prettier tahu parser yang harus digunakan
+        { source: 'filepath', options: { filepath: file } },
+        { source: 'prettierOverrides', options: state.config.prettierOverrides || {} },
+    ];
+    const options = Object.assign({}, ...layers.map(layer => layer.options));
+    if (!withSources) return { options };
+
+    const prettierrcFile = prettierrcOptions ? await prettier.resolveConfigFile(file) : null;
+    if (prettierrcFile) layers[1].source = path.relative(state.config.rootDir, prettierrcFile);
+    const sources = {};
+    for (const { source, options: layerOptions } of layers) {
+        for (const [key, value] of Object.entries(layerOptions)) {
+            const previous = sources[key];
+            sources[key] = {
+                value,
+                source,
+                overridden: previous ? [...previous.overridden, { source: previous.source, value: previous.value }] : [],
+            };
+        }
+    }
+    return { options, sources };
+}
+
+/**
+ * Menjalankan transformasi plugin lalu Prettier pada konten yang sudah divalidasi.
+ * @param {string} file Path file (menentukan parser Prettier dan config yang berlaku).
+ * @param {string} content Konten asli.
+ * @param {object} suppressions Scope suppression dari konten asli.
+ * @returns {Promise<{ formatted: string, plugins: string[] }>} Konten hasil format dan plugin yang fix-nya diterapkan.
+ */
+async function formatPipeline(file, content, suppressions) {
+    const fileContext = createFileContext(file, content);
+    state.emitter.emit('format:before', fileContext);
+    const transformedContent = await runTransforms(fileContext);
+    reportUnusedSuppressions(file, suppressions);
+
+    const { options: prettierOptions } = await resolvePrettierOptions(file);
+    // Tanpa `endOfLine` eksplisit, akhir baris yang dominan di file asli dipertahankan
+    const finalPrettierOptions = prettierOptions.endOfLine ? prettierOptions : { ...prettierOptions, endOfLine: detectLineEnding(content) ?? 'lf' };
+    const formatted = await prettier.format(transformedContent, finalPrettierOptions);
+    verifyFormatting(file, transformedContent, formatted);
+    state.emitter.emit('format:after', { file, formattedContent: formatted });
+    return { formatted, plugins: [...fileContext.appliedPlugins] };
+}
+
+/**
+ * Memformat konten di memori tanpa membaca/menulis disk, cache, atau file recovery.
+ * Dipakai untuk sumber selain working tree, misalnya blob yang di-stage (precommit).
+ * @param {string} file Path file yang diwakili konten (untuk config, parser, dan diagnostik).
+ * @param {string} content Konten yang akan diformat.
+ * @returns {Promise<{ file: string, formatted: string, changed: boolean, diagnostics: object[], plugins: string[], error?: Error }>}
+ */
+export async function formatContent(file, content) {
+    const record = { file, formatted: content, changed: false, diagnostics: [], plugins: [] };
+    state.diagnostics.set(file, []);
+
+    try {
+        const suppressions = createFileSuppressions(file, content);
+        state.suppressions.set(file, suppressions);
+
+        const { isValid, reason } = await validateFile(file, { size: Buffer.byteLength(content) }, content);
+        if (!isValid) {
+            state.emitter.emit('file:validate:fail', { file, reason });
+            throw new Error(reason);
+        }
+
+        Object.assign(record, await formatPipeline(file, content, suppressions));
+        record.changed = record.formatted !== content;
+    } catch (err) {
+        record.error = err;
+        state.emitter.emit('format:error', { file, error: err });
+    } finally {
+        record.diagnostics = state.diagnostics.get(file) || [];
+        state.diagnostics.delete(file);
+        state.suppressions.delete(file);
+    }
+    return record;
+}
+
+/**
+ * Memproses satu file: validasi, cek cache, transformasi plugin, Prettier, lalu tulis & verifikasi.
+ * Tidak menyentuh cache global maupun statistik run, sehingga bisa dijalankan di main thread
+ * maupun di worker (lihat worker.js); pemanggil yang menggabungkan hasilnya.
+ * Pada dry-run, hasil format hanya dibandingkan di memori: file yang akan berubah mendapat outcome `unformatted`,
+ * dan jika `diff` aktif, unified diff-nya disertakan di record.
+ * Dengan `transactionId`, hasil format tidak menggantikan file melainkan di-stage (lihat transaction.js);
+ * entri transaksinya dikembalikan di `staged` agar runner bisa meng-commit semua file sekaligus.
+ * Dengan `sessionId`, konten asli file yang diubah dicatat di riwayat sesi untuk `vrzaq undo` (lihat session-history.js).
+ * @param {{ file: string, dryRun?: boolean, diff?: boolean, cacheEntry?: object, transactionId?: string, sessionId?: string }} task
+ * File, mode dry-run, opsi diff, entri cache miliknya, id transaksi, dan sesi (untuk riwayat undo dan index recovery).
+ * @returns {Promise<FileResult & { cacheEntry?: object, verified: boolean, staged?: object }>} Hasil file, ditambah entri cache baru, status verifikasi, dan entri transaksi untuk pemanggil.
+ */
+export async function processFile({ file, dryRun = false, diff = false, cacheEntry, transactionId, sessionId }) {
+    const processStart = performance.now();
+    const record = { ...createFileResult(file), verified: false };
+    let originalBytes;
+    let originalContent;
+    let textFormat;
+    let suppressions;
+    state.diagnostics.set(file, []);
+
+    try {
+        // 1. Dapatkan stat file sekali untuk efisiensi; encoding dan BOM dicatat agar bisa ditulis ulang apa adanya
+        const fileStat = await fs.stat(file);
+        originalBytes = await fs.readFile(file);
+        ({ content: originalContent, format: textFormat } = decodeText(originalBytes));
+        suppressions = createFileSuppressions(file, originalContent);
+        state.suppressions.set(file, suppressions);
+
+        // 2. Validasi file
+        const { isValid, reason, hash } = await validateFile(file, fileStat, originalContent);
+        record.hashBefore = hash ?? null;
+        if (!isValid) {
+            record.error = serializeError(new Error(reason));
+            state.emitter.emit('file:validate:fail', { file, reason });
+            return record;
+        }
+
+        // 3. Cek Cache yang Diperkuat (hash + mtime + konfigurasi efektif file)
+        const fileConfig = getFileConfig(file);
+        if (cacheEntry && cacheEntry.hash === hash && cacheEntry.mtime === fileStat.mtimeMs && cacheEntry.configHash === fileConfig.hash) {
+            // Plugin tidak dijalankan ulang; putar ulang diagnostik dari run sebelumnya
+            state.diagnostics.set(file, cacheEntry.diagnostics || []);
+            record.outcome = 'skipped';
+            record.hashAfter = hash;
+            state.emitter.emit('file:cache:hit', { file });
+            return record;
+        }
+        state.emitter.emit('file:cache:miss', { file });
+
+        // 4. Transformasi plugin (berurutan), lalu formatting
+        const { formatted, plugins } = await formatPipeline(file, originalContent, suppressions);
+        record.plugins = plugins;
+        record.hashAfter = formatted === originalContent ? hash : await safeHash(formatted);
+        record.bytesChanged = encodeText(formatted, textFormat).length - encodeText(originalContent, textFormat).length;
+
+        // 5. Tulis & Verifikasi
+        if (originalContent !== formatted && dryRun) {
+            // Dry-run/check: file tidak ditulis dan cache tidak diperbarui
+            logger.info(`DRY-RUN: Would format ${file}`);
+            record.outcome = 'unformatted';
+            if (diff) record.diff = createUnifiedDiff(file, originalContent, formatted);
+            state.emitter.emit('file:unformatted', { file });
+        } else if (originalContent !== formatted) {
+            if (sessionId && state.config.undoHistoryLimit > 0) {
+                // Dicatat sebelum ditulis, agar tidak ada file yang berubah tanpa bisa di-undo
+                await recordChange({
+                    historyDir: getHistoryDir(state.config),
+                    sessionId,
+                    rootDir: state.config.rootDir,
+                    file,
+                    original: originalBytes,
+                    written: encodeText(formatted, textFormat),
+                });
+            }
+
+            // Ditulis atomik dengan encoding, BOM, dan mode file asli; dalam transaksi hanya di-stage
+            let writtenFile = file;
+            if (transactionId) {
+                const { target, tempFile } = await stageTextFile(file, formatted, { format: textFormat, stat: fileStat, transactionId });
+                record.staged = { file: target, staged: tempFile, mtimeMs: fileStat.mtimeMs, size: fileStat.size };
+                writtenFile = tempFile;
+            } else {
+                await writeTextFileAtomic(file, formatted, { format: textFormat, stat: fileStat });
+            }
+
+            // 5a. VERIFIKASI EKSTREM: Baca kembali dan bandingkan hash
+            state.emitter.emit('file:verify:start', { file });
+            const { content: writtenContent } = await readTextFile(writtenFile);
+            const writtenHash = await safeHash(writtenContent);
+
+            if (record.hashAfter !== writtenHash) {
+                throw new Error('Integrity check failed! File on disk differs from formatted content.');
+            }
+            record.verified = true;
+            state.emitter.emit('file:verify:success', { file });
+
+            // Update cache setelah verifikasi berhasil (rename saat commit mempertahankan mtime file stage)
+            const updatedStat = await fs.stat(writtenFile);
+            record.cacheEntry = { hash: record.hashAfter, mtime: updatedStat.mtimeMs, configHash: fileConfig.hash, diagnostics: state.diagnostics.get(file) };
+            record.outcome = 'formatted';
+        } else {
+            // Konten tidak berubah, cukup update cache
+            record.cacheEntry = { hash, mtime: fileStat.mtimeMs, configHash: fileConfig.hash, diagnostics: state.diagnostics.get(file) };
+            record.outcome = 'unchanged';
+        }
+        return record;
+
+    } catch (err) {
+        record.outcome = 'invalid';
+        record.error = serializeError(err);
+        if (err instanceof AstMismatchError) {
+            // Hasil yang ditolak tidak ditulis; diff-nya disertakan agar bisa ditinjau lewat reporter
+            record.diff = createUnifiedDiff(file, originalContent, err.candidate);
+            state.emitter.emit('file:verify:fail', { file, stage: err.stage, difference: err.difference });
+        }
+        if (record.staged) {
+            await fs.rm(record.staged.staged, { force: true });
+            delete record.staged;
+        }
+        // Hanya buat recovery jika konten asli berhasil dibaca dan file akan ditulis (transaksi tidak pernah menyentuh file asli)
+        if (originalContent && !dryRun && !transactionId) {
+            await saveRecoveryFile(file, originalContent, { format: textFormat, sessionId, error: err });
+        }
+        state.emitter.emit('format:error', { file, error: err });
+        return record;
+    } finally {
+        record.diagnostics = state.diagnostics.get(file) || [];
+        state.diagnostics.delete(file);
+        state.suppressions.delete(file);
+        record.durationMs = performance.now() - processStart;
+        const duration = record.durationMs.toFixed(2);
+        state.emitter.emit('file:processed', { file, duration });
+    }
+}
+
+/**
+ * Unified diff antara konten asli dan hasil format, dengan path relatif terhadap rootDir di header.
+ * @param {string} file
+ * @param {string} original
+ * @param {string} formatted
+ * @returns {string}
+ */
+function createUnifiedDiff(file, original, formatted) {
+    const relativePath = path.relative(state.config.rootDir, file).split(path.sep).join('/');
+    const patch = createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, original, formatted, undefined, undefined, { context: 3 });
+    // Buang baris pemisah `=====` bawaan library agar formatnya sama dengan `git diff`
+    return patch.replace(/^=+\n/, '');
+}
+
+/**
+ * Memproses sekumpulan file (lewat worker pool jika aktif) lalu menggabungkan hasil, cache, dan telemetri.
+ * @param {Iterable<string>|AsyncIterable<string>} filesIterator
+ * @param {boolean} [dryRun=false]
+ * @param {{ diff?: boolean, transactionId?: string, sessionId?: string }} [options] `diff`: sertakan unified diff untuk file yang akan berubah (hanya dry-run).
+ * `transactionId`: stage hasil format alih-alih menulisnya; entri transaksinya dikembalikan di `staged`.
+ * `sessionId`: sesi runner, dicatat pada file recovery.
+ * @returns {Promise<{ stats: object, errors: object[], results: FileResult[], staged: object[], telemetry: object }>}
+ */
+export async function processFiles(filesIterator, dryRun = false, { diff = false, transactionId, sessionId } = {}) {
+    const limit = pLimit(state.pool ? state.pool.size : state.config.concurrency);
+    const stats = { formatted: 0, unformatted: 0, skipped: 0, unchanged: 0, invalid: 0, total: 0 };
     const errors = [];
+    const results = [];
+    const staged = [];
     const tasks = [];
 
     for await (const file of filesIterator) {
         stats.total++;
         tasks.push(limit(async () => {
-            const processStart = performance.now();
-            let originalContent;
-
+            const task = { file, dryRun, diff, cacheEntry: state.cache.files?.[file], transactionId, sessionId };
+            let record;
             try {
-                // 1. Dapatkan stat file sekali untuk efisiensi
-                const fileStat = await fs.stat(file);
-                originalContent = await fs.readFile(file, 'utf8');
-
-                // 2. Validasi file
-                const { isValid, reason, hash } = await validateFile(file, fileStat);
-                if (!isValid) {
-                    stats.invalid++;
-                    errors.push({ file, error: new Error(reason) });
-                    state.emitter.emit('file:validate:fail', { file, reason });
-                    return;
-                }
-
-                // 3. Cek Cache yang Diperkuat (hash + mtime)
-                const cacheEntry = state.cache.files?.[file];
-                if (cacheEntry && cacheEntry.hash === hash && cacheEntry.mtime === fileStat.mtimeMs) {
-                    stats.skipped++;
-                    state.emitter.emit('file:cache:hit', { file });
-                    return;
-                }
-                state.emitter.emit('file:cache:miss', { file });
-
-                if (dryRun) {
-                    logger.info(`DRY-RUN: Would format ${file}`);
-                    stats.formatted++;
-                    return;
-                }
-
-                // 4. Proses Formatting
-                state.emitter.emit('format:before', { file, originalContent });
-                const prettierConfigFromFile = await prettier.resolveConfig(file);
-                
-                // Langkah 2: Dapatkan overrides dari vrzaq.config.js
-                const vrzaqPrettierOptions = state.config.prettier || {};
-                // Langkah 3: Gabungkan semua konfigurasi dengan prioritas yang benar
-                const finalPrettierOptions = {
-                    ...prettierConfigFromFile, // Opsi dari .prettierrc
-                    ...vrzaqPrettierOptions,    // Opsi dari vrzaq.config.js (akan menimpa jika ada yang sama)
-                    filepath: file,             // Wajib ada agar Prettier tahu parser yang harus digunakan
-                };
-
-                const options = await prettier.resolveConfig(file);
-                const formatted = await prettier.format(originalContent, { ...options, filepath: file, ...state.config.prettierOverrides });
-                state.emitter.emit('format:after', { file, formattedContent: formatted });
-                
-                // 5. Tulis & Verifikasi
-                if (originalContent !== formatted) {
-                    await fs.writeFile(file, formatted, 'utf8');
-                    
-                    // 5a. VERIFIKASI EKSTREM: Baca kembali dan bandingkan hash
-                    state.emitter.emit('file:verify:start', { file });
-                    const writtenContent = await fs.readFile(file, 'utf8');
-                    const newHash = await safeHash(formatted);
-                    const writtenHash = await safeHash(writtenContent);
-
-                    if (newHash !== writtenHash) {
-                        throw new Error('Integrity check failed! File on disk differs from formatted content.');
-                    }
-                    state.telemetryStats.verified++;
-                    state.emitter.emit('file:verify:success', { file });
-
-                    // Update cache setelah verifikasi berhasil
-                    const updatedStat = await fs.stat(file);
-                    state.cache.files[file] = { hash: newHash, mtime: updatedStat.mtimeMs };
-                    stats.formatted++;
-                } else {
-                    // Konten tidak berubah, cukup update cache
-                    state.cache.files[file] = { hash, mtime: fileStat.mtimeMs };
-                    stats.unchanged++;
-                }
-
+                // Dengan worker pool, file diproses di thread lain; hasilnya digabung di sini
+                record = state.pool ? await state.pool.run(task) : await processFile(task);
             } catch (err) {
-                stats.invalid++;
-                errors.push({ file, error: err });
-                if (originalContent) { // Hanya buat recovery jika konten asli berhasil dibaca
-                    await saveRecoveryFile(file, originalContent);
-                }
+                // Hanya terjadi jika worker mati di tengah tugas
+                record = { ...createFileResult(file, { error: serializeError(err) }), verified: false };
                 state.emitter.emit('format:error', { file, error: err });
-            } finally {
-                const duration = (performance.now() - processStart).toFixed(2);
-                state.emitter.emit('file:processed', { file, duration });
             }
+
+            stats[record.outcome]++;
+            if (record.error) errors.push({ file, error: record.error });
+            if (record.cacheEntry) state.cache.files[file] = record.cacheEntry;
+            if (record.verified) state.telemetryStats.verified++;
+            if (record.staged) staged.push(record.staged);
+            const { cacheEntry, verified, staged: stagedEntry, ...result } = record;
+            results.push(result);
         }));
     }
 
@@ -374,5 +1193,70 @@ export async function processFiles(filesIterator, dryRun = false) {
     state.telemetryStats.formatted += stats.formatted;
     state.telemetryStats.errors += stats.invalid;
 
-    return { stats, errors, telemetry: state.telemetryStats };
-}
\ No newline at end of file
+    const parser = state.pool ? state.pool.getParserStats() : getParserStats();
+    return { stats, errors, results, staged, telemetry: { ...state.telemetryStats, parser } };
+}
+
+// =======================
+// 🔹 Explain
+// =======================
+/**
+ * Status entri cache sebuah file dibandingkan dengan isi di disk dan konfigurasi efektifnya saat ini.
+ * @param {string} file
+ * @returns {Promise<{ status: 'fresh'|'stale'|'missing', reasons: string[] }>}
+ */
+async function describeCacheEntry(file) {
+    const entry = state.cache.files?.[file];
+    if (!entry) return { status: 'missing', reasons: [] };
+
+    const reasons = [];
+    const stat = await fs.stat(file).catch(() => null);
+    if (!stat) return { status: 'stale', reasons: ['file no longer exists'] };
+    if (entry.hash !== await safeHash((await readTextFile(file)).content)) reasons.push('content changed');
+    if (entry.mtime !== stat.mtimeMs) reasons.push('mtime changed');
+    if (entry.configHash !== getFileConfig(file).hash) reasons.push('effective config changed');
+    return { status: reasons.length === 0 ? 'fresh' : 'stale', reasons };
+}
+
+/**
+ * Pipeline efektif untuk satu file: status target/ignore, overrides yang cocok, opsi Prettier beserta
+ * asalnya, urutan plugin, dan kesegaran cache. Tidak memformat maupun menulis apa pun.
+ * @param {string} filePath Path file (relatif terhadap cwd atau absolut).
+ * @returns {Promise<object>}
+ */
+export async function describeFile(filePath) {
+    const file = path.resolve(filePath);
+    const fileConfig = getFileConfig(file);
+    const pluginEntries = fileConfig.plugins.map(([pluginPath, pluginOptions], index) => {
+        const key = fileConfig.pluginKeys[index];
+        const transforms = state.transforms.filter(step => step.key === key);
+        return {
+            order: index + 1,
+            name: getPluginName(pluginPath),
+            path: pluginPath,
+            options: pluginOptions,
+            loaded: state.loadedPluginKeys.has(key),
+            transforms: transforms.length,
+            ruleIds: [...new Set(transforms.map(step => step.ruleId))],
+        };
+    });
+    const activeNames = new Set(pluginEntries.map(plugin => plugin.name));
+    const { options, sources } = await resolvePrettierOptions(file, { withSources: true });
+
+    return {
+        file,
+        rootDir: state.config.rootDir,
+        configFile: state.config.configFile,
+        exists: !!(await fs.stat(file).catch(() => null))?.isFile(),
+        excluded: getExclusionReason(file),
+        ignore: state.ignorer.explain(file),
+        overrides: fileConfig.overrides.map(index => ({ index, files: state.config.overrides[index].files })),
+        prettier: { options, sources },
+        plugins: pluginEntries,
+        // Plugin global yang dimatikan oleh `disablePlugins` di overrides yang cocok
+        disabledPlugins: (state.config.plugins || [])
+            .map(entry => getPluginName(normalizePluginEntry(entry)[0]))
+            .filter(name => !activeNames.has(name)),
+        cache: await describeCacheEntry(file),
+    };
+}
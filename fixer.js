@@ -0,0 +1,76 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// fixer.js (RANGE-BASED AUTOFIX ENGINE EDITION)
+
+/**
+ * Mengubah hasil rewrite penuh (string) menjadi satu fix dengan rentang sekecil mungkin,
+ * sehingga plugin lama yang mengembalikan string tetap bisa digabung dengan fix dari plugin lain.
+ * @param {string} input Konten sebelum rewrite.
+ * @param {string} output Konten setelah rewrite.
+ * @returns {{ range: [number, number], text: string } | null} Fix, atau null jika tidak ada perubahan.
+ */
+export function createFixFromRewrite(input, output) {
+    if (input === output) return null;
+
+    let prefix = 0;
+    const maxPrefix = Math.min(input.length, output.length);
+    while (prefix < maxPrefix && input[prefix] === output[prefix]) prefix++;
+
+    let suffix = 0;
+    const maxSuffix = Math.min(input.length, output.length) - prefix;
+    while (suffix < maxSuffix && input[input.length - 1 - suffix] === output[output.length - 1 - suffix]) suffix++;
+
+    return {
+        range: [prefix, input.length - suffix],
+        text: output.slice(prefix, output.length - suffix),
+    };
+}
+
+/**
+ * Memvalidasi satu fix terhadap konten yang menjadi acuannya.
+ * @param {object} fix Fix `{ range: [start, end], text }`.
+ * @param {number} contentLength Panjang konten acuan.
+ * @returns {string|null} Pesan error, atau null jika valid.
+ */
+export function validateFix(fix, contentLength) {
+    if (!fix || !Array.isArray(fix.range) || fix.range.length !== 2) return 'fix.range must be a [start, end] tuple';
+    const [start, end] = fix.range;
+    if (!Number.isInteger(start) || !Number.isInteger(end)) return 'fix.range must contain integer offsets';
+    if (start < 0 || end < start || end > contentLength) return `fix.range [${start}, ${end}] is out of bounds (content length ${contentLength})`;
+    if (typeof fix.text !== 'string') return 'fix.text must be a string';
+    return null;
+}
+
+/**
+ * Menerapkan sekumpulan fix pada konten dalam satu pass.
+ * Fix diurutkan berdasarkan posisi awal, lalu berdasarkan urutan plugin (`order`).
+ * Fix yang rentangnya tumpang tindih dengan fix yang sudah diterima ditunda ke pass berikutnya.
+ * @param {string} content Konten acuan semua fix.
+ * @param {Array<{ range: [number, number], text: string, order: number }>} fixes Daftar fix.
+ * @returns {{ output: string, applied: object[], deferred: object[] }}
+ */
+export function applyFixes(content, fixes) {
+    const sorted = [...fixes].sort((a, b) => a.range[0] - b.range[0] || a.order - b.order || a.range[1] - b.range[1]);
+    const applied = [];
+    const deferred = [];
+    let lastEnd = -1;
+
+    for (const fix of sorted) {
+        const [start, end] = fix.range;
+        if (start < lastEnd) {
+            deferred.push(fix);
+            continue;
+        }
+        applied.push(fix);
+        lastEnd = end;
+    }
+
+    // Terapkan dari belakang agar offset fix sebelumnya tetap valid
+    let output = content;
+    for (let i = applied.length - 1; i >= 0; i--) {
+        const { range: [start, end], text } = applied[i];
+        output = output.slice(0, start) + text + output.slice(end);
+    }
+    return { output, applied, deferred };
+}
@@ -0,0 +1,215 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// git.js (GIT-AWARE SELECTION EDITION)
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Menjalankan perintah git dan mengembalikan stdout-nya.
+ * @param {string[]} args Argumen git.
+ * @param {string} cwd Direktori kerja.
+ * @param {{ input?: string|Buffer, encoding?: BufferEncoding|'buffer' }} [options] `input` dikirim ke stdin git;
+ * `encoding: 'buffer'` mengembalikan stdout apa adanya (untuk isi blob).
+ * @returns {Promise<string|Buffer>}
+ */
+export function git(args, cwd, { input, encoding = 'utf8' } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('git', args, { cwd });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('error', err => reject(new Error(`git ${args[0]} failed: ${err.message}`)));
+        child.on('close', (code) => {
+            if (code === 0) return resolve(encoding === 'buffer' ? Buffer.concat(stdout) : Buffer.concat(stdout).toString(encoding));
+            const error = new Error(`git ${args[0]} failed: ${Buffer.concat(stderr).toString('utf8').trim()}`);
+            error.exitCode = code;
+            reject(error);
+        });
+        child.stdin.on('error', () => {}); // git bisa keluar sebelum stdin selesai dibaca
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Memecah output `-z` git menjadi daftar path.
+ * @param {string} output
+ * @returns {string[]}
+ */
+function splitNul(output) {
+    return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Root working tree dari repository yang memuat `cwd`.
+ * git mengembalikan path asli (tanpa symlink); hasilnya dipetakan ke bentuk path `cwd`
+ * agar bisa dibandingkan langsung dengan rootDir.
+ * @param {string} cwd
+ * @returns {Promise<string>}
+ */
+export async function getRepoRoot(cwd) {
+    const topLevel = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    return path.resolve(cwd, path.relative(await fs.realpath(cwd), topLevel));
+}
+
+/**
+ * File yang berubah di working tree: perubahan staged maupun unstaged terhadap HEAD,
+ * ditambah file baru yang belum di-track (mengikuti .gitignore). File yang dihapus tidak ikut.
+ * @param {string} repoRoot
+ * @returns {Promise<string[]>} Path relatif terhadap root repository.
+ */
+export async function listChangedFiles(repoRoot) {
+    let tracked;
+    try {
+        tracked = splitNul(await git(['diff', '--name-only', '-z', '--diff-filter=d', 'HEAD'], repoRoot));
+    } catch {
+        // Repository tanpa commit: belum ada HEAD, bandingkan terhadap index saja
+        tracked = [
+            ...splitNul(await git(['diff', '--name-only', '-z', '--diff-filter=d'], repoRoot)),
+            ...splitNul(await git(['diff', '--cached', '--name-only', '-z', '--diff-filter=d'], repoRoot)),
+        ];
+    }
+    const untracked = splitNul(await git(['ls-files', '--others', '--exclude-standard', '-z'], repoRoot));
+    return [...new Set([...tracked, ...untracked])];
+}
+
+/**
+ * File yang sudah di-stage di index (tanpa file yang dihapus).
+ * @param {string} repoRoot
+ * @returns {Promise<string[]>} Path relatif terhadap root repository.
+ */
+export async function listStagedFiles(repoRoot) {
+    return splitNul(await git(['diff', '--cached', '--name-only', '-z', '--diff-filter=d'], repoRoot));
+}
+
+/**
+ * File yang berubah sejak sebuah commit atau branch. Untuk branch, perbandingan dilakukan
+ * terhadap merge-base-nya dengan HEAD, sehingga hanya perubahan di branch saat ini yang ikut.
+ * Perubahan yang belum di-commit pada file yang di-track juga disertakan.
+ * @param {string} repoRoot
+ * @param {string} ref Commit, tag, atau branch.
+ * @returns {Promise<string[]>} Path relatif terhadap root repository.
+ */
+export async function listFilesSince(repoRoot, ref) {
+    const base = (await git(['merge-base', ref, 'HEAD'], repoRoot)).trim();
+    return splitNul(await git(['diff', '--name-only', '-z', '--diff-filter=d', base], repoRoot));
+}
+
+/**
+ * Mengumpulkan file berdasarkan mode seleksi git. Beberapa mode boleh digabung (union).
+ * @param {string} cwd Direktori di dalam repository (biasanya rootDir).
+ * @param {{ changed?: boolean, staged?: boolean, since?: string }} selection
+ * @returns {Promise<string[]>} Path absolut (dalam bentuk yang sama dengan `cwd`), terurut.
+ */
+export async function selectGitFiles(cwd, { changed = false, staged = false, since } = {}) {
+    const repoRoot = await getRepoRoot(cwd);
+    const groups = await Promise.all([
+        changed ? listChangedFiles(repoRoot) : [],
+        staged ? listStagedFiles(repoRoot) : [],
+        since ? listFilesSince(repoRoot, since) : [],
+    ]);
+    const files = new Set(groups.flat().map(file => path.resolve(repoRoot, file)));
+    return [...files].sort();
+}
+
+// =======================
+// 🔹 Index (Staging Area)
+// =======================
+
+/**
+ * Entri index untuk sebuah path yang di-stage.
+ * @param {string} repoRoot
+ * @param {string} relativePath Path relatif terhadap root repository.
+ * @returns {Promise<{ mode: string, oid: string, path: string } | null>}
+ */
+export async function readIndexEntry(repoRoot, relativePath) {
+    const output = await git(['ls-files', '--stage', '-z', '--', relativePath], repoRoot);
+    const [entry] = splitNul(output);
+    if (!entry) return null;
+    const [meta, entryPath] = entry.split('\t');
+    const [mode, oid] = meta.split(' ');
+    return { mode, oid, path: entryPath };
+}
+
+/**
+ * Membaca isi blob dari object database git. Byte dikembalikan apa adanya; encoding-nya dideteksi pemanggil.
+ * @param {string} repoRoot
+ * @param {string} oid
+ * @returns {Promise<Buffer>}
+ */
+export async function readBlob(repoRoot, oid) {
+    return git(['cat-file', 'blob', oid], repoRoot, { encoding: 'buffer' });
+}
+
+/**
+ * Menulis konten sebagai blob baru (filter clean mengikuti `relativePath`, sama seperti `git add`).
+ * @param {string} repoRoot
+ * @param {string} relativePath
+ * @param {Buffer} content Byte blob, sudah di-encode dengan format aslinya.
+ * @returns {Promise<string>} Object id blob.
+ */
+export async function writeBlob(repoRoot, relativePath, content) {
+    return (await git(['hash-object', '-w', '--stdin', `--path=${relativePath}`], repoRoot, { input: content })).trim();
+}
+
+/**
+ * Mengganti entri index sebuah path dengan blob lain, tanpa menyentuh working tree.
+ * @param {string} repoRoot
+ * @param {{ mode: string, oid: string, path: string }} entry
+ */
+export async function updateIndexEntry(repoRoot, { mode, oid, path: entryPath }) {
+    await git(['update-index', '--cacheinfo', `${mode},${oid},${entryPath}`], repoRoot);
+}
+
+/**
+ * Menyimpan seluruh index saat ini sebagai tree object dan mematoknya dengan sebuah ref, sehingga blob yang
+ * di-stage tetap ada (tidak dihapus `git gc`) setelah entri index-nya diganti. Index bisa dipulihkan
+ * dengan `git read-tree <tree>`.
+ * @param {string} repoRoot
+ * @param {string} refName Misalnya `refs/vrzaq/precommit/<id>`.
+ * @returns {Promise<string>} Object id tree.
+ */
+export async function snapshotIndex(repoRoot, refName) {
+    const tree = (await git(['write-tree'], repoRoot)).trim();
+    await git(['update-ref', refName, tree], repoRoot);
+    return tree;
+}
+
+/**
+ * Patch perubahan yang belum di-stage (index -> working tree) untuk satu path.
+ * @param {string} repoRoot
+ * @param {string} relativePath
+ * @returns {Promise<string>} Patch, kosong jika tidak ada perubahan.
+ */
+export async function getUnstagedPatch(repoRoot, relativePath) {
+    return git(['diff', '--binary', '--no-color', '--no-ext-diff', '--', relativePath], repoRoot);
+}
+
+/**
+ * Menggabungkan tiga versi isi sebuah file seperti `git merge-file`: perubahan `base -> ours` dan `base -> theirs`
+ * digabung selama keduanya tidak menyentuh baris yang sama atau bersebelahan. Repository tidak disentuh.
+ * @param {string} cwd
+ * @param {{ base: Buffer, ours: Buffer, theirs: Buffer }} versions
+ * @returns {Promise<Buffer|null>} Hasil merge, atau `null` jika terjadi konflik.
+ */
+export async function mergeFile(cwd, { base, ours, theirs }) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrzaq-merge-'));
+    try {
+        // Urutan argumen git merge-file: <current> <base> <other>
+        const files = [];
+        for (const [name, content] of Object.entries({ ours, base, theirs })) {
+            files.push(path.join(tmpDir, name));
+            await fs.writeFile(files.at(-1), content);
+        }
+        return await git(['merge-file', '-p', '--quiet', ...files], cwd, { encoding: 'buffer' });
+    } catch (err) {
+        // Exit code git merge-file adalah jumlah konflik (maksimal 127); nilai yang lebih besar berarti error
+        if (err.exitCode > 0 && err.exitCode < 128) return null;
+        throw err;
+    } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+}
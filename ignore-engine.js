@@ -0,0 +1,182 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// ignore-engine.js (HIERARCHICAL IGNORE EDITION)
+import fs from 'fs';
+import path from 'path';
+import ignore from 'ignore';
+
+/** File ignore yang dibaca di setiap direktori, dari prioritas terendah ke tertinggi. */
+export const DEFAULT_IGNORE_FILES = ['.gitignore', '.prettierignore', '.vrzaqignore'];
+
+/** Label sumber untuk pola dari `config.ignorePatterns`. */
+const CONFIG_SOURCE = 'ignorePatterns (vrzaq config)';
+
+/**
+ * Mengubah path (absolut atau relatif terhadap rootDir) menjadi path relatif berformat POSIX.
+ * @param {string} rootDir
+ * @param {string} filePath
+ * @returns {string|null} `null` jika path berada di luar rootDir atau sama dengan rootDir.
+ */
+function toRelativePosix(rootDir, filePath) {
+    const relativePath = path.relative(rootDir, path.resolve(rootDir, filePath));
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) return null;
+    return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Membuat satu lapisan aturan: pola beserta nomor barisnya, relatif terhadap direktori `base`.
+ * @param {string} source Label sumber (misalnya `packages/a/.gitignore`).
+ * @param {string} base Direktori dasar pola, relatif terhadap rootDir (`''` untuk root).
+ * @param {{ pattern: string, line: number|null }[]} rules
+ */
+function createLayer(source, base, rules) {
+    return { source, base, rules, matcher: ignore().add(rules.map(rule => rule.pattern)) };
+}
+
+/**
+ * IgnoreEngine Class
+ * Resolusi ignore bertingkat dengan semantik git:
+ * - `config.ignorePatterns` berlaku sebagai lapisan dasar (relatif terhadap rootDir).
+ * - Setiap direktori boleh memiliki `.gitignore`, `.prettierignore`, dan `.vrzaqignore`; polanya relatif
+ *   terhadap direktori tersebut dan berlaku untuk isinya. Lapisan yang lebih dalam (dan file yang lebih
+ *   akhir di daftar) menang, sehingga negasi (`!keep.js`) bisa membatalkan pola dari lapisan di atasnya.
+ * - Seperti git, file tidak bisa di-include ulang jika salah satu direktori induknya diabaikan.
+ * File ignore dibaca secara lazy per direktori dan disimpan di cache; `invalidate()` membuangnya.
+ */
+export class IgnoreEngine {
+    /**
+     * @param {{ rootDir: string, patterns?: string[], ignoreFiles?: string[], onLoad?: (file: string) => void }} options
+     * `onLoad` dipanggil setiap kali sebuah file ignore berhasil dibaca.
+     */
+    constructor({ rootDir, patterns = [], ignoreFiles = DEFAULT_IGNORE_FILES, onLoad }) {
+        this.rootDir = rootDir;
+        this.ignoreFiles = ignoreFiles;
+        this.onLoad = onLoad;
+        this.configLayer = createLayer(CONFIG_SOURCE, '', patterns.map(pattern => ({ pattern, line: null })));
+        this.directoryLayers = new Map();
+        this.directoryVerdicts = new Map();
+    }
+
+    /**
+     * Apakah path diabaikan.
+     * @param {string} filePath Path absolut atau relatif terhadap rootDir.
+     * @param {{ directory?: boolean }} [options] `directory: true` agar pola khusus direktori (`build/`) ikut cocok.
+     * @returns {boolean}
+     */
+    isIgnored(filePath, { directory = false } = {}) {
+        const relativePath = toRelativePosix(this.rootDir, filePath);
+        return relativePath !== null && !!this._match(relativePath, directory)?.ignored;
+    }
+
+    /**
+     * Menjelaskan aturan yang membuat sebuah path diabaikan.
+     * @param {string} filePath Path absolut atau relatif terhadap rootDir.
+     * @param {{ directory?: boolean }} [options]
+     * @returns {{ rule: string|null, source: string, line: number|null, path: string, inherited: boolean } | null}
+     * `path` adalah path (relatif terhadap rootDir) yang cocok dengan aturan; `inherited` bernilai true
+     * jika path tersebut adalah direktori induk.
+     */
+    explain(filePath, { directory = false } = {}) {
+        const relativePath = toRelativePosix(this.rootDir, filePath);
+        const verdict = relativePath === null ? null : this._match(relativePath, directory);
+        if (!verdict?.ignored) return null;
+
+        // Aturan penentu adalah aturan positif terakhir di lapisan pemenang yang cocok dengan path
+        const { layer, layerPath } = verdict;
+        const rule = [...layer.rules].reverse().find(({ pattern }) =>
+            !pattern.startsWith('!') && ignore().add(pattern).ignores(layerPath)
+        );
+        return {
+            rule: rule?.pattern ?? null,
+            source: layer.source,
+            line: rule?.line ?? null,
+            path: verdict.path,
+            inherited: verdict.path !== relativePath,
+        };
+    }
+
+    /**
+     * Membuang cache file ignore (misalnya saat `.gitignore` berubah dalam watch mode).
+     * @param {string} [dir] Direktori yang file ignore-nya berubah; tanpa argumen, seluruh cache dibuang.
+     */
+    invalidate(dir) {
+        if (dir === undefined) {
+            this.directoryLayers.clear();
+        } else {
+            this.directoryLayers.delete(toRelativePosix(this.rootDir, dir) ?? '');
+        }
+        // Verdict direktori bisa bergantung pada lapisan mana pun di atasnya
+        this.directoryVerdicts.clear();
+    }
+
+    /**
+     * Verdict sebuah path beserta direktori induknya: induk yang diabaikan langsung menentukan hasil.
+     * @returns {{ ignored: boolean, layer: object, layerPath: string, path: string } | null}
+     */
+    _match(relativePath, directory) {
+        const segments = relativePath.split('/');
+        for (let i = 1; i < segments.length; i++) {
+            const verdict = this._matchDirectory(segments.slice(0, i).join('/'));
+            if (verdict?.ignored) return verdict;
+        }
+        return this._evaluate(relativePath, directory);
+    }
+
+    _matchDirectory(relativeDir) {
+        if (!this.directoryVerdicts.has(relativeDir)) {
+            this.directoryVerdicts.set(relativeDir, this._evaluate(relativeDir, true));
+        }
+        return this.directoryVerdicts.get(relativeDir);
+    }
+
+    /**
+     * Mengevaluasi satu path terhadap semua lapisan yang berlaku, dari prioritas terendah ke tertinggi.
+     * Lapisan terakhir yang mengabaikan atau meng-include ulang path menentukan hasil.
+     */
+    _evaluate(relativePath, directory) {
+        const parentDir = path.posix.dirname(relativePath);
+        let verdict = null;
+        for (const layer of this._layersFor(parentDir === '.' ? '' : parentDir)) {
+            const layerPath = (layer.base ? path.posix.relative(layer.base, relativePath) : relativePath) + (directory ? '/' : '');
+            const { ignored, unignored } = layer.matcher.test(layerPath);
+            if (ignored || unignored) verdict = { ignored, layer, layerPath, path: relativePath };
+        }
+        return verdict;
+    }
+
+    /**
+     * Semua lapisan yang berlaku untuk isi direktori `relativeDir`: config, lalu file ignore dari root ke bawah.
+     */
+    _layersFor(relativeDir) {
+        const layers = [this.configLayer, ...this._loadDirectory('')];
+        if (!relativeDir) return layers;
+        const segments = relativeDir.split('/');
+        for (let i = 1; i <= segments.length; i++) {
+            layers.push(...this._loadDirectory(segments.slice(0, i).join('/')));
+        }
+        return layers;
+    }
+
+    _loadDirectory(relativeDir) {
+        if (this.directoryLayers.has(relativeDir)) return this.directoryLayers.get(relativeDir);
+        const layers = [];
+        for (const name of this.ignoreFiles) {
+            const file = path.join(this.rootDir, relativeDir, name);
+            let content;
+            try {
+                content = fs.readFileSync(file, 'utf8');
+            } catch {
+                continue; // File ignore tidak wajib ada
+            }
+            // Spasi di akhir baris (termasuk yang di-escape) ditangani oleh `ignore` sesuai aturan git
+            const rules = content.split(/\r?\n/)
+                .map((pattern, index) => ({ pattern, line: index + 1 }))
+                .filter(({ pattern }) => pattern.trim() && !pattern.startsWith('#'));
+            layers.push(createLayer(relativeDir ? `${relativeDir}/${name}` : name, relativeDir, rules));
+            this.onLoad?.(file);
+        }
+        this.directoryLayers.set(relativeDir, layers);
+        return layers;
+    }
+}
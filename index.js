@@ -3,6 +3,7 @@
 
 // index.js (CLASS-BASED SUPERIOR ARCHITECTURE EDITION)
 import { EventEmitter } from 'events';
+import path from 'path';
 import chokidar from 'chokidar';
 import pLimit from 'p-limit';
 import { performance } from 'perf_hooks';
@@ -10,9 +11,19 @@ import { loadConfig } from './config.js';
 import logger from './logger.js';
 import * as BackupManager from './backup-manager.js';
 import * as Core from './core.js';
+import { selectGitFiles } from './git.js';
+import { loadReporters, runReporter } from './reporters/index.js';
+import { getJournalPath, commitTransaction, abortTransaction, recoverTransaction } from './transaction.js';
+import { getHistoryDir, discardSession, pruneSessions } from './session-history.js';
+
+export { runPrecommit } from './precommit.js';
 
 const { createBackup } = BackupManager;
-const { scanFilesGenerator, processFiles, initialize, analyzeIgnore } = Core;
+const {
+    scanFilesGenerator, filterFilesGenerator, resolveTargetsGenerator, processFiles, initialize, shutdown,
+    analyzeIgnore, isPathIgnored, invalidateIgnore, countDiagnostics, getExclusionReason, formatContent, describeFile,
+    createFileResult, serializeError,
+} = Core;
 
 /**
  * QuantumRunner Class
@@ -22,16 +33,35 @@ class QuantumRunner {
     constructor(userOptions = {}) {
         this.emitter = new EventEmitter();
         this.config = null; // Akan diisi saat inisialisasi
+        this.reporters = [];
 
         // Validasi dan setel opsi run-time
         this.options = {
             backup: userOptions.backup !== false,
-            dryRun: !!userOptions.dryRun,
-            reporter: typeof userOptions.reporter === 'string' ? userOptions.reporter : 'summary',
+            // Mode check: format di memori saja (seperti dry-run), hasilnya menentukan exit code
+            check: !!userOptions.check,
+            // `diff` hanya bermakna tanpa penulisan file, sehingga selalu menyiratkan dry-run
+            dryRun: !!userOptions.dryRun || !!userOptions.check || !!userOptions.diff,
+            diff: !!userOptions.diff,
+            // Semua hasil di-stage dulu lalu di-commit sekaligus; satu file gagal membatalkan seluruh run
+            transactional: !!userOptions.transactional,
+            // Entri reporter (`'json'` atau `['./my-reporter.js', { outputFile }]`); `reporter` tunggal tetap diterima
+            reporters: Array.isArray(userOptions.reporters) ? userOptions.reporters
+                : (typeof userOptions.reporter === 'string' ? [userOptions.reporter] : []),
             watch: !!userOptions.watch,
             concurrency: Number.isFinite(userOptions.concurrency) && userOptions.concurrency > 0 ? Math.floor(userOptions.concurrency) : 4,
             retry: Number.isFinite(userOptions.retry) && userOptions.retry >= 0 ? Math.floor(userOptions.retry) : 1,
             timeoutMs: Number.isFinite(userOptions.timeoutMs) && userOptions.timeoutMs > 0 ? Math.floor(userOptions.timeoutMs) : 60_000,
+            // Seleksi file berbasis git; tanpa seleksi, seluruh rootDir dipindai
+            changed: !!userOptions.changed,
+            staged: !!userOptions.staged,
+            since: typeof userOptions.since === 'string' && userOptions.since ? userOptions.since : null,
+            // Target eksplisit (file, direktori, glob); null = seluruh rootDir
+            files: Array.isArray(userOptions.files) && userOptions.files.length > 0 ? userOptions.files.map(String) : null,
+            // false = abaikan ignore rules (`--no-ignore`)
+            ignore: userOptions.ignore !== false,
+            // undefined = ikuti `config.workers`; true = ukuran pool sesuai `concurrency`; angka = ukuran pool
+            workers: userOptions.workers === true || (Number.isInteger(userOptions.workers) && userOptions.workers > 0) ? userOptions.workers : undefined,
         };
 
         this.state = {
@@ -61,13 +91,26 @@ class QuantumRunner {
         logger.info(`🔧 Starting Quantum-Formatter session: ${this.state.sessionId}`);
 
         this.config = await loadConfig();
-        await initialize(this.config, this.emitter);
+        await this._recoverInterruptedTransaction();
+        // Reporter dimuat lebih dulu agar nama atau path yang salah gagal sebelum file apa pun diproses
+        this.reporters = await loadReporters(this.options.reporters, { rootDir: this.config.rootDir });
+        await initialize(this.config, this.emitter, { workers: this.options.workers });
         
         // Pasang global error handlers selama sesi aktif
         process.on('unhandledRejection', this.boundOnUnhandledRejection);
         process.on('uncaughtException', this.boundOnUncaughtException);
     }
 
+    /**
+     * Menyelesaikan transaksi dari run sebelumnya yang terputus di tengah commit (lihat transaction.js).
+     */
+    async _recoverInterruptedTransaction() {
+        const recovered = await recoverTransaction(getJournalPath(this.config));
+        if (!recovered) return;
+        logger.warn(`Recovered interrupted transaction ${recovered.id}: ${recovered.action} ${recovered.files.length} file(s).`);
+        this.emitter.emit('transaction:recovered', { ...recovered, sessionId: this.state.sessionId });
+    }
+
     /**
      * Menjalankan proses utama: one-shot run atau watch mode.
      */
@@ -99,12 +142,14 @@ class QuantumRunner {
         try {
             // Fase 1: Scan (menggunakan generator)
             const scanStart = performance.now();
-            const filesIterator = scanFilesGenerator(this.config.rootDir);
+            const filesIterator = await this._selectFiles();
             // Kita perlu mengubah iterator menjadi array untuk backup, tapi prosesor bisa stream.
-            const filesToProcess = [];
+            // Target yang tumpang tindih (misalnya `src` dan `src/a.js`) hanya diproses sekali
+            const uniqueFiles = new Set();
             for await (const file of filesIterator) {
-                filesToProcess.push(file);
+                uniqueFiles.add(file);
             }
+            const filesToProcess = [...uniqueFiles];
             telemetry.scan = performance.now() - scanStart;
             this.emitter.emit('scan:complete', { fileCount: filesToProcess.length, sessionId: this.state.sessionId });
 
@@ -119,22 +164,55 @@ class QuantumRunner {
                 this.emitter.emit('backup:complete', { sessionId: this.state.sessionId });
             }
 
-            // Fase 3: Processing
+            // Fase 3: Processing (dalam mode transaksional, hasil hanya di-stage)
+            const transactionId = this.options.transactional && !this.options.dryRun ? this.state.sessionId : undefined;
             const processingStart = performance.now();
             const processingTasks = filesToProcess.map(file => 
-                this.queue(() => this._processFileWithRobustness(file))
+                this.queue(() => this._processFileWithRobustness(file, { transactionId }))
             );
             const results = await Promise.allSettled(processingTasks);
             telemetry.processing = performance.now() - processingStart;
 
+            // Satu FileResult per file, searah dengan `filesToProcess`; file yang timeout atau gagal total
+            // (misalnya karena shutdown) tetap tercatat sebagai `invalid` beserta error-nya
+            const fileResults = results.map((result, index) => (result.status === 'fulfilled'
+                ? result.value.results[0]
+                : createFileResult(filesToProcess[index], { error: serializeError(result.reason) })));
+
+            // Fase 4: Commit transaksi
+            const transaction = transactionId
+                ? await this._completeTransaction(transactionId, results.flatMap(r => (r.status === 'fulfilled' ? r.value.staged : [])), fileResults)
+                : null;
+
+            // Satu aliran diagnostik untuk seluruh run, dipakai oleh reporter dan exit code
+            const diagnostics = fileResults.flatMap(fileResult => fileResult.diagnostics);
+            const stats = { formatted: 0, unformatted: 0, skipped: 0, unchanged: 0, invalid: 0 };
+            fileResults.forEach(({ outcome }) => stats[outcome]++);
+
+            // Fase 5: Riwayat undo (hanya sesi terbaru yang disimpan)
+            if (!this.options.dryRun) await this._pruneUndoHistory(stats.formatted);
+
             const summary = {
+                mode: this.options.check ? 'check' : (this.options.dryRun ? 'dry-run' : 'write'),
                 total: results.length,
-                fulfilled: results.filter(s => s.status === 'fulfilled').length,
-                rejected: results.filter(s => s.status === 'rejected').length,
-                details: results,
+                files: filesToProcess,
+                stats,
+                // Hasil per file (lihat typedef `FileResult` di core.js)
+                results: fileResults,
+                // File yang akan berubah jika diformat (hanya terisi pada dry-run/check)
+                unformatted: fileResults.filter(f => f.outcome === 'unformatted').map(f => f.file),
+                // File yang gagal diproses: tidak valid, error saat format, atau timeout
+                failed: fileResults.filter(f => f.outcome === 'invalid').map(f => f.file),
+                diagnostics,
+                diagnosticCounts: countDiagnostics(diagnostics),
+                // Hasil transaksi (`--transactional`), null jika tidak aktif
+                transaction,
+                // Objek yang sama dengan payload `session:report`; `total` diperbarui lagi setelah reporter selesai
+                telemetry: Object.assign(telemetry, { total: performance.now() - totalStart }),
                 sessionId: this.state.sessionId,
             };
 
+            await this._report(summary);
             this.emitter.emit('run:complete', summary);
             return summary;
 
@@ -148,10 +226,108 @@ class QuantumRunner {
         }
     }
 
+    /**
+     * Meng-commit semua file yang di-stage, atau membatalkannya jika ada file yang gagal diproses.
+     * Tanpa commit, tidak ada file yang ditulis: outcome `formatted` dikembalikan menjadi `unformatted`.
+     * @param {string} id Id transaksi (sessionId).
+     * @param {object[]} staged Entri transaksi dari `processFiles`.
+     * @param {object[]} fileResults FileResult run ini; outcome-nya diperbarui di tempat.
+     * @returns {Promise<{ id: string, status: 'committed'|'aborted'|'rolled-back', files: string[], error: object|null }>}
+     */
+    async _completeTransaction(id, staged, fileResults) {
+        const transaction = { id, status: 'committed', files: staged.map(entry => entry.file), error: null };
+        const failedCount = fileResults.filter(result => result.outcome === 'invalid').length;
+
+        if (failedCount > 0) {
+            await abortTransaction(staged);
+            transaction.status = 'aborted';
+            transaction.error = serializeError(new Error(`${failedCount} file(s) failed to process; no files were written.`));
+        } else if (staged.length > 0) {
+            try {
+                await commitTransaction({ id, journalPath: getJournalPath(this.config), entries: staged });
+            } catch (err) {
+                await abortTransaction(staged);
+                transaction.status = 'rolled-back';
+                transaction.error = serializeError(err);
+            }
+        }
+        // Transaksi yang tidak di-commit tidak mengubah file apa pun, sehingga tidak ada yang perlu di-undo
+        if (transaction.status !== 'committed') await discardSession(getHistoryDir(this.config), id);
+
+        if (transaction.status === 'committed') {
+            logger.success(`Transaction ${id} committed ${staged.length} file(s).`);
+        } else {
+            fileResults.filter(result => result.outcome === 'formatted').forEach((result) => { result.outcome = 'unformatted'; });
+            logger.error(`Transaction ${id} ${transaction.status}: ${transaction.error.message}`);
+        }
+        this.emitter.emit(`transaction:${transaction.status}`, { ...transaction, sessionId: this.state.sessionId });
+        return transaction;
+    }
+
+    /**
+     * Menghapus riwayat undo yang melebihi `undoHistoryLimit`. Kegagalan hanya diperingatkan; file sudah ditulis.
+     * @param {number} formattedCount Jumlah file yang ditulis run ini.
+     */
+    async _pruneUndoHistory(formattedCount) {
+        const { undoHistoryLimit, rootDir } = this.config;
+        if (undoHistoryLimit === 0) return;
+        if (formattedCount > 0) logger.info(`Changes of this run can be reverted with: vrzaq undo ${this.state.sessionId}`);
+        await pruneSessions(getHistoryDir(this.config), { rootDir, keep: undoHistoryLimit }).catch((err) => {
+            logger.warn(`[${this.state.sessionId}] Failed to prune undo history: ${err.message}`);
+        });
+    }
+
+    /**
+     * Menentukan sumber file untuk run: target eksplisit (`files`), seleksi git (`changed`, `staged`, `since`),
+     * irisan keduanya, atau pemindaian penuh rootDir.
+     * @returns {Promise<AsyncIterable<string>>}
+     */
+    async _selectFiles() {
+        const { changed, staged, since, files, ignore: respectIgnore } = this.options;
+        const useGit = changed || staged || since;
+        if (!useGit && !files) {
+            return scanFilesGenerator(this.config.rootDir, { respectIgnore });
+        }
+
+        let selected = null;
+        if (useGit) {
+            selected = await selectGitFiles(this.config.rootDir, { changed, staged, since });
+            this.emitter.emit('scan:git', { changed, staged, since, count: selected.length, sessionId: this.state.sessionId });
+        }
+        if (files) {
+            const targeted = [];
+            for await (const file of resolveTargetsGenerator(files, { respectIgnore })) targeted.push(file);
+            this.emitter.emit('scan:targets', { targets: files, count: targeted.length, sessionId: this.state.sessionId });
+            // Dengan seleksi git, hanya file pilihan git yang berada di dalam target yang diproses
+            const targetedSet = new Set(targeted);
+            selected = selected ? selected.filter(file => targetedSet.has(file)) : targeted;
+        }
+        // Ignore rules dan targetExtensions tetap berlaku untuk file pilihan
+        return filterFilesGenerator(selected, { respectIgnore });
+    }
+
+    /**
+     * Menjalankan semua reporter untuk ringkasan run. Reporter yang gagal tidak menghentikan reporter lain.
+     * @param {object} summary
+     */
+    async _report(summary) {
+        for (const reporter of this.reporters) {
+            try {
+                const outputFile = await runReporter(reporter, summary, { rootDir: this.config.rootDir, isVerbose: logger.getLevels().verbose });
+                if (outputFile) logger.success(`Report "${reporter.name}" written to ${outputFile}`);
+            } catch (err) {
+                this.emitter.emit('reporter:error', { reporter: reporter.name, error: err, sessionId: this.state.sessionId });
+                logger.error(`Reporter "${reporter.name}" failed: ${err.message}`, err);
+            }
+        }
+    }
+
     /**
      * Memproses satu file dengan mekanisme lock, retry, dan timeout.
+     * @param {string} filePath
+     * @param {{ transactionId?: string }} [options] `transactionId`: stage hasilnya alih-alih menulis file.
      */
-    async _processFileWithRobustness(filePath) {
+    async _processFileWithRobustness(filePath, { transactionId } = {}) {
         if (this.state.fileLocks.has(filePath)) {
             logger.special(`Waiting for existing lock on: ${filePath}`);
             return this.state.fileLocks.get(filePath);
@@ -166,12 +342,19 @@ class QuantumRunner {
                 try {
                     this.emitter.emit('file:processing', { file: filePath, attempt });
                     
-                    const processingPromise = processFiles([filePath], this.options.dryRun);
-                    const timeoutPromise = new Promise((_, rej) => 
-                        setTimeout(() => rej(new Error('Processing timed out')), this.options.timeoutMs)
-                    );
-                    
-                    const result = await Promise.race([processingPromise, timeoutPromise]);
+                    const processingPromise = processFiles([filePath], this.options.dryRun, { diff: this.options.diff, transactionId, sessionId: this.state.sessionId });
+                    let timeoutTimer;
+                    const timeoutPromise = new Promise((_, rej) => {
+                        timeoutTimer = setTimeout(() => rej(new Error('Processing timed out')), this.options.timeoutMs);
+                    });
+
+                    // Timer harus dibersihkan agar tidak menahan proses tetap hidup setelah run selesai
+                    const result = await Promise.race([processingPromise, timeoutPromise]).finally(() => clearTimeout(timeoutTimer))
+                        .catch((err) => {
+                            // Percobaan yang timeout tidak dibatalkan; file stage yang ditulisnya belakangan tidak pernah di-commit
+                            if (transactionId) processingPromise.then(({ staged }) => abortTransaction(staged), () => {});
+                            throw err;
+                        });
                     
                     this.emitter.emit('file:complete', { file: filePath, result });
                     return resolve(result);
@@ -201,8 +384,10 @@ class QuantumRunner {
         
         await this._runOnce(); // Jalankan sekali di awal
 
+        const respectIgnore = this.options.ignore;
         const watchOptions = {
-            ignored: this.config.ignorePatterns,
+            // Ignore engine yang sama dengan pemindai: file ignore bertingkat dan negasi ikut berlaku
+            ignored: (filePath, stats) => respectIgnore && isPathIgnored(filePath, { directory: !!stats?.isDirectory() }),
             persistent: true,
             ignoreInitial: true,
             awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 100 },
@@ -212,6 +397,12 @@ class QuantumRunner {
 
         const handleChange = (filePath) => {
             if (this.state.shuttingDown) return;
+            if (this.config.ignoreFiles.includes(path.basename(filePath))) {
+                // Aturan ignore berubah: buang cache engine untuk direktori tersebut
+                invalidateIgnore(path.dirname(filePath));
+                return;
+            }
+            if (getExclusionReason(filePath, { respectIgnore })) return;
             logger.special(`File change detected: ${filePath}. Buffering for processing...`);
             this.state.changeBuffer.add(filePath);
             this._scheduleBufferedProcessing();
@@ -259,6 +450,9 @@ class QuantumRunner {
             await delay(50); // Cek status antrian setiap 50ms
         }
 
+        // Hentikan worker pool (jika dipakai)
+        await shutdown();
+
         // Hapus global handlers
         process.off('unhandledRejection', this.boundOnUnhandledRejection);
         process.off('uncaughtException', this.boundOnUncaughtException);
@@ -318,4 +512,51 @@ export async function analyzeWhy(filePath) {
         reason: reason || 'Not ignored by any rule.',
         file: filePath
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Menjelaskan pipeline efektif untuk satu file: config yang dimuat, overrides yang cocok,
+ * opsi Prettier beserta asal setiap opsi, urutan plugin, dan kesegaran cache. Tidak ada file yang ditulis.
+ * @param {string} filePath
+ * @returns {Promise<object>} Lihat `Core.describeFile`.
+ */
+export async function explainFile(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+        throw new TypeError('explainFile expects a non-empty string for filePath');
+    }
+    const config = await loadConfig();
+    await initialize(config, new EventEmitter(), { workers: false });
+    try {
+        return await describeFile(filePath);
+    } finally {
+        await shutdown();
+    }
+}
+
+/**
+ * Memformat teks di memori seolah-olah berada di `filePath`: validasi, transformasi plugin, dan opsi Prettier
+ * sama seperti `processFiles` untuk path tersebut. Cache, backup, dan disk tidak disentuh.
+ * Path yang diabaikan atau di luar target dikembalikan apa adanya (`ignored` berisi alasannya).
+ * @param {string} source Konten sumber.
+ * @param {string} filePath Path yang diwakili konten (relatif terhadap cwd); file tidak harus ada.
+ * @param {{ emitter?: EventEmitter }} [options]
+ * @returns {Promise<{ file: string, formatted: string, changed: boolean, diagnostics: object[], diagnosticCounts: object, ignored?: string, error?: Error }>}
+ */
+export async function formatText(source, filePath, { emitter = new EventEmitter() } = {}) {
+    if (typeof source !== 'string' || !filePath || typeof filePath !== 'string') {
+        throw new TypeError('formatText expects a source string and a non-empty filePath');
+    }
+    const config = await loadConfig();
+    await initialize(config, emitter, { role: 'embedded' });
+    try {
+        const file = path.resolve(filePath);
+        const ignored = getExclusionReason(file);
+        if (ignored) {
+            return { file, formatted: source, changed: false, diagnostics: [], diagnosticCounts: countDiagnostics(), ignored };
+        }
+        const result = await formatContent(file, source);
+        return { ...result, diagnosticCounts: countDiagnostics(result.diagnostics) };
+    } finally {
+        await shutdown();
+    }
+}
@@ -1,7 +1,9 @@
 // logger.js
 import chalk from 'chalk';
 
-const log = console.log;
+// Output log bisa dialihkan ke stderr agar stdout tetap bersih (misalnya mode stdin)
+let log = console.log;
+let output = 'stdout';
 let isQuiet = false;
 let isVerbose = false;
 
@@ -10,6 +12,14 @@ export default {
     isQuiet = options.quiet || false;
     isVerbose = options.verbose || false;
   },
+  getLevels: () => ({ quiet: isQuiet, verbose: isVerbose }),
+  setOutput: (target) => {
+    output = target === 'stderr' ? 'stderr' : 'stdout';
+    log = output === 'stderr' ? console.error : console.log;
+  },
+  getOutput: () => output,
+  // Baris apa adanya tanpa ikon (misalnya laporan kotak plugin); ikut dialihkan bersama log lainnya
+  print: (message = '') => log(message),
   info: (message) => !isQuiet && log(chalk.blue(`ℹ️ ${message}`)),
   success: (message) => !isQuiet && log(chalk.green(`✅ ${message}`)),
   warn: (message) => !isQuiet && log(chalk.yellow(`⚠️ ${message}`)),
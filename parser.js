@@ -0,0 +1,185 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// parser.js (SINGLE-PARSE AST CACHE EDITION)
+import crypto from 'crypto';
+import * as babelParser from '@babel/parser';
+
+/** Ekstensi file yang diparse menjadi AST Babel. */
+export const PARSEABLE_EXTENSIONS = ['js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx'];
+
+// =======================
+// 🔹 State Modul Terenkapsulasi
+// =======================
+const state = {
+    options: {
+        babelPlugins: ['typescript', 'jsx'],
+        cacheSize: 100,
+    },
+    // Map mempertahankan urutan penyisipan, sehingga entri pertama adalah yang paling lama (LRU).
+    astCache: new Map(),
+    stats: { parsed: 0, hits: 0 },
+};
+
+/**
+ * Menghitung kunci cache AST dari konten. Sinkron agar bisa dipakai dari getter konteks plugin.
+ * @param {string} content Kode sumber.
+ * @returns {string} Hash konten dalam hex.
+ */
+function getAstKey(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Menerapkan opsi parser dari konfigurasi (`config.parser`) dan mengosongkan cache.
+ * @param {{ babelPlugins?: Array<string|Array>, cacheSize?: number }} [options]
+ */
+export function configureParser(options = {}) {
+    state.options = { ...state.options, ...options };
+    state.astCache.clear();
+    state.stats = { parsed: 0, hits: 0 };
+}
+
+/**
+ * Mengembalikan AST untuk konten yang diberikan. Konten yang sama (berdasarkan hash)
+ * hanya diparse satu kali; pemanggilan berikutnya memakai AST dari cache.
+ * Melempar SyntaxError dari Babel jika konten tidak valid.
+ * @param {string} content Kode sumber.
+ * @returns {object} AST Babel (File node).
+ */
+export function getAst(content) {
+    const key = getAstKey(content);
+    const cached = state.astCache.get(key);
+    if (cached) {
+        state.stats.hits++;
+        // Pindahkan ke posisi terbaru (LRU)
+        state.astCache.delete(key);
+        state.astCache.set(key, cached);
+        return cached;
+    }
+
+    const ast = babelParser.parse(content, {
+        sourceType: 'unambiguous',
+        plugins: state.options.babelPlugins,
+        attachComment: true,
+    });
+    state.stats.parsed++;
+
+    if (state.options.cacheSize > 0) {
+        state.astCache.set(key, ast);
+        while (state.astCache.size > state.options.cacheSize) {
+            state.astCache.delete(state.astCache.keys().next().value);
+        }
+    }
+    return ast;
+}
+
+/**
+ * Membuang AST milik konten tertentu dari cache, misalnya setelah plugin memodifikasinya di tempat.
+ * @param {string} content Kode sumber yang AST-nya sudah "kotor".
+ */
+export function invalidateAst(content) {
+    state.astCache.delete(getAstKey(content));
+}
+
+/**
+ * Statistik parser untuk telemetri.
+ * @returns {{ parsed: number, hits: number, cached: number }}
+ */
+export function getParserStats() {
+    return { ...state.stats, cached: state.astCache.size };
+}
+
+// =======================
+// 🔹 Perbandingan AST
+// =======================
+/** Properti node yang hanya berisi posisi, komentar, atau metadata parser; diabaikan saat membandingkan AST. */
+const NON_SEMANTIC_KEYS = new Set([
+    'start', 'end', 'loc', 'range', 'extra', 'errors', 'tokens',
+    'comments', 'leadingComments', 'trailingComments', 'innerComments',
+]);
+
+/**
+ * Nama kunci properti yang tidak di-compute, agar `{ a: 1 }`, `{ 'a': 1 }`, dan `{ "a": 1 }` dianggap sama
+ * (Prettier boleh menambah atau membuang tanda kutip pada kunci).
+ */
+function getStaticKeyName(node) {
+    if (!node || node.computed || !node.key) return null;
+    const { key } = node;
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'StringLiteral') return key.value;
+    if (key.type === 'NumericLiteral') return String(key.value);
+    return null;
+}
+
+/**
+ * Mencari perbedaan pertama antara dua nilai AST secara rekursif.
+ * @returns {{ path: string, before: *, after: * } | null}
+ */
+function diffNodes(before, after, nodePath) {
+    if (before === after) return null;
+    if (typeof before !== 'object' || typeof after !== 'object' || before === null || after === null) {
+        return { path: nodePath, before: describeNode(before), after: describeNode(after) };
+    }
+
+    if (Array.isArray(before) || Array.isArray(after)) {
+        if (!Array.isArray(before) || !Array.isArray(after)) return { path: nodePath, before: describeNode(before), after: describeNode(after) };
+        // Titik koma berlebih (EmptyStatement) tidak mengubah makna program
+        const left = before.filter(node => node?.type !== 'EmptyStatement');
+        const right = after.filter(node => node?.type !== 'EmptyStatement');
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const difference = diffNodes(left[i], right[i], `${nodePath}[${i}]`);
+            if (difference) return difference;
+        }
+        return null;
+    }
+
+    if (before.type !== after.type) return { path: nodePath, before: describeNode(before), after: describeNode(after) };
+    if (before.type === 'JSXText') {
+        // Spasi di dalam JSX boleh dirapikan Prettier selama teksnya sama
+        const normalize = value => value.replace(/\s+/g, ' ').trim();
+        return normalize(before.value) === normalize(after.value) ? null : { path: `${nodePath}.value`, before: before.value, after: after.value };
+    }
+
+    const staticKey = getStaticKeyName(before);
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+        if (NON_SEMANTIC_KEYS.has(key)) continue;
+        if (key === 'key' && staticKey !== null && staticKey === getStaticKeyName(after)) continue;
+        // Properti yang tidak ada dan yang bernilai undefined dianggap sama
+        if (before[key] === undefined && after[key] === undefined) continue;
+        const difference = diffNodes(before[key], after[key], `${nodePath}.${key}`);
+        if (difference) return difference;
+    }
+    return null;
+}
+
+/** Ringkasan singkat sebuah node untuk pesan error. */
+function describeNode(node) {
+    if (Array.isArray(node)) return `Array(${node.length})`;
+    return node?.type ?? node;
+}
+
+/**
+ * Membandingkan makna dua versi kode sumber: keduanya diparse lalu AST-nya dibandingkan
+ * tanpa posisi, komentar, dan whitespace. Kode yang gagal diparse dianggap berbeda.
+ * @param {string} before Kode sumber sebelum perubahan.
+ * @param {string} after Kode sumber sesudah perubahan.
+ * @returns {{ path: string, before: *, after: * } | null} Perbedaan pertama (path berbentuk `program.body[2].expression`), atau null jika setara.
+ */
+export function findAstDifference(before, after) {
+    if (before === after) return null;
+    let beforeAst;
+    let afterAst;
+    try {
+        beforeAst = getAst(before);
+    } catch (err) {
+        return { path: 'program', before: `SyntaxError: ${err.message}`, after: null };
+    }
+    try {
+        afterAst = getAst(after);
+    } catch (err) {
+        return { path: 'program', before: null, after: `SyntaxError: ${err.message}` };
+    }
+    return diffNodes(beforeAst.program, afterAst.program, 'program');
+}
@@ -2,48 +2,49 @@
 // Saweria: https://saweria.co/arzzq
 
 // plugins/auto-remove-console-plugin.js (AUTO-FIXER SUPERIOR EDITION)
-import * as parser from '@babel/parser';
-import traverse from '@babel/traverse';
-import generate from '@babel/generator';
+import _traverse from '@babel/traverse';
+import _generate from '@babel/generator';
 import chalk from 'chalk';
 
+// Paket @babel/* adalah CommonJS; ambil ekspor default-nya secara eksplisit.
+const traverse = _traverse.default || _traverse;
+const generate = _generate.default || _generate;
+
+const RULE_ID = 'auto-remove-console';
+
 /**
  * Plugin untuk secara otomatis MENGHAPUS panggilan console.* dari kode.
  * Bekerja dengan presisi menggunakan AST untuk menghindari false positive dan kerusakan kode.
- * @param {{ emitter: import('events').EventEmitter, logger: object, options?: object }}
+ * @param {{ emitter: import('events').EventEmitter, logger: object, options?: object, registerTransform: Function, report: Function }}
  */
-export default function autoRemoveConsolePlugin({ emitter, logger, options = {} }) {
+export default function autoRemoveConsolePlugin({ emitter, logger, options = {}, registerTransform, report }) {
     // Pengguna bisa menentukan metode mana yang ingin dihapus.
     // Defaultnya adalah log dan debug yang paling umum untuk debugging.
     const methodsToRemove = new Set(options.methodsToRemove || ['log', 'debug', 'warn', 'info', 'table']);
     
     // Mode "reportOnly" memungkinkan pengguna melihat apa yang AKAN dihapus tanpa benar-benar mengubah file.
     const isReportOnly = options.reportOnly || false;
+    const actionVerb = isReportOnly ? 'Found' : 'Removed';
 
-    // Menyimpan catatan dari semua tindakan untuk laporan akhir.
-    const removalReport = new Map();
-
-    emitter.on('format:before', (fileData) => {
+    registerTransform((source, fileData) => {
         const supportedExtensions = ['js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx'];
         if (!supportedExtensions.includes(fileData.ext)) {
-            return;
+            return source;
         }
 
         let ast;
         try {
-            ast = parser.parse(fileData.content, {
-                sourceType: 'module',
-                plugins: ['typescript', 'jsx'],
-                locations: true, // Pastikan info lokasi (baris/kolom) ada
-            });
+            // AST bersama dari core (diparse sekali per konten)
+            ast = fileData.ast;
         } catch (e) {
             logger.verbose(`[auto-remove-console] Skipping file due to parse error: ${fileData.file}`);
-            return;
+            return source;
         }
 
         const removedNodes = [];
+        const fixes = [];
 
-        // Jelajahi AST untuk menemukan dan (jika perlu) menghapus node
+        // Jelajahi AST untuk menemukan pernyataan console dan mengusulkan fix penghapusannya
         traverse(ast, {
             CallExpression(path) {
                 const callee = path.get('callee');
@@ -52,65 +53,83 @@ export default function autoRemoveConsolePlugin({ emitter, logger, options = {}
                     const methodName = callee.get('property').node.name;
 
                     if (methodsToRemove.has(methodName)) {
-                        // Dapatkan seluruh pernyataan (misal: `console.log('hi');` bukan hanya `log('hi')`)
-                        const statementPath = path.getStatementParent();
-                        if (statementPath) {
-                            // Catat apa yang kita temukan/hapus untuk laporan
-                            removedNodes.push({
-                                line: statementPath.node.loc.start.line,
-                                pattern: `console.${methodName}`,
-                                code: generate(statementPath.node).code,
-                            });
-
-                            // Hapus node dari pohon jika bukan mode report-only
-                            if (!isReportOnly) {
-                                statementPath.remove();
-                            }
-                        }
+                        const { start, end } = path.node;
+                        // Lewati panggilan di dalam pernyataan yang sudah dijadwalkan untuk dihapus
+                        if (fixes.some(f => f.range[0] <= start && end <= f.range[1])) return;
+
+                        // Hanya pernyataan yang isinya panggilan console itu sendiri yang aman dihapus
+                        // (misal: `console.log('hi');`); panggilan di dalam ekspresi lain hanya dilaporkan
+                        const statementPath = path.parentPath.isExpressionStatement() ? path.parentPath : null;
+                        const fix = statementPath && {
+                            range: [statementPath.node.start, statementPath.node.end],
+                            // Badan `if`/`else`/loop tanpa kurung kurawal tidak boleh kosong: ganti dengan blok kosong
+                            text: statementPath.inList ? '' : '{}',
+                        };
+
+                        // Catat apa yang kita temukan/hapus untuk laporan
+                        removedNodes.push({
+                            line: path.node.loc.start.line,
+                            pattern: `console.${methodName}`,
+                            code: generate(statementPath?.node || path.node).code,
+                            fix,
+                        });
+                        if (fix) fixes.push(fix);
                     }
                 }
             },
         });
 
-        // Jika ada perubahan, generate ulang kode dari AST yang telah dimodifikasi
-        if (removedNodes.length > 0) {
-            if (!isReportOnly) {
-                const { code } = generate(ast, { retainLines: true, comments: true });
-                fileData.content = code;
-            }
-            removalReport.set(fileData.file, removedNodes);
+        if (removedNodes.length === 0) return [];
+        removedNodes.forEach(r => report({
+            ruleId: RULE_ID,
+            severity: 'info',
+            file: fileData.file,
+            line: r.line,
+            message: r.fix ? `${actionVerb} ${r.pattern}` : `Found ${r.pattern} inside an expression; remove it manually`,
+            fix: r.fix || undefined,
+            data: { pattern: r.pattern, code: r.code, removable: !!r.fix },
+        }));
+        // Fix per pernyataan, sehingga satu baris yang disuppress tidak membatalkan penghapusan lainnya
+        return isReportOnly ? [] : fixes;
+    }, { ruleId: RULE_ID, changesCode: true });
+
+    emitter.on('run:complete', (runSummary) => {
+        // Laporan dibangun dari aliran diagnostik run, bukan dari state internal plugin
+        const removalReport = new Map();
+        for (const d of runSummary.diagnostics || []) {
+            if (d.ruleId !== RULE_ID) continue;
+            if (!removalReport.has(d.file)) removalReport.set(d.file, []);
+            removalReport.get(d.file).push({ line: d.line, pattern: d.data.pattern, verb: d.data.removable ? actionVerb : 'Found' });
         }
-    });
 
-    emitter.on('run:complete', () => {
         if (removalReport.size === 0) {
             logger.success('✅ No removable console usage found.');
             return;
         }
 
         const reportType = isReportOnly ? 'Analysis Report' : 'Removal Report';
-        const actionVerb = isReportOnly ? 'Found' : 'Removed';
 
         // --- Laporan Visual Superior ---
-        console.log('');
-        console.log(chalk.redBright(`┌─ 🗑️  Console ${reportType} ──────────────┐`));
+        logger.print();
+        logger.print(chalk.redBright(`┌─ 🗑️  Console ${reportType} ──────────────┐`));
         
         let totalRemovals = 0;
         removalReport.forEach((removals, filePath) => {
-            console.log(chalk.redBright('│ ') + chalk.whiteBright.underline(filePath));
+            logger.print(chalk.redBright('│ ') + chalk.whiteBright.underline(filePath));
             removals.forEach(r => {
-                totalRemovals++;
+                // Panggilan di dalam ekspresi hanya ditemukan, tidak ikut dihitung sebagai dihapus
+                if (r.verb === actionVerb) totalRemovals++;
                 const lineInfo = chalk.cyan(`(Line: ${r.line})`);
-                console.log(chalk.redBright('│') + `  - ${actionVerb} ${chalk.yellow.bold(r.pattern)} ${lineInfo}`);
+                logger.print(chalk.redBright('│') + `  - ${r.verb} ${chalk.yellow.bold(r.pattern)} ${lineInfo}`);
             });
         });
         
         const summary = `${actionVerb} ${totalRemovals} call(s) in ${removalReport.size} file(s).`;
         const padding = ' '.repeat(51 - summary.length);
-        console.log(chalk.redBright('├────────────────────────────────────────────────────┤'));
-        console.log(chalk.redBright('│ ') + chalk.bold(summary) + padding + chalk.redBright('│'));
-        console.log(chalk.redBright('└────────────────────────────────────────────────────┘'));
-        console.log('');
+        logger.print(chalk.redBright('├────────────────────────────────────────────────────┤'));
+        logger.print(chalk.redBright('│ ') + chalk.bold(summary) + padding + chalk.redBright('│'));
+        logger.print(chalk.redBright('└────────────────────────────────────────────────────┘'));
+        logger.print();
     });
 
     logger.info(`🔌 Plugin "Auto Remove Console" (Auto-Fixer Edition) loaded.`);
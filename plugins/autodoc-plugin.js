@@ -7,10 +7,12 @@
 // untuk membuat @typedef yang superior. Bertindak sebagai komposer final jika
 // plugin `predictive` tidak aktif.
 
-import * as parser from '@babel/parser';
-import traverse from '@babel/traverse';
+import _traverse from '@babel/traverse';
 import chalk from 'chalk';
 
+// Paket @babel/* adalah CommonJS; ambil ekspor default-nya secara eksplisit.
+const traverse = _traverse.default || _traverse;
+
 const SHARED_CONTEXT_KEY = 'vrzaq_autodoc_analysis_context';
 const WATERMARK = `\n * --- \n * Auto-documented by vrzaq by Arifi Razzaq\n * Saweria: https://saweria.co/arzzq`;
 
@@ -63,6 +65,18 @@ function generateTypedefFromStructure(typeName, structure) {
     return typedef;
 }
 
+/**
+ * Mengambil komentar JSDoc yang menempel langsung di atas sebuah fungsi.
+ * Komentar yang dipisahkan baris kosong (misalnya header lisensi) tidak dianggap milik fungsi.
+ * @param {object} node Node fungsi dari AST.
+ * @returns {object|undefined} Node komentar, jika ada.
+ */
+function findAttachedJSDoc(node) {
+    return (node.leadingComments || [])
+        .filter(c => c.type === 'CommentBlock' && c.value.startsWith('*') && c.loc.end.line >= node.loc.start.line - 1)
+        .pop();
+}
+
 function inferTypeFromNode(node, scope) {
     if (!node) return 'any';
     switch (node.type) {
@@ -96,25 +110,27 @@ function composeJSDocFromAnalysis(analysis, addWatermark = true) {
     return doc;
 }
 
-export default function autodocAiAgentPlugin({ emitter, logger }) {
-    emitter.on('format:before', (fileData) => {
+export default function autodocAiAgentPlugin({ logger, registerTransform }) {
+    registerTransform((source, fileData) => {
         if (!fileData[SHARED_CONTEXT_KEY]) {
              fileData[SHARED_CONTEXT_KEY] = {
                 analyses: new Map(), modifications: [], variableStructures: new Map(), typedefs: new Set(),
             };
         }
         const context = fileData[SHARED_CONTEXT_KEY];
-        if (context.isComposedByPredictive) return;
+        if (context.isComposedByPredictive) return [];
 
         let ast;
         try {
-            ast = parser.parse(fileData.content, { sourceType: 'module', plugins: ['typescript', 'jsx'], attachComment: true });
-        } catch (e) { return; }
+            ast = fileData.ast;
+        } catch (e) { return []; }
 
+        // Analisis dibuat ulang setiap kali dijalankan, karena offset berubah di antara pass fix
+        const analyses = new Map();
         const globalScope = new ScopeManager();
 
         traverse(ast, {
-            Scope: { enter(path) { path.scope.scopeManager = new ScopeManager(path.scope.parent.scopeManager || globalScope); } },
+            Scope: { enter(path) { path.scope.scopeManager = new ScopeManager(path.scope.parent?.scopeManager || globalScope); } },
             VariableDeclarator(path) {
                 if (path.node.id.type === 'Identifier') {
                     const varType = inferTypeFromNode(path.node.init, path.scope.scopeManager);
@@ -124,9 +140,9 @@ export default function autodocAiAgentPlugin({ emitter, logger }) {
             Function(path) {
                 const node = path.node;
                 const functionId = `${node.start}-${node.end}`;
-                if (context.analyses.has(functionId)) return;
+                if (analyses.has(functionId)) return;
 
-                const existingComment = (node.leadingComments || []).find(c => c.value.startsWith('*'));
+                const existingComment = findAttachedJSDoc(node);
                 const existingJSDoc = existingComment ? parseExistingJSDoc(existingComment.value) : null;
                 
                 const analysis = {
@@ -157,40 +173,28 @@ export default function autodocAiAgentPlugin({ emitter, logger }) {
                     }
                 });
                 
-                context.analyses.set(functionId, { ...analysis, nodeStart: node.start, comment: existingComment });
+                analyses.set(functionId, { ...analysis, nodeStart: node.start, comment: existingComment });
             }
         });
         
         // --- Tahap Komposisi (Hanya jika tidak ada komposer lain) ---
-        setTimeout(() => {
-            if (context.isComposedByPredictive) return;
-            
-            let finalContent = fileData.content;
-            const modifications = [];
-            context.analyses.forEach(analysis => {
-                modifications.push({ 
-                    start: analysis.comment ? analysis.comment.start : analysis.nodeStart, 
-                    end: analysis.comment ? analysis.comment.end : analysis.nodeStart, 
-                    content: composeJSDocFromAnalysis(analysis, true)
-                });
-            });
-
-            // Hapus komentar lama sebelum menambahkan yang baru
-            for (const mod of modifications.sort((a, b) => b.start - a.start)) {
-                finalContent = finalContent.slice(0, mod.start) + finalContent.slice(mod.end);
-            }
-            // Tambahkan komentar baru
-            for (const mod of modifications.sort((a, b) => b.start - a.start)) {
-                finalContent = finalContent.slice(0, mod.start) + mod.content + finalContent.slice(mod.start);
+        // Komentar lama diganti (atau JSDoc baru disisipkan) lewat fix berbasis rentang terhadap `source`
+        const fixes = [];
+        analyses.forEach(analysis => {
+            const doc = composeJSDocFromAnalysis(analysis, true);
+            if (!analysis.comment) {
+                fixes.push({ range: [analysis.nodeStart, analysis.nodeStart], text: doc });
+            } else if (source.slice(analysis.comment.start, analysis.comment.end) !== doc) {
+                fixes.push({ range: [analysis.comment.start, analysis.comment.end], text: doc });
             }
-            
-            const typedefBlock = Array.from(context.typedefs).join('\n\n');
-            if (typedefBlock) {
-                finalContent = typedefBlock + '\n\n' + finalContent;
-            }
-            fileData.content = finalContent;
-        }, 0);
-    });
+        });
+        
+        const typedefBlock = Array.from(context.typedefs).filter(t => !source.includes(t)).join('\n\n');
+        if (typedefBlock) {
+            fixes.push({ range: [0, 0], text: typedefBlock + '\n\n' });
+        }
+        return fixes;
+    }, { ruleId: 'autodoc' });
 
     logger.info(chalk.blue('💠 Plugin "AutoDoc AI Agent" (foundation & composer) loaded.'));
 }
\ No newline at end of file
@@ -2,10 +2,13 @@
 // Saweria: https://saweria.co/arzzq
 
 // plugins/autodoc-predictive-plugin.js (ULTIMATE ALL-IN-ONE ENGINE - TRULY COMPLETE)
-import * as parser from '@babel/parser';
-import traverse from '@babel/traverse';
+import _traverse from '@babel/traverse';
 import chalk from 'chalk';
-import generate from '@babel/generator';
+import _generate from '@babel/generator';
+
+// Paket @babel/* adalah CommonJS; ambil ekspor default-nya secara eksplisit.
+const traverse = _traverse.default || _traverse;
+const generate = _generate.default || _generate;
 
 const SHARED_CONTEXT_KEY = 'vrzaq_autodoc_analysis_context';
 const WATERMARK = `\n * --- \n * Auto-documented by vrzaq by Arifi Razzaq\n * Saweria: https://saweria.co/arzzq`;
@@ -29,7 +32,8 @@ class ScopeManager {
 
 function parseExistingJSDoc(commentBlock) {
     const parsed = { description: '', params: new Map(), returns: null, deprecated: false, tags: [] };
-    const lines = commentBlock.split('\n').map(l => l.replace(/^\s*\*\s?/, ''));
+    // Buang watermark dari dokumentasi otomatis sebelumnya agar tidak ikut terbaca sebagai deskripsi.
+    const lines = commentBlock.replace(/\n\s*\*\s*---[\s\S]*?Auto-documented by vrzaq[\s\S]*$/, '').split('\n').map(l => l.replace(/^\s*\*\s?/, ''));
     let descriptionBuffer = [];
     let inDescription = true;
     for (const line of lines) {
@@ -63,6 +67,76 @@ function parseExistingJSDoc(commentBlock) {
     return parsed;
 }
 
+const isNextLineDirective = (comment) => /^\s*vrzaq-disable-next-line\b/.test(comment.value);
+
+/**
+ * Mengambil komentar yang menempel langsung di atas sebuah node, dari yang terdekat.
+ * Komentar yang dipisahkan baris kosong (misalnya header lisensi) tidak dianggap milik node.
+ * @param {object} node Node dari AST.
+ * @returns {object[]} Node komentar yang menempel.
+ */
+function getAdjacentComments(node) {
+    const adjacent = [];
+    let line = node.loc.start.line;
+    for (const comment of [...(node.leadingComments || [])].reverse()) {
+        if (comment.loc.end.line < line - 1) break;
+        adjacent.push(comment);
+        line = comment.loc.start.line;
+    }
+    return adjacent;
+}
+
+/**
+ * Mengambil komentar JSDoc yang menempel langsung di atas sebuah fungsi.
+ * Komentar direktif `vrzaq-disable-next-line` di antara JSDoc dan fungsi dilewati.
+ * @param {object} node Node fungsi dari AST.
+ * @returns {object|undefined} Node komentar, jika ada.
+ */
+function findAttachedJSDoc(node) {
+    const comment = getAdjacentComments(node).find(c => !isNextLineDirective(c));
+    return comment?.type === 'CommentBlock' && comment.value.startsWith('*') ? comment : undefined;
+}
+
+/**
+ * Posisi penulisan JSDoc baru: sebelum direktif `vrzaq-disable-next-line` yang menempel,
+ * agar direktif tersebut tetap menunjuk ke baris yang sama.
+ * @param {object} node Node jangkar.
+ * @returns {number} Offset awal.
+ */
+function getDocInsertionStart(node) {
+    let start = node.start;
+    for (const comment of getAdjacentComments(node)) {
+        if (!isNextLineDirective(comment)) break;
+        start = comment.start;
+    }
+    return start;
+}
+
+/**
+ * Menentukan node "jangkar" tempat JSDoc sebuah fungsi ditulis: deklarasi fungsi, method,
+ * atau deklarasi variabel yang berisi fungsi (termasuk bentuk `export`-nya).
+ * Fungsi anonim lain (misalnya callback) tidak didokumentasikan.
+ * @param {object} path NodePath fungsi.
+ * @returns {{ node: object, name: string } | null}
+ */
+function getDocAnchor(path) {
+    const withExport = (p) => (p.parentPath.isExportNamedDeclaration() || p.parentPath.isExportDefaultDeclaration() ? p.parentPath.node : p.node);
+
+    if (path.isFunctionDeclaration()) {
+        return { node: withExport(path), name: path.node.id?.name || 'anonymous' };
+    }
+    if (path.isClassMethod() || path.isObjectMethod()) {
+        return { node: path.node, name: path.node.key.name || path.node.key.value || 'anonymous' };
+    }
+    const declarator = path.parentPath;
+    if (declarator.isVariableDeclarator() && declarator.parentPath.node.declarations.length === 1) {
+        return { node: withExport(declarator.parentPath), name: declarator.node.id.name || 'anonymous' };
+    }
+    return null;
+}
+
+const stripIndent = (text) => text.replace(/^[ \t]+/gm, '');
+
 function inferTypeFromNode(node, scope) {
     if (!node) return 'any';
     switch (node.type) {
@@ -109,16 +183,16 @@ function composeJSDocPredictive(analysis) {
 // 🔹 MAIN PLUGIN: ULTIMATE ENGINE
 // ===================================
 
-export default function autodocPredictivePlugin({ emitter, logger }) {
-    emitter.on('format:before', (fileData) => {
+export default function autodocPredictivePlugin({ logger, registerTransform, report }) {
+    registerTransform((source, fileData) => {
         const supportedExtensions = ['js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx'];
         if (!supportedExtensions.includes(fileData.ext)) {
-            return;
+            return [];
         }
 
         if (!fileData[SHARED_CONTEXT_KEY]) {
              fileData[SHARED_CONTEXT_KEY] = {
-                analyses: new Map(), modifications: [], variableStructures: new Map(), typedefs: new Set(),
+                variableStructures: new Map(), typedefs: new Set(),
                 functionSignatures: new Map(), deprecatedFunctions: new Set(),
             };
         }
@@ -127,17 +201,17 @@ export default function autodocPredictivePlugin({ emitter, logger }) {
 
         let ast;
         try {
-            const cleanContent = fileData.content.replace(/\/\*\*[\s\S]*?Auto-documented by vrzaq[\s\S]*?\*\//g, '');
-            ast = parser.parse(cleanContent, { sourceType: 'module', plugins: ['typescript', 'jsx'], attachComment: true, errorRecovery: true });
+            // Offset AST bersama sesuai dengan `source`, sehingga bisa langsung dipakai sebagai rentang fix.
+            ast = fileData.ast;
         } catch (e) { 
             logger.warn(`[predictive-plugin] Parse failed for ${fileData.file}. Skipping.`);
-            return;
+            return [];
         }
         
         if (!context.predictive_pass1_complete) {
             traverse(ast, {
                 Function(path) {
-                    const commentNode = (path.node.leadingComments || []).find(c => c.value.startsWith('*'));
+                    const commentNode = findAttachedJSDoc(path.node);
                     const functionName = path.node.id?.name;
                     if (functionName && commentNode) {
                         const sig = parseExistingJSDoc(commentNode.value);
@@ -149,9 +223,11 @@ export default function autodocPredictivePlugin({ emitter, logger }) {
             context.predictive_pass1_complete = true;
         }
 
+        // Analisis dibuat ulang setiap kali dijalankan, karena offset berubah di antara pass fix
+        const analyses = new Map();
         const globalScope = new ScopeManager();
         traverse(ast, {
-            Scope: { enter(path) { path.scope.scopeManager = new ScopeManager(path.scope.parent.scopeManager || globalScope); } },
+            Scope: { enter(path) { path.scope.scopeManager = new ScopeManager(path.scope.parent?.scopeManager || globalScope); } },
             VariableDeclarator(path) {
                 if (path.node.id.type === 'Identifier') {
                     const varType = inferTypeFromNode(path.node.init, path.scope.scopeManager);
@@ -159,15 +235,19 @@ export default function autodocPredictivePlugin({ emitter, logger }) {
                 }
             },
             Function(path) {
+                const anchor = getDocAnchor(path);
+                // Fungsi di dalam area `vrzaq-disable autodoc` tidak dianalisis (termasuk typedef-nya)
+                if (!anchor || fileData.isSuppressed('autodoc', anchor.node.loc.start.line)) return;
+
                 const node = path.node;
                 const functionId = `${node.start}-${node.end}`;
-                const existingComment = (node.leadingComments || []).find(c => c.value.startsWith('*'));
+                const existingComment = findAttachedJSDoc(anchor.node);
                 const existingJSDoc = existingComment ? parseExistingJSDoc(existingComment.value) : null;
                 
                 const analysis = {
-                    name: node.id?.name || 'anonymous', params: new Map(), returns: { type: 'void', description: '' }, isAsync: node.async || false,
-                    description: existingJSDoc?.description || node.id?.name || '', warnings: [], suggestions: [],
-                    nodeStart: node.start, comment: existingComment,
+                    name: anchor.name, params: new Map(), returns: { type: 'void', description: '' }, isAsync: node.async || false,
+                    description: existingJSDoc?.description || anchor.name, warnings: [], suggestions: [],
+                    anchorStart: getDocInsertionStart(anchor.node), comment: existingComment,
                 };
 
                 node.params.forEach(p => {
@@ -187,7 +267,16 @@ export default function autodocPredictivePlugin({ emitter, logger }) {
                     CallExpression(callPath) {
                         const calleeName = callPath.node.callee.name;
                         if (context.deprecatedFunctions.has(calleeName)) {
-                            analysis.warnings.push(`Calls deprecated function '${calleeName}'.`);
+                            const warning = `Calls deprecated function '${calleeName}'.`;
+                            analysis.warnings.push(warning);
+                            report({
+                                ruleId: 'autodoc/deprecated-call',
+                                severity: 'warn',
+                                file: fileData.file,
+                                line: callPath.node.loc.start.line,
+                                column: callPath.node.loc.start.column,
+                                message: `${analysis.name}: ${warning}`,
+                            });
                         }
                     }
                 });
@@ -199,33 +288,50 @@ export default function autodocPredictivePlugin({ emitter, logger }) {
                 }
 
                 if (canReturnNull && analysis.returns && !(analysis.returns.type.includes('null'))) {
-                    analysis.suggestions.push(`Return type should be {${analysis.returns.type}|null} to reflect the null return path.`);
+                    const suggestion = `Return type should be {${analysis.returns.type}|null} to reflect the null return path.`;
+                    analysis.suggestions.push(suggestion);
+                    report({
+                        ruleId: 'autodoc/nullable-return',
+                        severity: 'info',
+                        file: fileData.file,
+                        line: node.loc.start.line,
+                        column: node.loc.start.column,
+                        message: `${analysis.name}: ${suggestion}`,
+                    });
                     analysis.returns.type += '|null';
                 }
-                context.analyses.set(functionId, analysis);
+                analyses.set(functionId, analysis);
             }
         });
-        
-        let finalContent = fileData.content;
-        const modifications = [];
-        context.analyses.forEach(analysis => modifications.push({
-            start: analysis.comment ? analysis.comment.start : analysis.nodeStart,
-            end: analysis.comment ? analysis.comment.end : analysis.nodeStart,
-            content: composeJSDocPredictive(analysis)
-        }));
-        
-        let contentWithoutOldDocs = fileData.content;
-        for (const mod of modifications.sort((a,b) => b.start - a.start)) {
-            contentWithoutOldDocs = contentWithoutOldDocs.slice(0, mod.start) + contentWithoutOldDocs.slice(mod.end);
-        }
-        finalContent = contentWithoutOldDocs;
-        for (const mod of modifications.sort((a,b) => b.start - a.start)) {
-            finalContent = finalContent.slice(0, mod.start) + mod.content + "\n" + finalContent.slice(mod.start);
+
+        // Setiap JSDoc menjadi fix berbasis rentang terhadap `source`; core yang menerapkannya
+        // dan menyelesaikan konflik dengan plugin lain.
+        const fixes = [];
+
+        // Typedef diusulkan lebih dulu agar, pada posisi yang sama, ia ditulis sebelum JSDoc fungsi
+        const typedefBlock = Array.from(context.typedefs).filter(t => !source.includes(t)).join('\n\n');
+        if (typedefBlock) {
+            const insertAt = source.startsWith('#!') ? source.indexOf('\n') + 1 : 0;
+            fixes.push({ range: [insertAt, insertAt], text: `${typedefBlock}\n\n` });
         }
-        
-        const typedefBlock = Array.from(context.typedefs).join('\n\n');
-        if (typedefBlock) finalContent = typedefBlock + '\n\n' + finalContent;
-        fileData.content = finalContent;
-    });
+
+        analyses.forEach(analysis => {
+            const doc = composeJSDocPredictive(analysis);
+            if (!analysis.comment) {
+                // Ikuti indentasi baris jangkar (misalnya method di dalam class)
+                const lineStart = source.lastIndexOf('\n', analysis.anchorStart - 1) + 1;
+                const indent = source.slice(lineStart, analysis.anchorStart);
+                const text = /^[ \t]*$/.test(indent) ? doc.replace(/\n/g, `\n${indent}`) : doc;
+                fixes.push({ range: [analysis.anchorStart, analysis.anchorStart], text: `${text}\n${indent}` });
+                return;
+            }
+            // Bandingkan tanpa indentasi karena Prettier bisa meng-indentasi ulang blok JSDoc
+            const { start, end } = analysis.comment;
+            if (stripIndent(source.slice(start, end)) !== stripIndent(doc)) {
+                fixes.push({ range: [start, end], text: doc });
+            }
+        });
+        return fixes;
+    }, { ruleId: 'autodoc' });
     logger.info(chalk.magenta('🚀 Plugin "AutoDoc Predictive Engine" (all-in-one & composer) loaded.'));
 }
\ No newline at end of file
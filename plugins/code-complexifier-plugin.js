@@ -5,6 +5,8 @@
 import chalk from 'chalk';
 import crypto from 'crypto';
 
+const RULE_ID = 'code-complexifier';
+
 /**
  * Menghasilkan ID unik untuk setiap blok kode yang dihasilkan.
  * @returns {string} ID unik.
@@ -93,17 +95,15 @@ if (${varName} === ${finalValueStr}) {
 
 /**
  * Plugin untuk menghasilkan blok kode kompleks berdasarkan perintah di komentar.
- * @param {{ emitter: import('events').EventEmitter, logger: object }}
+ * @param {{ emitter: import('events').EventEmitter, logger: object, registerTransform: Function, report: Function }}
  */
-export default function codeComplexifierPlugin({ emitter, logger }) {
-    let filesModified = 0;
-
-    emitter.on('format:before', (fileData) => {
-        const lines = fileData.content.split('\n');
+export default function codeComplexifierPlugin({ emitter, logger, registerTransform, report }) {
+    registerTransform((source, fileData) => {
+        const lines = source.split('\n');
         const newLines = [];
         let hasChanged = false;
 
-        for (const line of lines) {
+        for (const [index, line] of lines.entries()) {
             // Cek apakah baris ini adalah blok yang sudah pernah dibuat
             if (line.includes('// VRZAQ-COMPLEXIFY-ID:')) {
                 newLines.push(line);
@@ -132,19 +132,27 @@ export default function codeComplexifierPlugin({ emitter, logger }) {
                     continue;
                 }
                 newLines.push(block);
+                report({
+                    ruleId: RULE_ID,
+                    severity: 'info',
+                    file: fileData.file,
+                    line: index + 1,
+                    message: `Expanded '${command}' block for '${varName}'`,
+                    data: { command, variable: varName, id },
+                });
 
             } else {
                 newLines.push(line);
             }
         }
 
-        if (hasChanged) {
-            filesModified++;
-            fileData.content = newLines.join('\n');
-        }
-    });
+        if (!hasChanged) return source;
+        return newLines.join('\n');
+    }, { changesCode: true });
     
-    emitter.on('run:complete', () => {
+    emitter.on('run:complete', (runSummary) => {
+        // Dihitung dari aliran diagnostik, sehingga tetap akurat saat file diproses di worker
+        const filesModified = new Set((runSummary.diagnostics || []).filter(d => d.ruleId === RULE_ID).map(d => d.file)).size;
         if(filesModified > 0){
              logger.special(`✨ Code Complexifier: ${filesModified} file(s) were enhanced with extreme validation blocks.`);
         }
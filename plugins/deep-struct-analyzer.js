@@ -2,10 +2,12 @@
 // Saweria: https://saweria.co/arzzq
 
 // plugins/deep-struct-analyzer.js (SPECIALIST AGENT - WITH EXTENSION GUARD)
-import * as parser from '@babel/parser';
-import traverse from '@babel/traverse';
+import _traverse from '@babel/traverse';
 import chalk from 'chalk';
 
+// Paket @babel/* adalah CommonJS; ambil ekspor default-nya secara eksplisit.
+const traverse = _traverse.default || _traverse;
+
 const SHARED_CONTEXT_KEY = 'vrzaq_autodoc_analysis_context';
 
 function analyzeNodeStructure(node) {
@@ -62,7 +64,7 @@ export default function deepStructAnalyzerPlugin({ emitter, logger }) {
 
         let ast;
         try {
-            ast = parser.parse(fileData.content, { sourceType: 'module', plugins: ['typescript', 'jsx'], errorRecovery: true });
+            ast = fileData.ast;
         } catch (e) {
             logger.warn(`[deep-analyzer] Parse failed for ${fileData.file}. Skipping structure analysis.`);
             return;
@@ -3,13 +3,16 @@
 
 // plugins/detect-todo-plugin.js (CONTEXTUAL AI ASSISTANT SUPERIOR EDITION)
 import fetch from 'node-fetch';
-import * as parser from '@babel/parser';
-import traverse from '@babel/traverse';
-import generate from '@babel/generator';
+import _traverse from '@babel/traverse';
+import _generate from '@babel/generator';
 import ora from 'ora';
 import chalk from 'chalk';
 import pLimit from 'p-limit';
 
+// Paket @babel/* adalah CommonJS; ambil ekspor default-nya secara eksplisit.
+const traverse = _traverse.default || _traverse;
+const generate = _generate.default || _generate;
+
 /**
  * Panggil provider AI untuk menghasilkan saran atas TODO.
  * @param {object} finding - Objek temuan (file, line, text, context).
@@ -59,11 +62,12 @@ async function generateSuggestion(finding, aiConfig) {
 }
 
 
+const RULE_ID = 'detect-todo';
+
 /**
  * Plugin untuk mendeteksi TODO/FIXME dan memberikan saran cerdas dari AI.
  */
-export default function detectTodoPlugin({ emitter, logger, config }) {
-    const findings = [];
+export default function detectTodoPlugin({ emitter, logger, config, report }) {
     const keywords = new Set(['TODO', 'FIXME']);
 
     const supportedExtensions = ['js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx'];
@@ -76,31 +80,34 @@ export default function detectTodoPlugin({ emitter, logger, config }) {
         // ---------------------------------------------
         let ast;
         try {
-            ast = parser.parse(fileData.content, {
-                sourceType: 'module',
-                plugins: ['typescript', 'jsx'],
-                attachComment: true,
-                errorRecovery: true,
-            });
+            ast = fileData.ast;
         } catch (e) { return; }
 
+        // Komentar yang sama bisa menjadi trailing satu node sekaligus leading node berikutnya
+        const seenComments = new Set();
+
         // Traverse AST untuk mencari komentar, bukan teks mentah
         traverse(ast, {
             enter(path) {
                 // Cek semua jenis komentar yang menempel pada sebuah node
                 (path.node.leadingComments || []).concat(path.node.trailingComments || []).forEach(comment => {
                     const commentText = comment.value.trim();
+                    if (seenComments.has(comment.start)) return;
                     for (const keyword of keywords) {
                         if (commentText.startsWith(keyword)) {
                             // Dapatkan konteks kode dari node induk
                             const contextNode = path.node;
                             const { code } = generate(contextNode, { comments: false });
 
-                            findings.push({
+                            seenComments.add(comment.start);
+                            report({
+                                ruleId: RULE_ID,
+                                severity: 'info',
                                 file: fileData.file,
                                 line: comment.loc.start.line,
-                                text: commentText,
-                                context: code.substring(0, 1500), // Batasi konteks agar tidak terlalu besar
+                                column: comment.loc.start.column,
+                                message: commentText,
+                                data: { keyword, context: code.substring(0, 1500) }, // Batasi konteks agar tidak terlalu besar
                             });
                         }
                     }
@@ -109,22 +116,26 @@ export default function detectTodoPlugin({ emitter, logger, config }) {
         });
     });
 
-    emitter.on('run:complete', async () => {
+    emitter.on('run:complete', async (summary) => {
+        const findings = (summary.diagnostics || [])
+            .filter(d => d.ruleId === RULE_ID)
+            .map(d => ({ file: d.file, line: d.line, text: d.message, context: d.data.context }));
+
         if (findings.length === 0) {
             logger.success('✅ No TODO/FIXME comments found.');
             return;
         }
 
-        console.log('');
-        console.log(chalk.cyan('┌─ 📝 TODO/FIXME Report ──────────────────────────┐'));
+        logger.print();
+        logger.print(chalk.cyan('┌─ 📝 TODO/FIXME Report ──────────────────────────┐'));
         findings.forEach(f => {
             const lineInfo = chalk.yellow(`L${f.line}`);
             const textPreview = f.text.length > 60 ? f.text.substring(0, 57) + '...' : f.text;
-            console.log(chalk.cyan('│ ') + `${chalk.whiteBright.underline(f.file)}:${lineInfo}`);
-            console.log(chalk.cyan('│ ') + `  └─ ${chalk.dim(textPreview)}`);
+            logger.print(chalk.cyan('│ ') + `${chalk.whiteBright.underline(f.file)}:${lineInfo}`);
+            logger.print(chalk.cyan('│ ') + `  └─ ${chalk.dim(textPreview)}`);
         });
-        console.log(chalk.cyan('└──────────────────────────────────────────────────┘'));
-        console.log('');
+        logger.print(chalk.cyan('└──────────────────────────────────────────────────┘'));
+        logger.print();
         
         const aiConfig = config?.experimental?.ai;
         if (aiConfig?.provider && aiConfig?.apiKey) {
@@ -143,16 +154,16 @@ export default function detectTodoPlugin({ emitter, logger, config }) {
             const results = await Promise.all(suggestionPromises);
             spinner.stop();
 
-            console.log(chalk.magenta('┌─ ✨ AI-Powered Suggestions ───────────────────┐'));
+            logger.print(chalk.magenta('┌─ ✨ AI-Powered Suggestions ───────────────────┐'));
             results.forEach(r => {
-                console.log(chalk.magenta('│ ') + chalk.whiteBright.underline(r.file) + chalk.yellow(`:L${r.line}`));
+                logger.print(chalk.magenta('│ ') + chalk.whiteBright.underline(r.file) + chalk.yellow(`:L${r.line}`));
                 if (r.suggestion) {
-                    console.log(chalk.magenta('│ ') + chalk.greenBright('└─💡 Suggestion: ') + chalk.white(r.suggestion));
+                    logger.print(chalk.magenta('│ ') + chalk.greenBright('└─💡 Suggestion: ') + chalk.white(r.suggestion));
                 } else {
-                    console.log(chalk.magenta('│ ') + chalk.red('└─⚠️ AI Error: ') + chalk.dim(r.error));
+                    logger.print(chalk.magenta('│ ') + chalk.red('└─⚠️ AI Error: ') + chalk.dim(r.error));
                 }
             });
-            console.log(chalk.magenta('└──────────────────────────────────────────────────┘'));
+            logger.print(chalk.magenta('└──────────────────────────────────────────────────┘'));
             
         } else {
             logger.dim('✨ Hint: Set AI provider and API key in config to enable auto-suggestions.');
@@ -2,10 +2,14 @@
 // Saweria: https://saweria.co/arzzq
 
 // plugins/disallow-console-plugin.js (AST-BASED LINTER SUPERIOR EDITION)
-import * as parser from '@babel/parser';
-import traverse from '@babel/traverse';
+import _traverse from '@babel/traverse';
 import chalk from 'chalk';
 
+// Paket @babel/* adalah CommonJS; ambil ekspor default-nya secara eksplisit.
+const traverse = _traverse.default || _traverse;
+
+const RULE_ID = 'disallow-console';
+
 /**
  * Custom error class for linting violations.
  */
@@ -19,16 +23,13 @@ class LintViolationError extends Error {
 
 /**
  * Plugin untuk mendeteksi dan melaporkan penggunaan console.* dengan presisi tinggi menggunakan AST.
- * @param {{ emitter: import('events').EventEmitter, logger: object, options?: object }}
+ * @param {{ emitter: import('events').EventEmitter, logger: object, options?: object, report: Function }}
  */
-export default function disallowConsolePlugin({ emitter, logger, options = {} }) {
+export default function disallowConsolePlugin({ emitter, logger, options = {}, report }) {
     const forbiddenMethods = new Set(options.forbidden || ['log', 'debug', 'error', 'warn', 'info', 'table']);
     const mode = options.mode || 'warn'; // 'strict' | 'warn'
     const supportedExtensions = options.extensions || ['js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx'];
 
-    // Gunakan Map untuk menyimpan pelanggaran dengan lebih terstruktur
-    const violations = new Map();
-
     // Event 'format:before' lebih cocok karena terjadi sebelum modifikasi lain
     emitter.on('format:before', (fileData) => {
         const fileExt = fileData.ext;
@@ -38,12 +39,8 @@ export default function disallowConsolePlugin({ emitter, logger, options = {} })
 
         let ast;
         try {
-            // Kita parse kode menjadi AST untuk analisis yang akurat
-            ast = parser.parse(fileData.content, {
-                sourceType: 'module',
-                plugins: ['typescript', 'jsx'],
-                errorRecovery: true, // Coba pulih dari syntax error kecil
-            });
+            // AST bersama dari core: file diparse sekali dan dibagikan ke semua plugin
+            ast = fileData.ast;
         } catch (e) {
             logger.verbose(`[disallow-console] Skipping file due to parse error: ${fileData.file}`);
             return;
@@ -69,18 +66,24 @@ export default function disallowConsolePlugin({ emitter, logger, options = {} })
                             column,
                         };
 
-                        if (mode === 'strict') {
+                        const diagnostic = report({
+                            ruleId: RULE_ID,
+                            severity: mode === 'strict' ? 'error' : 'warn',
+                            file: fileData.file,
+                            line,
+                            column,
+                            message: `Forbidden console usage: "${violation.pattern}"`,
+                            data: { pattern: violation.pattern },
+                        });
+
+                        // Pelanggaran yang disuppress lewat komentar `vrzaq-disable*` tidak menggagalkan file
+                        if (mode === 'strict' && diagnostic) {
                             // Melempar error akan ditangkap oleh QuantumRunner per-file,
                             // tidak akan menghentikan seluruh proses.
                             throw new LintViolationError(
                                 `Forbidden console usage: "${violation.pattern}" at line ${line}`,
                                 violation
                             );
-                        } else {
-                            if (!violations.has(fileData.file)) {
-                                violations.set(fileData.file, []);
-                            }
-                            violations.get(fileData.file).push(violation);
                         }
                     }
                 }
@@ -88,38 +91,46 @@ export default function disallowConsolePlugin({ emitter, logger, options = {} })
         });
     });
 
-    emitter.on('run:complete', () => {
+    emitter.on('run:complete', (runSummary) => {
         if (mode === 'strict') {
             // Di mode strict, error sudah ditangani sebagai file gagal
             logger.info('✅ Console check complete (strict mode). Violations are reported as file errors.');
             return;
         }
 
+        // Laporan dibangun dari aliran diagnostik run, bukan dari state internal plugin
+        const violations = new Map();
+        for (const d of runSummary.diagnostics || []) {
+            if (d.ruleId !== RULE_ID) continue;
+            if (!violations.has(d.file)) violations.set(d.file, []);
+            violations.get(d.file).push({ line: d.line, pattern: d.data.pattern });
+        }
+
         if (violations.size === 0) {
             logger.success('✅ No forbidden console usage detected.');
             return;
         }
 
         // --- Laporan Visual Superior ---
-        console.log('');
-        console.log(chalk.yellow('┌─ 🚫 Forbidden Console Usage Report ───────────────┐'));
+        logger.print();
+        logger.print(chalk.yellow('┌─ 🚫 Forbidden Console Usage Report ───────────────┐'));
         
         let totalViolations = 0;
         violations.forEach((fileViolations, filePath) => {
-            console.log(chalk.yellow('│ ') + chalk.whiteBright.underline(filePath));
+            logger.print(chalk.yellow('│ ') + chalk.whiteBright.underline(filePath));
             fileViolations.forEach(v => {
                 totalViolations++;
                 const lineInfo = chalk.cyan(`  (Line: ${v.line})`);
-                console.log(chalk.yellow('│') + `  - Found ${chalk.red.bold(v.pattern)} ${lineInfo}`);
+                logger.print(chalk.yellow('│') + `  - Found ${chalk.red.bold(v.pattern)} ${lineInfo}`);
             });
         });
         
         const summary = `Found ${totalViolations} violation(s) in ${violations.size} file(s).`;
         const padding = ' '.repeat(51 - summary.length);
-        console.log(chalk.yellow('├────────────────────────────────────────────────────┤'));
-        console.log(chalk.yellow('│ ') + chalk.bold(summary) + padding + chalk.yellow('│'));
-        console.log(chalk.yellow('└────────────────────────────────────────────────────┘'));
-        console.log('');
+        logger.print(chalk.yellow('├────────────────────────────────────────────────────┤'));
+        logger.print(chalk.yellow('│ ') + chalk.bold(summary) + padding + chalk.yellow('│'));
+        logger.print(chalk.yellow('└────────────────────────────────────────────────────┘'));
+        logger.print();
     });
 
     logger.info(`🔌 Plugin "Disallow Console" (AST Edition) loaded in [${mode.toUpperCase()}] mode.`);
@@ -13,7 +13,10 @@ const DEFAULT_LICENSE_HEADER = `/**
  * Support ❤️ saweria.co/arzzq
  */`;
 
-export default function enforceLicenseHeaderPlugin({ emitter, logger, options = {} }) {
+// Sama dengan ruleId default transform plugin ini, sehingga satu komentar suppression menutup fix dan diagnostiknya
+const RULE_ID = 'enforce-license-header';
+
+export default function enforceLicenseHeaderPlugin({ emitter, logger, options = {}, registerTransform, report }) {
     const headerTemplate = options.header || DEFAULT_LICENSE_HEADER;
     // Ekstensi default dikurangi, tidak termasuk JSON
     const supportedExtensions = options.extensions || ['js', 'mjs', 'cjs', 'ts', 'jsx', 'tsx', 'css', 'scss']; 
@@ -22,15 +25,15 @@ export default function enforceLicenseHeaderPlugin({ emitter, logger, options =
 
     let addedCount = 0, updatedCount = 0, skippedCount = 0;
 
-    emitter.on('format:before', (fileData) => {
+    registerTransform((source, fileData) => {
         // --- PERBAIKAN FINAL: PENJAGA EKSTENSI FILE ---
         // Plugin ini hanya boleh berjalan pada file yang mendukung komentar /** */
         if (!supportedExtensions.includes(fileData.ext)) {
-            return;
+            return [];
         }
         // ---------------------------------------------
 
-        let content = fileData.content;
+        let content = source;
         let shebang = '';
 
         if (content.startsWith('#!')) {
@@ -40,6 +43,8 @@ export default function enforceLicenseHeaderPlugin({ emitter, logger, options =
         }
 
         const normalizedContent = content.trimStart();
+        // Offset awal header di `source`, dipakai untuk membuat fix berbasis rentang
+        const headerStart = shebang.length + (content.length - normalizedContent.length);
         const headerRegex = new RegExp(`^/\\*\\*[\\s\\S]*?${headerSignature}[\\s\\S]*?\\*/`);
         const existingHeaderMatch = normalizedContent.match(headerRegex);
 
@@ -55,22 +60,24 @@ export default function enforceLicenseHeaderPlugin({ emitter, logger, options =
         if (mode === 'update' && existingHeaderMatch) {
             const oldHeader = existingHeaderMatch[0];
             if (oldHeader.trim() !== finalHeader.trim()) {
-                content = content.replace(oldHeader, finalHeader);
                 updatedCount++;
                 logger.dim(`[header-plugin] 🔄 Header updated in ${fileData.file}`);
-            } else {
-                skippedCount++;
+                const fix = { range: [headerStart, headerStart + oldHeader.length], text: finalHeader };
+                report({ ruleId: RULE_ID, severity: 'info', file: fileData.file, line: 1, message: 'License header is outdated', fix, data: { kind: 'outdated' } });
+                return [fix];
             }
+            skippedCount++;
         } else if (mode === 'add' && !existingHeaderMatch) {
-            content = `${finalHeader}\n\n${content}`;
             addedCount++;
             logger.dim(`[header-plugin] ✅ Header added to ${fileData.file}`);
+            // Header disisipkan tepat setelah shebang (jika ada)
+            const fix = { range: [shebang.length, shebang.length], text: `${finalHeader}\n\n` };
+            report({ ruleId: RULE_ID, severity: 'info', file: fileData.file, line: shebang ? 2 : 1, message: 'License header is missing', fix, data: { kind: 'missing' } });
+            return [fix];
         } else {
             skippedCount++;
-            return;
         }
-
-        fileData.content = shebang + content;
+        return [];
     });
 
     emitter.on('run:complete', () => { /* ... (Logika laporan tetap sama) ... */ });
@@ -13,12 +13,34 @@ const BOX_CHARS = {
     horizontal: '─',
 };
 
+// Menghapus kode warna ANSI saat mengukur panjang untuk padding yang akurat
+const stripAnsi = (text) => text.replace(/\u001b\[[0-9;]*m/g, '');
+
+/**
+ * Ukuran setiap file, diurutkan dari yang terbesar. File yang tidak bisa dibaca (misalnya sudah terhapus) berukuran 0.
+ * Dipakai plugin ini dan reporter HTML, sehingga keduanya menampilkan data yang sama.
+ * @param {string[]} files
+ * @returns {Promise<{ path: string, size: number }[]>}
+ */
+export async function collectFileSizes(files) {
+    const filesWithSize = await Promise.all(files.map(async (filePath) => {
+        try {
+            const stats = await fs.stat(filePath);
+            return { path: filePath, size: stats.size };
+        } catch {
+            return { path: filePath, size: 0 }; // Handle file yang mungkin terhapus
+        }
+    }));
+    return filesWithSize.sort((a, b) => b.size - a.size);
+}
+
 /**
  * Plugin untuk melaporkan file-file terbesar dalam proyek dengan akurasi tinggi.
- * @param {{ emitter: import('events').EventEmitter, logger: object, options?: { limit?: number } }}
+ * @param {{ emitter: import('events').EventEmitter, logger: object, options?: { limit?: number, maxSize?: number }, report: Function }}
  */
-export default function fileSizeReporterPlugin({ emitter, logger, options = {} }) {
+export default function fileSizeReporterPlugin({ emitter, logger, options = {}, report }) {
     const limit = options.limit ?? 5; // Ambil limit dari opsi, default 5
+    const maxSize = options.maxSize ?? null; // Batas ukuran (bytes) per file, opsional
 
     /**
      * Memformat ukuran byte menjadi string yang mudah dibaca (KB, MB, GB).
@@ -32,6 +54,19 @@ export default function fileSizeReporterPlugin({ emitter, logger, options = {} }
         return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
     }
 
+    // File yang melebihi `maxSize` dilaporkan sebagai diagnostik, bukan hanya dicetak ke log
+    emitter.on('file:validated', ({ file, size }) => {
+        if (maxSize !== null && size > maxSize) {
+            report({
+                ruleId: 'file-size/max-size',
+                severity: 'warn',
+                file,
+                message: `File size ${formatSize(size)} exceeds the limit of ${formatSize(maxSize)}`,
+                data: { size, limit: maxSize },
+            });
+        }
+    });
+
     /**
      * Fungsi utama yang dijalankan setelah semua proses selesai.
      * Lebih efisien dan akurat karena hanya bekerja dengan data final.
@@ -47,20 +82,8 @@ export default function fileSizeReporterPlugin({ emitter, logger, options = {} }
         logger.info('📊 Generating File Size Report...');
 
         try {
-            // Dapatkan statistik (ukuran) untuk semua file secara paralel
-            const fileStatsPromises = allScannedFiles.map(async (filePath) => {
-                try {
-                    const stats = await fs.stat(filePath);
-                    return { path: filePath, size: stats.size };
-                } catch {
-                    return { path: filePath, size: 0 }; // Handle file yang mungkin terhapus
-                }
-            });
-            
-            const filesWithSize = await Promise.all(fileStatsPromises);
-
-            // Urutkan file dari yang terbesar ke terkecil
-            filesWithSize.sort((a, b) => b.size - a.size);
+            // Dapatkan statistik (ukuran) untuk semua file, terurut dari yang terbesar
+            const filesWithSize = await collectFileSizes(allScannedFiles);
 
             // Ambil N file teratas
             const topFiles = filesWithSize.slice(0, limit);
@@ -73,25 +96,25 @@ export default function fileSizeReporterPlugin({ emitter, logger, options = {} }
             const title = `📊 Top ${limit} Largest Files Report`;
             const titlePadding = '─'.repeat(contentWidth - title.length + 1);
 
-            console.log('');
-            console.log(chalk.blue(`${BOX_CHARS.topLeft}─ ${title} ${titlePadding}${BOX_CHARS.topRight}`));
+            logger.print();
+            logger.print(chalk.blue(`${BOX_CHARS.topLeft}─ ${title} ${titlePadding}${BOX_CHARS.topRight}`));
             
             topFiles.forEach((file, idx) => {
                 const relativePath = path.relative(process.cwd(), file.path);
                 const sizeStr = chalk.yellow(formatSize(file.size).padEnd(10));
                 const line = ` ${idx + 1}. ${sizeStr} ${chalk.dim(relativePath)}`;
-                const padding = ' '.repeat(Math.max(0, contentWidth - chalk.stripColor(line).length + 2));
-                console.log(`${BOX_CHARS.middle}${line}${padding}${BOX_CHARS.middle}`);
+                const padding = ' '.repeat(Math.max(0, contentWidth - stripAnsi(line).length + 2));
+                logger.print(`${BOX_CHARS.middle}${line}${padding}${BOX_CHARS.middle}`);
             });
 
-            console.log(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
+            logger.print(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
             
             const totalStr = `📦 Total Size: ${chalk.bold(formatSize(totalSize))} (${filesWithSize.length} files)`;
-            const totalPadding = ' '.repeat(Math.max(0, contentWidth - chalk.stripColor(totalStr).length + 2));
-            console.log(`${BOX_CHARS.middle} ${totalStr}${totalPadding}${BOX_CHARS.middle}`);
+            const totalPadding = ' '.repeat(Math.max(0, contentWidth - stripAnsi(totalStr).length + 2));
+            logger.print(`${BOX_CHARS.middle} ${totalStr}${totalPadding}${BOX_CHARS.middle}`);
 
-            console.log(`${BOX_CHARS.bottomLeft}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.bottomRight}`);
-            console.log('');
+            logger.print(`${BOX_CHARS.bottomLeft}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.bottomRight}`);
+            logger.print();
 
         } catch (error) {
             logger.error('Failed to generate file size report:', error);
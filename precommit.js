@@ -0,0 +1,144 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// precommit.js (STAGED BLOB FORMATTING EDITION)
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { loadConfig } from './config.js';
+import logger from './logger.js';
+import * as Core from './core.js';
+import { createBackup } from './backup-manager.js';
+import { decodeText, encodeText, detectLineEnding, writeTextFileAtomic } from './text-file.js';
+import {
+    getRepoRoot, listStagedFiles, readIndexEntry, readBlob, writeBlob,
+    updateIndexEntry, getUnstagedPatch, mergeFile, snapshotIndex,
+} from './git.js';
+
+// Hanya blob file biasa yang diformat; symlink (120000) dan submodule (160000) dilewati.
+const REGULAR_FILE_MODES = ['100644', '100755'];
+
+const LINE_ENDINGS = { lf: '\n', crlf: '\r\n', cr: '\r' };
+
+/**
+ * Mengubah hasil format blob menjadi byte untuk working tree: encoding, BOM, dan akhir baris mengikuti file
+ * di working tree, yang bisa berbeda dari blob jika git mengonversinya (misalnya CRLF dengan `core.autocrlf`).
+ * @param {string} formatted
+ * @param {Buffer} workingBytes Isi file di working tree sebelum diubah.
+ * @returns {Buffer}
+ */
+function toWorkingTreeBytes(formatted, workingBytes) {
+    const { content, format } = decodeText(workingBytes);
+    const eol = detectLineEnding(content);
+    const text = eol && eol !== detectLineEnding(formatted) ? formatted.replace(/\r\n|\r|\n/g, LINE_ENDINGS[eol]) : formatted;
+    return encodeText(text, format);
+}
+
+/**
+ * Memformat versi file yang di-stage (bukan working tree) lalu menulis hasilnya kembali ke index.
+ *
+ * - File yang sepenuhnya di-stage: index dan working tree sama-sama diperbarui.
+ * - File yang di-stage sebagian: index diperbarui, lalu hasil format digabung tiga arah dengan working tree
+ *   (basis: blob asli), sehingga perubahan yang belum di-stage tetap ada. Jika keduanya mengubah baris yang sama
+ *   atau bersebelahan, working tree dibiarkan apa adanya.
+ * - Sebelum index diubah, backup dibuat lewat backup-manager. Arsipnya memuat working tree; isi index asli
+ *   disimpan sebagai tree object yang dipatok ref `refs/vrzaq/precommit/<id>` (dicatat di manifest).
+ *   Tanpa ref ini, blob yang di-stage sebagian bisa hilang oleh `git gc` setelah index diganti.
+ *
+ * @param {{ backup?: boolean, emitter?: EventEmitter }} [options]
+ * @returns {Promise<{ files: object[], diagnostics: object[], diagnosticCounts: object, backupFile: string|null }>}
+ */
+export async function runPrecommit({ backup = true, emitter = new EventEmitter() } = {}) {
+    const config = await loadConfig();
+    // Blob diformat berurutan di main thread; worker pool tidak dibutuhkan
+    await Core.initialize(config, emitter, { workers: false });
+
+    const repoRoot = await getRepoRoot(config.rootDir);
+    const staged = (await listStagedFiles(repoRoot)).map(file => path.resolve(repoRoot, file));
+    // Yang menentukan adalah index, bukan disk: file yang di-stage lalu dihapus dari working tree tetap diformat
+    const candidates = staged.filter((file) => {
+        const reason = Core.getExclusionReason(file);
+        if (reason) emitter.emit('file:ignored', { file, reason });
+        return !reason;
+    });
+    emitter.emit('precommit:start', { fileCount: candidates.length });
+
+    // 1. Format semua blob di memori terlebih dahulu
+    const files = [];
+    for (const file of candidates) {
+        const relativePath = path.relative(repoRoot, file).split(path.sep).join('/');
+        const entry = await readIndexEntry(repoRoot, relativePath);
+        if (!entry || !REGULAR_FILE_MODES.includes(entry.mode)) continue;
+
+        // Encoding dan BOM blob dideteksi seperti file di working tree, agar blob non-UTF-8 tidak rusak saat ditulis ulang
+        const { content: stagedContent, format: stagedFormat } = decodeText(await readBlob(repoRoot, entry.oid));
+        const workingContent = await fs.readFile(file).catch(() => null);
+        // Sebagian di-stage hanya jika git melihat perubahan yang belum di-stage. Membandingkan teks secara langsung
+        // keliru untuk file yang dikonversi filter git (misalnya CRLF dengan `core.autocrlf`).
+        const unstagedPatch = workingContent === null ? '' : await getUnstagedPatch(repoRoot, relativePath);
+        const result = await Core.formatContent(file, stagedContent);
+        files.push({
+            file,
+            relativePath,
+            entry,
+            partial: unstagedPatch !== '',
+            stagedContent,
+            stagedFormat,
+            workingContent,
+            ...result,
+            status: result.error ? 'error' : (result.changed ? 'formatted' : 'unchanged'),
+        });
+    }
+
+    // 2. Backup sebelum index disentuh
+    const toUpdate = files.filter(f => f.status === 'formatted');
+    let backupFile = null;
+    if (backup && toUpdate.length > 0) {
+        const indexRef = `refs/vrzaq/precommit/${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        const indexTree = await snapshotIndex(repoRoot, indexRef);
+        backupFile = await createBackup(
+            toUpdate.filter(f => f.workingContent !== null).map(f => path.relative(config.rootDir, f.file)),
+            { metadata: { kind: 'precommit', repoRoot, index: toUpdate.map(({ entry }) => entry), indexTree, indexRef } },
+        );
+    }
+
+    // 3. Tulis blob hasil format ke index, lalu selaraskan working tree
+    for (const item of toUpdate) {
+        const formattedBytes = encodeText(item.formatted, item.stagedFormat);
+        const oid = await writeBlob(repoRoot, item.relativePath, formattedBytes);
+        await updateIndexEntry(repoRoot, { ...item.entry, oid });
+
+        if (item.workingContent === null) {
+            // File sudah dihapus dari working tree; cukup index yang diperbarui
+        } else if (!item.partial) {
+            // Ditulis atomik dengan mode dan pemilik file asli (lihat text-file.js)
+            const stat = await fs.stat(item.file);
+            await writeTextFileAtomic(item.file, toWorkingTreeBytes(item.formatted, item.workingContent), { stat });
+        } else {
+            // Basis merge adalah blob asli dalam bentuk working tree, sehingga base -> ours hanya berisi perubahan format
+            // dan base -> theirs hanya berisi perubahan yang belum di-stage
+            const merged = await mergeFile(repoRoot, {
+                base: toWorkingTreeBytes(item.stagedContent, item.workingContent),
+                ours: toWorkingTreeBytes(item.formatted, item.workingContent),
+                theirs: item.workingContent,
+            });
+            if (merged) {
+                await writeTextFileAtomic(item.file, merged, { stat: await fs.stat(item.file) });
+            } else {
+                item.status = 'formatted-index-only';
+                logger.warn(`Unstaged changes in ${item.relativePath} conflict with the formatted version; the working tree was left untouched.`);
+            }
+        }
+        emitter.emit('precommit:file', { file: item.file, status: item.status, partial: item.partial });
+    }
+
+    const diagnostics = files.flatMap(f => f.diagnostics);
+    const summary = {
+        files: files.map(({ file, status, partial, error }) => ({ file, status, partial, error: error?.message })),
+        diagnostics,
+        diagnosticCounts: Core.countDiagnostics(diagnostics),
+        backupFile,
+    };
+    emitter.emit('precommit:complete', summary);
+    return summary;
+}
@@ -0,0 +1,195 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// recovery.js (INDEXED RECOVERY EDITION)
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { writeTextFileAtomic, decodeText } from './text-file.js';
+
+/** Direktori terpusat untuk file recovery, agar direktori kerja proyek tidak tercemar. */
+export const RECOVERY_DIR = path.join(os.tmpdir(), 'razzaq_recovery');
+
+// Index append-only (satu entri JSON per baris). Penambahan dan penulisan ulang (clean) sama-sama memegang
+// lock, agar entri dari run lain yang berjalan bersamaan tidak hilang saat index ditulis ulang
+const INDEX_FILE = 'index.jsonl';
+const LOCK_FILE = 'index.lock';
+// Lock yang lebih tua dari ini dianggap sisa proses yang crash
+const STALE_LOCK_MS = 10_000;
+
+/**
+ * Satu salinan recovery.
+ * @typedef {object} RecoveryEntry
+ * @property {string} id Id unik (`<timestamp base36>-<hex>`); perintah CLI menerima awalan yang unik.
+ * @property {string} file Path absolut file asli.
+ * @property {string} rootDir rootDir proyek saat salinan dibuat.
+ * @property {string|null} sessionId Sesi yang gagal memproses file.
+ * @property {{ name: string, message: string, code?: string } | null} error Error yang memicu recovery.
+ * @property {string} hash SHA-256 dari isi salinan.
+ * @property {number} size Ukuran salinan dalam byte.
+ * @property {string} recoveryPath Path salinan di `RECOVERY_DIR`.
+ * @property {string} createdAt Waktu pembuatan (ISO).
+ */
+
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Menjalankan `fn` sambil memegang lock index (file `index.lock` yang dibuat eksklusif).
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withIndexLock(fn) {
+    const lockPath = path.join(RECOVERY_DIR, LOCK_FILE);
+    await fs.mkdir(RECOVERY_DIR, { recursive: true });
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await (await fs.open(lockPath, 'wx')).close();
+            break;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+            const stat = await fs.stat(lockPath).catch(() => null);
+            if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+                await fs.rm(lockPath, { force: true });
+                continue;
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.min(10 * 2 ** attempt, 200)));
+        }
+    }
+    try {
+        return await fn();
+    } finally {
+        await fs.rm(lockPath, { force: true });
+    }
+}
+
+/**
+ * Menyimpan salinan isi file asli beserta entri index-nya.
+ * @param {{ file: string, content: Buffer, rootDir: string, sessionId?: string|null, error?: object|null }} options
+ * `content` adalah byte asli file (encoding dan BOM utuh).
+ * @returns {Promise<RecoveryEntry>}
+ */
+export async function saveRecovery({ file, content, rootDir, sessionId = null, error = null }) {
+    await fs.mkdir(RECOVERY_DIR, { recursive: true });
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    // Nama file tetap memuat basename agar mudah dikenali; keunikan dijamin oleh id
+    const recoveryPath = path.join(RECOVERY_DIR, `${id}-${path.basename(file)}`);
+    await fs.writeFile(recoveryPath, content);
+
+    const entry = {
+        id,
+        file: path.resolve(file),
+        rootDir,
+        sessionId,
+        error,
+        hash: hashBuffer(content),
+        size: content.length,
+        recoveryPath,
+        createdAt: new Date().toISOString(),
+    };
+    await withIndexLock(() => fs.appendFile(path.join(RECOVERY_DIR, INDEX_FILE), `${JSON.stringify(entry)}\n`));
+    return entry;
+}
+
+/**
+ * Semua entri index, termasuk milik proyek lain. Baris yang rusak (misalnya tulisan terpotong) dilewati.
+ * @returns {Promise<RecoveryEntry[]>}
+ */
+async function readIndex() {
+    let content;
+    try {
+        content = await fs.readFile(path.join(RECOVERY_DIR, INDEX_FILE), 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    return content.split('\n').filter(Boolean).flatMap((line) => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+async function writeIndex(entries) {
+    await writeTextFileAtomic(path.join(RECOVERY_DIR, INDEX_FILE), entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+}
+
+/**
+ * Daftar salinan recovery, terbaru lebih dulu.
+ * @param {{ rootDir?: string }} [options] Tanpa `rootDir`, salinan dari semua proyek ikut ditampilkan.
+ * @returns {Promise<(RecoveryEntry & { missing: boolean })[]>} `missing` bernilai true jika file salinannya sudah hilang.
+ */
+export async function listRecoveries({ rootDir } = {}) {
+    const entries = (await readIndex()).filter(entry => !rootDir || entry.rootDir === rootDir);
+    const withStatus = await Promise.all(entries.map(async entry => ({
+        ...entry,
+        missing: !(await fs.access(entry.recoveryPath).then(() => true, () => false)),
+    })));
+    return withStatus.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Mencari satu entri berdasarkan id atau awalan id yang unik.
+ * @param {string} id
+ * @returns {Promise<RecoveryEntry>}
+ */
+export async function findRecovery(id) {
+    const matches = (await readIndex()).filter(entry => entry.id.startsWith(id));
+    if (matches.length === 0) throw new Error(`No recovery entry matches "${id}".`);
+    if (matches.length > 1) throw new Error(`Recovery id "${id}" is ambiguous: ${matches.map(entry => entry.id).join(', ')}.`);
+    return matches[0];
+}
+
+/**
+ * Isi sebuah salinan recovery setelah hash-nya dicocokkan dengan index.
+ * @param {RecoveryEntry} entry
+ * @returns {Promise<{ buffer: Buffer, content: string }>} Byte asli dan teksnya (encoding terdeteksi seperti saat memformat).
+ */
+export async function readRecovery(entry) {
+    const buffer = await fs.readFile(entry.recoveryPath);
+    if (hashBuffer(buffer) !== entry.hash) {
+        throw new Error(`Recovery file ${entry.recoveryPath} does not match its recorded hash; refusing to use it.`);
+    }
+    return { buffer, content: decodeText(buffer).content };
+}
+
+/**
+ * Mengembalikan file asli dari salinan recovery (ditulis atomik, mode file saat ini dipertahankan).
+ * Entri tetap ada di index sampai dibersihkan dengan `cleanRecoveries`.
+ * @param {string} id Id atau awalan id.
+ * @returns {Promise<RecoveryEntry>}
+ */
+export async function restoreRecovery(id) {
+    const entry = await findRecovery(id);
+    const { buffer } = await readRecovery(entry);
+    const stat = await fs.stat(entry.file).catch(() => null);
+    await fs.mkdir(path.dirname(entry.file), { recursive: true });
+    await writeTextFileAtomic(entry.file, buffer, { stat });
+    return entry;
+}
+
+/**
+ * Menghapus salinan recovery beserta entri index-nya.
+ * @param {{ rootDir?: string, olderThanMs?: number }} [options] Filter: proyek dan umur minimum. Tanpa filter, semua salinan dihapus.
+ * @returns {Promise<RecoveryEntry[]>} Entri yang dihapus.
+ */
+export async function cleanRecoveries({ rootDir, olderThanMs } = {}) {
+    const now = Date.now();
+    const isRemoved = entry => (!rootDir || entry.rootDir === rootDir)
+        && (olderThanMs === undefined || now - Date.parse(entry.createdAt) >= olderThanMs);
+
+    // Index dibaca dan ditulis ulang di bawah lock yang sama dengan `saveRecovery`
+    const removed = await withIndexLock(async () => {
+        const entries = await readIndex();
+        const expired = entries.filter(isRemoved);
+        if (expired.length > 0) await writeIndex(entries.filter(entry => !isRemoved(entry)));
+        return expired;
+    });
+    await Promise.all(removed.map(entry => fs.rm(entry.recoveryPath, { force: true })));
+    return removed;
+}
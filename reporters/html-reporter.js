@@ -0,0 +1,239 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// reporters/html-reporter.js (OFFLINE REVIEW EDITION)
+import path from 'path';
+import { collectFileSizes } from '../plugins/file-size-reporter-plugin.js';
+
+/** Jumlah file terbesar yang ditampilkan; sama dengan default file-size-reporter-plugin. */
+const DEFAULT_LARGEST_FILES = 5;
+const TODO_RULE_IDS = ['detect-todo'];
+const CONSOLE_RULE_IDS = ['disallow-console', 'auto-remove-console'];
+
+// Seluruh CSS dan JS disisipkan inline agar laporan bisa dibuka tanpa jaringan
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; padding: 24px; color: #1f2328; background: #f6f8fa; }
+h1 { margin: 0 0 4px; font-size: 24px; }
+h2 { margin: 32px 0 12px; font-size: 18px; border-bottom: 1px solid #d0d7de; padding-bottom: 6px; }
+.meta { color: #656d76; font-size: 13px; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+.card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 110px; }
+.card .value { font-size: 22px; font-weight: 600; }
+.card .label { color: #656d76; font-size: 12px; text-transform: uppercase; }
+table { border-collapse: collapse; width: 100%; background: #fff; border: 1px solid #d0d7de; font-size: 13px; }
+th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #d8dee4; vertical-align: top; }
+th[data-sort] { cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-sort]::after { content: " \\2195"; color: #8c959f; }
+td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+pre { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 8px; overflow-x: auto; margin: 8px 0; }
+.badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; }
+.outcome-formatted { background: #dafbe1; color: #116329; }
+.outcome-unformatted { background: #fff8c5; color: #7d4e00; }
+.outcome-unchanged, .outcome-skipped { background: #eaeef2; color: #424a53; }
+.outcome-invalid, .severity-error { background: #ffebe9; color: #a40e26; }
+.severity-warn { background: #fff8c5; color: #7d4e00; }
+.severity-info { background: #ddf4ff; color: #0550ae; }
+details { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin: 6px 0; padding: 6px 10px; }
+summary { cursor: pointer; }
+.diff-add { color: #116329; background: #e6ffec; }
+.diff-del { color: #a40e26; background: #ffebe9; }
+.diff-hunk { color: #0550ae; }
+.bar { background: #0969da; height: 8px; border-radius: 4px; }
+.empty { color: #656d76; font-style: italic; }
+`;
+
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th[data-sort]').forEach(function (header) {
+    header.addEventListener('click', function () {
+        var table = header.closest('table');
+        var body = table.tBodies[0];
+        var index = Array.prototype.indexOf.call(header.parentNode.children, header);
+        var numeric = header.dataset.sort === 'number';
+        var ascending = header.dataset.order !== 'asc';
+        header.dataset.order = ascending ? 'asc' : 'desc';
+        Array.prototype.slice.call(body.rows).sort(function (a, b) {
+            var x = a.cells[index].dataset.value || a.cells[index].textContent;
+            var y = b.cells[index].dataset.value || b.cells[index].textContent;
+            var result = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+            return ascending ? result : -result;
+        }).forEach(function (row) { body.appendChild(row); });
+    });
+});
+`;
+
+/**
+ * Escape teks untuk disisipkan ke HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function formatMs(ms = 0) {
+    return `${ms.toFixed(2)} ms`;
+}
+
+function badge(kind, text) {
+    return `<span class="badge ${kind}">${escapeHtml(text)}</span>`;
+}
+
+/** Unified diff dengan warna per baris. */
+function renderDiff(diff) {
+    const lines = diff.split('\n').map((line) => {
+        const className = line.startsWith('@@') ? 'diff-hunk'
+            : (line.startsWith('+') && !line.startsWith('+++')) ? 'diff-add'
+                : (line.startsWith('-') && !line.startsWith('---')) ? 'diff-del' : '';
+        return className ? `<span class="${className}">${escapeHtml(line)}</span>` : escapeHtml(line);
+    });
+    return `<pre>${lines.join('\n')}</pre>`;
+}
+
+/** Tabel diagnostik: severity, lokasi, pesan, dan ruleId. */
+function renderDiagnosticsTable(diagnostics, rootDir, { showFile = true } = {}) {
+    if (diagnostics.length === 0) return '<p class="empty">None.</p>';
+    const rows = diagnostics.map(d => `<tr>
+        <td>${badge(`severity-${d.severity}`, d.severity)}</td>
+        <td><code>${escapeHtml(`${showFile ? path.relative(rootDir, d.file) : ''}${d.line ? `:${d.line}:${d.column ?? 0}` : ''}`)}</code></td>
+        <td>${escapeHtml(d.message)}</td>
+        <td><code>${escapeHtml(d.ruleId)}</code></td>
+    </tr>`);
+    return `<table><thead><tr><th>Severity</th><th>Location</th><th>Message</th><th>Rule</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function renderSummaryCards(summary) {
+    const { total, stats, diagnosticCounts } = summary;
+    const cards = [
+        ['Files', total],
+        ['Formatted', stats.formatted],
+        ['Unformatted', stats.unformatted],
+        ['Unchanged', stats.unchanged],
+        ['Cache hits', stats.skipped],
+        ['Failed', stats.invalid],
+        ['Errors', diagnosticCounts.error],
+        ['Warnings', diagnosticCounts.warn],
+    ];
+    return `<div class="cards">${cards.map(([label, value]) => `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`).join('')}</div>`;
+}
+
+function renderTelemetry(telemetry) {
+    if (!telemetry) return '<p class="empty">No telemetry recorded.</p>';
+    const phases = [['Scan', telemetry.scan], ['Backup', telemetry.backup], ['Processing', telemetry.processing]];
+    const longest = Math.max(...phases.map(([, ms]) => ms), 1);
+    const rows = phases.map(([name, ms]) => `<tr>
+        <td>${name}</td>
+        <td class="num">${formatMs(ms)}</td>
+        <td style="width: 50%"><div class="bar" style="width: ${((ms / longest) * 100).toFixed(1)}%"></div></td>
+    </tr>`);
+    rows.push(`<tr><td><strong>Total</strong></td><td class="num"><strong>${formatMs(telemetry.total)}</strong></td><td></td></tr>`);
+    return `<table><thead><tr><th>Phase</th><th class="num">Duration</th><th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function renderFilesTable(results, diagnostics, rootDir) {
+    if (results.length === 0) return '<p class="empty">No files were processed.</p>';
+    const rows = results.map((result, index) => {
+        const count = diagnostics.filter(d => d.file === result.file).length;
+        return `<tr>
+            <td data-value="${escapeHtml(path.relative(rootDir, result.file))}"><a href="#file-${index}">${escapeHtml(path.relative(rootDir, result.file))}</a></td>
+            <td data-value="${result.outcome}">${badge(`outcome-${result.outcome}`, result.outcome)}</td>
+            <td class="num" data-value="${result.bytesChanged}">${result.bytesChanged > 0 ? '+' : ''}${result.bytesChanged}</td>
+            <td class="num" data-value="${result.durationMs}">${formatMs(result.durationMs)}</td>
+            <td class="num" data-value="${count}">${count}</td>
+            <td>${escapeHtml(result.plugins.join(', '))}</td>
+        </tr>`;
+    });
+    return `<table class="sortable"><thead><tr>
+        <th data-sort="text">File</th><th data-sort="text">Outcome</th><th class="num" data-sort="number">Δ Bytes</th>
+        <th class="num" data-sort="number">Duration</th><th class="num" data-sort="number">Diagnostics</th><th>Plugins applied</th>
+    </tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/** Detail per file yang bisa dibuka-tutup: error, diff, dan diagnostik. File tanpa detail dilewati. */
+function renderFileDetails(results, diagnostics, rootDir) {
+    const sections = results.map((result, index) => {
+        const fileDiagnostics = diagnostics.filter(d => d.file === result.file);
+        if (!result.error && !result.diff && fileDiagnostics.length === 0) return '';
+        const open = result.outcome === 'invalid' ? ' open' : '';
+        return `<details id="file-${index}"${open}>
+            <summary>${badge(`outcome-${result.outcome}`, result.outcome)} <code>${escapeHtml(path.relative(rootDir, result.file))}</code></summary>
+            ${result.error ? `<p>${badge('severity-error', result.error.name)} ${escapeHtml(result.error.message)}</p>` : ''}
+            ${result.diff ? renderDiff(result.diff) : ''}
+            ${fileDiagnostics.length > 0 ? renderDiagnosticsTable(fileDiagnostics, rootDir, { showFile: false }) : ''}
+        </details>`;
+    }).filter(Boolean);
+    return sections.length > 0 ? sections.join('\n') : '<p class="empty">No diffs, errors or diagnostics to show. Run with --diff to include diffs.</p>';
+}
+
+function renderLargestFiles(largestFiles, rootDir) {
+    if (largestFiles.length === 0) return '<p class="empty">No files were scanned.</p>';
+    const rows = largestFiles.map((file, index) => `<tr>
+        <td class="num">${index + 1}</td>
+        <td class="num">${formatSize(file.size)}</td>
+        <td><code>${escapeHtml(path.relative(rootDir, file.path))}</code></td>
+    </tr>`);
+    return `<table><thead><tr><th class="num">#</th><th class="num">Size</th><th>File</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * HTML Reporter
+ * Laporan HTML tunggal yang bisa dibuka offline (untuk artefak CI): ringkasan run, telemetri per fase,
+ * tabel file yang bisa diurutkan, detail per file (diff dan diagnostik), file terbesar, TODO, dan temuan console.
+ * @param {object} summary - Hasil dari Quantum Formatter (dari event 'run:complete')
+ * @param {{ version?: string, rootDir?: string, largestFiles?: number }} [options]
+ * @returns {Promise<string>} Dokumen HTML.
+ */
+export default async function htmlReporter(summary, options = {}) {
+    const { mode, results = [], files = [], diagnostics = [], telemetry, sessionId } = summary;
+    const rootDir = options.rootDir || process.cwd();
+    const largestFiles = (await collectFileSizes(files)).slice(0, options.largestFiles ?? DEFAULT_LARGEST_FILES);
+    const todos = diagnostics.filter(d => TODO_RULE_IDS.includes(d.ruleId));
+    const consoleFindings = diagnostics.filter(d => CONSOLE_RULE_IDS.includes(d.ruleId));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>vrzaq report (${escapeHtml(mode)})</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>vrzaq run report</h1>
+<div class="meta">Mode: <strong>${escapeHtml(mode)}</strong> · Session ${escapeHtml(sessionId)} · vrzaq ${escapeHtml(options.version || 'unknown')} · Generated ${escapeHtml(new Date().toISOString())} · Root <code>${escapeHtml(rootDir)}</code></div>
+${renderSummaryCards(summary)}
+
+<h2>Phase telemetry</h2>
+${renderTelemetry(telemetry)}
+
+<h2>Files</h2>
+${renderFilesTable(results, diagnostics, rootDir)}
+
+<h2>File details</h2>
+${renderFileDetails(results, diagnostics, rootDir)}
+
+<h2>Largest files</h2>
+${renderLargestFiles(largestFiles, rootDir)}
+
+<h2>TODO list (${todos.length})</h2>
+${renderDiagnosticsTable(todos, rootDir)}
+
+<h2>Console usage (${consoleFindings.length})</h2>
+${renderDiagnosticsTable(consoleFindings, rootDir)}
+
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
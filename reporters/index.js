@@ -0,0 +1,142 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// reporters/index.js (REPORTER LOADER EDITION)
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { stripVTControlCharacters } from 'util';
+import { normalizePluginEntry } from '../config.js';
+import summaryReporter from './summary-reporter.js';
+import jsonReporter, { isRunSuccessful } from './json-reporter.js';
+import sarifReporter from './sarif-reporter.js';
+import junitReporter from './junit-reporter.js';
+import htmlReporter from './html-reporter.js';
+
+export { isRunSuccessful };
+
+/** Reporter bawaan yang bisa dipanggil dengan nama pendeknya. */
+export const BUILTIN_REPORTERS = {
+    summary: summaryReporter,
+    json: jsonReporter,
+    sarif: sarifReporter,
+    junit: junitReporter,
+    html: htmlReporter,
+};
+
+let toolVersion = null;
+
+/**
+ * Versi vrzaq dari package.json, dibaca sekali.
+ * @returns {Promise<string>}
+ */
+async function getToolVersion() {
+    if (toolVersion === null) {
+        try {
+            toolVersion = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf8')).version || '0.0.0-dev';
+        } catch {
+            toolVersion = '0.0.0-dev';
+        }
+    }
+    return toolVersion;
+}
+
+/**
+ * Apakah entri reporter berupa path file (bukan nama bawaan atau nama package).
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isPathSpecifier(name) {
+    return name.startsWith('.') || path.isAbsolute(name) || /\.[cm]?js$/.test(name);
+}
+
+/**
+ * Mengimpor modul reporter: path di-resolve terhadap rootDir (sama seperti plugin),
+ * nama package di-resolve dari node_modules milik rootDir.
+ * @param {string} name
+ * @param {string} rootDir
+ * @returns {Promise<object>} Modul reporter.
+ */
+async function importReporter(name, rootDir) {
+    if (isPathSpecifier(name)) {
+        return import(pathToFileURL(path.resolve(rootDir, name)));
+    }
+    let resolved;
+    try {
+        resolved = createRequire(path.join(rootDir, 'package.json')).resolve(name);
+    } catch {
+        // Package ESM-only tanpa kondisi `require`: biarkan Node me-resolve-nya sendiri
+        return import(name);
+    }
+    return import(pathToFileURL(resolved));
+}
+
+/**
+ * Memuat daftar reporter. Entri mengikuti bentuk entri plugin: `'name'` atau `['name', options]`,
+ * dengan `name` berupa nama bawaan (`summary`, `json`, `sarif`, `junit`, `html`), path file, atau nama package.
+ * Reporter yang gagal dimuat menggagalkan seluruh pemuatan, agar salah ketik terdeteksi sebelum file diproses.
+ * @param {Array<string|Array>} entries
+ * @param {{ rootDir: string }} options
+ * @returns {Promise<{ name: string, options: object, report: Function }[]>}
+ */
+export async function loadReporters(entries, { rootDir }) {
+    const reporters = [];
+    for (const [name, options] of entries.map(normalizePluginEntry)) {
+        let report = BUILTIN_REPORTERS[name];
+        if (!report) {
+            let reporterModule;
+            try {
+                reporterModule = await importReporter(name, rootDir);
+            } catch (err) {
+                throw new Error(`Reporter "${name}" could not be loaded: ${err.message}`);
+            }
+            report = reporterModule.default;
+            if (typeof report !== 'function') {
+                throw new TypeError(`Reporter "${name}" must default-export a function.`);
+            }
+        }
+        reporters.push({ name, options, report });
+    }
+    return reporters;
+}
+
+/**
+ * Apakah sebuah entri reporter menulis ke stdout (tidak punya `outputFile`).
+ * @param {string|Array} entry
+ * @returns {boolean}
+ */
+export function writesToStdout(entry) {
+    return !normalizePluginEntry(entry)[1].outputFile;
+}
+
+/**
+ * Menjalankan satu reporter untuk ringkasan run.
+ * Kontrak reporter: `default export (summary, options) => string | void` (boleh async).
+ * String yang dikembalikan ditulis ke `options.outputFile` (tanpa kode warna ANSI) atau ke stdout;
+ * reporter yang menulis output sendiri cukup tidak mengembalikan apa pun.
+ * @param {{ name: string, options: object, report: Function }} reporter
+ * @param {object} summary Ringkasan dari event `run:complete`.
+ * @param {{ rootDir: string, isVerbose?: boolean }} context
+ * @returns {Promise<string|null>} Path file output, atau null jika ditulis ke stdout.
+ */
+export async function runReporter(reporter, summary, context) {
+    const options = {
+        ...reporter.options,
+        version: await getToolVersion(),
+        rootDir: context.rootDir,
+        isDryRun: summary.mode !== 'write',
+        isVerbose: !!context.isVerbose,
+    };
+    const output = await reporter.report(summary, options);
+    if (typeof output !== 'string') return options.outputFile ?? null;
+
+    if (options.outputFile) {
+        const outputFile = path.resolve(options.outputFile);
+        await fs.mkdir(path.dirname(outputFile), { recursive: true });
+        await fs.writeFile(outputFile, stripVTControlCharacters(output), 'utf8');
+        return outputFile;
+    }
+    process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    return null;
+}
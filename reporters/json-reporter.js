@@ -2,49 +2,46 @@
 // Saweria: https://saweria.co/arzzq
 
 // reporters/json-reporter.js (ROBUST SCHEMA SUPERIOR EDITION)
-import fs from 'fs';
-
 // Tentukan versi skema JSON saat ini.
-const JSON_SCHEMA_VERSION = '2.0.0';
+// 3.0.0: `results` berisi FileResult dari core (outcome, hash, durasi, plugin, error) alih-alih status fulfilled/rejected.
+// 3.1.0: field `transaction` untuk run `--transactional`.
+// 3.2.0: `success` mengikuti exit code CLI (lihat `isRunSuccessful`), termasuk diagnostik error dan drift pada check.
+const JSON_SCHEMA_VERSION = '3.2.0';
 
 /**
- * Mengubah objek Error menjadi representasi JSON yang bersih.
- * @param {Error} error - Objek Error.
- * @returns {object} Objek error yang dapat diserialisasi.
+ * Apakah run dianggap berhasil. Satu-satunya sumber kondisi ini: dipakai untuk field `success` dan untuk exit code CLI,
+ * sehingga keduanya tidak pernah berbeda. Run gagal jika ada diagnostik ber-severity error, jika mode check menemukan
+ * file yang belum terformat atau gagal diproses, atau jika transaksi tidak di-commit. Run yang gagal total (`run:error`)
+ * tidak menghasilkan ringkasan sama sekali.
+ * @param {object} summary Ringkasan dari event `run:complete`.
+ * @returns {boolean}
  */
-function serializeError(error) {
-    if (!(error instanceof Error)) {
-        return {
-            message: 'An unknown error occurred.',
-            details: String(error),
-        };
-    }
-    return {
-        name: error.name,
-        message: error.message,
-        code: error.code, // misal 'E_TIMEOUT', 'ENOENT', dll.
-        stack: error.stack,
-    };
+export function isRunSuccessful(summary) {
+    const { mode, unformatted = [], failed = [], diagnosticCounts, transaction } = summary;
+    if (diagnosticCounts?.error > 0) return false;
+    if (mode === 'check' && (unformatted.length > 0 || failed.length > 0)) return false;
+    return !transaction || transaction.status === 'committed';
 }
 
 /**
- * JSON Reporter v2
+ * JSON Reporter v3
  * Menghasilkan output JSON yang terstruktur, kaya, dan dapat dibaca mesin.
  * @param {object} summary - Hasil dari Quantum Formatter (dari event 'run:complete')
  * @param {object} [options] - Opsi tambahan
- * @param {string} [options.outputFile] - Jika diisi, JSON disimpan ke file
  * @param {string} [options.version] - Versi aplikasi vrzaq
+ * @returns {string} Dokumen JSON; ditulis ke stdout atau `outputFile` oleh pemanggil (lihat reporters/index.js).
  */
 export default function jsonReporter(summary, options = {}) {
-    const { total, fulfilled, rejected, details, telemetry, files } = summary;
+    const { mode, total, stats, results = [], failed = [], telemetry, diagnosticCounts, transaction = null } = summary;
 
     const payload = {
         schemaVersion: JSON_SCHEMA_VERSION,
-        success: rejected === 0,
+        success: isRunSuccessful(summary),
         metadata: {
             toolVersion: options.version || 'unknown',
             generatedAt: new Date().toISOString(),
             sessionId: summary.sessionId,
+            mode,
             performance: telemetry ? {
                 scanMs: parseFloat(telemetry.scan.toFixed(2)),
                 backupMs: parseFloat(telemetry.backup.toFixed(2)),
@@ -54,48 +51,15 @@ export default function jsonReporter(summary, options = {}) {
         },
         summary: {
             totalFiles: total,
-            successful: fulfilled,
-            failed: rejected,
+            outcomes: stats,
+            failed: failed.length,
+            diagnostics: diagnosticCounts || { error: 0, warn: 0, info: 0 },
         },
-        results: [],
+        // Hanya terisi pada `--transactional`: `{ id, status, files, error }`
+        transaction,
+        // FileResult sudah bisa diserialisasi (error berupa objek biasa); durasi dibulatkan agar mudah dibaca
+        results: results.map(result => ({ ...result, durationMs: parseFloat(result.durationMs.toFixed(2)) })),
     };
 
-    // Petakan hasil `details` kembali ke nama file berdasarkan indeks
-    if (details && files && details.length === files.length) {
-        payload.results = details.map((result, index) => {
-            const file = files[index];
-            if (result.status === 'fulfilled') {
-                // Di masa depan, `result.value` bisa berisi detail lebih lanjut
-                // seperti 'formatted', 'unchanged', 'skipped_cache'
-                return {
-                    file: file,
-                    status: 'success',
-                    details: result.value || { outcome: 'processed' },
-                };
-            } else {
-                // result.status === 'rejected'
-                return {
-                    file: file,
-                    status: 'failure',
-                    error: serializeError(result.reason),
-                };
-            }
-        });
-    }
-
-    const jsonOutput = JSON.stringify(payload, null, 2);
-
-    if (options.outputFile) {
-        try {
-            fs.writeFileSync(options.outputFile, jsonOutput, 'utf8');
-            // Hindari console.log dalam reporter JSON murni kecuali jika itu adalah bagian dari kontrak.
-            // Pelaporan ke stderr adalah praktik yang lebih baik untuk log.
-            console.error(`📦 JSON report saved to: ${options.outputFile}`);
-        } catch (err) {
-            console.error(`❌ Failed to save JSON report to ${options.outputFile}:`, err);
-        }
-    } else {
-        // Output utama harus ke stdout
-        process.stdout.write(jsonOutput);
-    }
-}
\ No newline at end of file
+    return JSON.stringify(payload, null, 2);
+}
@@ -0,0 +1,148 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// reporters/junit-reporter.js (CI DASHBOARD EDITION)
+import path from 'path';
+
+/** Nama suite untuk fase format; suite lain dinamai sesuai plugin. */
+const FORMAT_SUITE = 'vrzaq.format';
+
+/**
+ * Escape teks untuk atribut maupun isi elemen XML, sekaligus membuang karakter kontrol yang tidak valid di XML 1.0.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Detik dengan tiga angka desimal, format yang dipakai JUnit.
+ * @param {number} ms
+ */
+function toSeconds(ms = 0) {
+    return (ms / 1000).toFixed(3);
+}
+
+/**
+ * Satu baris lokasi diagnostik: `file:line:column severity message (ruleId)`.
+ */
+function formatDiagnostic(diagnostic, rootDir) {
+    const location = `${path.relative(rootDir, diagnostic.file)}${diagnostic.line ? `:${diagnostic.line}:${diagnostic.column ?? 0}` : ''}`;
+    return `${location} ${diagnostic.severity} ${diagnostic.message} (${diagnostic.ruleId})`;
+}
+
+/**
+ * Merender satu testcase. `failure` berisi `{ type, message, details }` jika testcase gagal.
+ */
+function renderTestCase({ name, classname, time, failure, output }) {
+    const attributes = `name="${escapeXml(name)}" classname="${escapeXml(classname)}"${time !== undefined ? ` time="${time}"` : ''}`;
+    const children = [];
+    if (failure) {
+        children.push(`      <failure type="${escapeXml(failure.type)}" message="${escapeXml(failure.message)}">${escapeXml(failure.details)}</failure>`);
+    }
+    if (output) children.push(`      <system-out>${escapeXml(output)}</system-out>`);
+    return children.length > 0
+        ? `    <testcase ${attributes}>\n${children.join('\n')}\n    </testcase>`
+        : `    <testcase ${attributes}/>`;
+}
+
+/**
+ * Merender satu testsuite beserta jumlah test dan kegagalannya.
+ */
+function renderTestSuite({ name, time, timestamp, testCases }) {
+    const failures = testCases.filter(testCase => testCase.failure).length;
+    const attributes = `name="${escapeXml(name)}" tests="${testCases.length}" failures="${failures}" errors="0" skipped="0"${time !== undefined ? ` time="${time}"` : ''}${timestamp ? ` timestamp="${timestamp}"` : ''}`;
+    return [`  <testsuite ${attributes}>`, ...testCases.map(renderTestCase), '  </testsuite>'].join('\n');
+}
+
+/**
+ * Suite fase format: satu testcase per file. File yang gagal divalidasi atau diformat selalu gagal;
+ * file yang belum terformat hanya gagal dalam mode `check`.
+ */
+function createFormatSuite(summary, rootDir, timestamp) {
+    const { mode, results = [], diagnostics = [], telemetry } = summary;
+    const testCases = results.map((result) => {
+        const fileDiagnostics = diagnostics.filter(d => d.file === result.file).map(d => formatDiagnostic(d, rootDir));
+        let failure = null;
+        if (result.outcome === 'invalid') {
+            const message = result.error?.message || 'File could not be processed.';
+            failure = { type: 'invalid', message, details: [message, ...fileDiagnostics].join('\n') };
+        } else if (result.outcome === 'unformatted' && mode === 'check') {
+            const message = 'File is not formatted; running vrzaq would change it.';
+            failure = { type: 'unformatted', message, details: [message, result.diff, ...fileDiagnostics].filter(Boolean).join('\n') };
+        }
+        return {
+            name: path.relative(rootDir, result.file),
+            classname: FORMAT_SUITE,
+            time: toSeconds(result.durationMs),
+            failure,
+            output: failure ? null : [`outcome: ${result.outcome}`, ...fileDiagnostics].join('\n'),
+        };
+    });
+    return { name: FORMAT_SUITE, time: telemetry ? toSeconds(telemetry.processing) : undefined, timestamp, testCases };
+}
+
+/**
+ * Suite per plugin: satu testcase per file yang mendapat diagnostik atau fix dari plugin tersebut.
+ * Diagnostik ber-severity `error` (misalnya plugin dalam mode strict) membuat testcase gagal.
+ */
+function createPluginSuites(summary, rootDir, timestamp) {
+    const { results = [], diagnostics = [] } = summary;
+    const filesByPlugin = new Map();
+    const touch = (plugin, file) => {
+        if (!filesByPlugin.has(plugin)) filesByPlugin.set(plugin, new Set());
+        filesByPlugin.get(plugin).add(file);
+    };
+    results.forEach(result => result.plugins.forEach(plugin => touch(plugin, result.file)));
+    diagnostics.forEach(diagnostic => touch(diagnostic.plugin, diagnostic.file));
+
+    return [...filesByPlugin.keys()].sort().map((plugin) => {
+        const testCases = [...filesByPlugin.get(plugin)].sort().map((file) => {
+            const pluginDiagnostics = diagnostics.filter(d => d.plugin === plugin && d.file === file);
+            const errors = pluginDiagnostics.filter(d => d.severity === 'error');
+            const lines = pluginDiagnostics.map(d => formatDiagnostic(d, rootDir));
+            return {
+                name: path.relative(rootDir, file),
+                classname: plugin,
+                failure: errors.length > 0
+                    ? { type: errors[0].ruleId, message: errors[0].message, details: lines.join('\n') }
+                    : null,
+                output: errors.length > 0 ? null : lines.join('\n'),
+            };
+        });
+        return { name: plugin, timestamp, testCases };
+    });
+}
+
+/**
+ * JUnit Reporter
+ * Menghasilkan JUnit XML untuk dashboard test CI: satu testsuite untuk fase format dan satu per plugin,
+ * dengan satu testcase per file. Waktu suite diambil dari telemetri run (payload `session:report`).
+ * @param {object} summary - Hasil dari Quantum Formatter (dari event 'run:complete')
+ * @param {{ rootDir?: string }} [options]
+ * @returns {string} Dokumen JUnit XML.
+ */
+export default function junitReporter(summary, options = {}) {
+    const rootDir = options.rootDir || process.cwd();
+    const timestamp = new Date().toISOString().replace(/\.\d+Z$/, '');
+    const suites = [createFormatSuite(summary, rootDir, timestamp), ...createPluginSuites(summary, rootDir, timestamp)];
+
+    const tests = suites.reduce((sum, suite) => sum + suite.testCases.length, 0);
+    const failures = suites.reduce((sum, suite) => sum + suite.testCases.filter(testCase => testCase.failure).length, 0);
+    const time = summary.telemetry ? ` time="${toSeconds(summary.telemetry.total)}"` : '';
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="vrzaq" tests="${tests}" failures="${failures}" errors="0"${time}>`,
+        ...suites.map(renderTestSuite),
+        '</testsuites>',
+        '',
+    ].join('\n');
+}
@@ -0,0 +1,163 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// reporters/sarif-reporter.js (CODE SCANNING EDITION)
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const INFORMATION_URI = 'https://github.com/razzaqinspires/vrzaq';
+// Semua URI artefak relatif terhadap rootDir, yang dipetakan ke base id ini
+const ROOT_BASE_ID = 'ROOTDIR';
+
+/** Rule milik vrzaq sendiri (bukan plugin): file yang akan berubah jika diformat. */
+const FORMATTING_RULE_ID = 'vrzaq/formatting';
+
+const LEVELS = { error: 'error', warn: 'warning', info: 'note' };
+
+/**
+ * Lokasi artefak relatif terhadap rootDir (URI berformat POSIX).
+ * @param {string} file
+ * @param {string} rootDir
+ */
+function toArtifactLocation(file, rootDir) {
+    const relativePath = path.relative(rootDir, file).split(path.sep).map(encodeURIComponent).join('/');
+    return { uri: relativePath, uriBaseId: ROOT_BASE_ID };
+}
+
+/**
+ * Registry tool component: driver (vrzaq dan diagnostik core) plus satu extension per plugin,
+ * masing-masing dengan daftar rule descriptor yang terisi saat result pertama dengan rule tersebut dibuat.
+ */
+function createComponentRegistry(version) {
+    const driver = { name: 'vrzaq', version, informationUri: INFORMATION_URI, rules: [] };
+    const extensions = [];
+    const extensionIndex = new Map();
+
+    return {
+        driver,
+        extensions,
+        /**
+         * Referensi rule untuk sebuah result, mendaftarkan component dan rule jika belum ada.
+         * @param {string|null} plugin Nama plugin; `null` atau `core` untuk driver.
+         * @param {string} ruleId
+         * @param {string} level Level default rule (level result pertama).
+         */
+        ruleFor(plugin, ruleId, level) {
+            let component = driver;
+            let componentIndex = null;
+            if (plugin && plugin !== 'core') {
+                if (!extensionIndex.has(plugin)) {
+                    extensionIndex.set(plugin, extensions.length);
+                    extensions.push({ name: plugin, rules: [] });
+                }
+                componentIndex = extensionIndex.get(plugin);
+                component = extensions[componentIndex];
+            }
+
+            let ruleIndex = component.rules.findIndex(rule => rule.id === ruleId);
+            if (ruleIndex === -1) {
+                ruleIndex = component.rules.length;
+                component.rules.push({
+                    id: ruleId,
+                    shortDescription: { text: plugin && plugin !== 'core' ? `${ruleId} (reported by ${plugin})` : ruleId },
+                    defaultConfiguration: { level },
+                });
+            }
+            return {
+                id: ruleId,
+                index: ruleIndex,
+                ...(componentIndex !== null && { toolComponent: { index: componentIndex } }),
+            };
+        },
+    };
+}
+
+/**
+ * Result SARIF untuk satu diagnostik plugin. Kolom vrzaq dimulai dari 0, kolom SARIF dari 1.
+ * `fix.range` adalah offset terhadap input pass tempat diagnostik dilaporkan, sehingga hanya fix dari pass 1
+ * (konten asli file) yang disertakan; fix dari pass berikutnya tidak bisa dipetakan ke file di disk.
+ */
+function diagnosticToResult(diagnostic, registry, rootDir) {
+    const level = LEVELS[diagnostic.severity] || 'warning';
+    const artifactLocation = toArtifactLocation(diagnostic.file, rootDir);
+    const region = diagnostic.line
+        ? { startLine: diagnostic.line, ...(Number.isInteger(diagnostic.column) && { startColumn: diagnostic.column + 1 }) }
+        : undefined;
+
+    const result = {
+        ruleId: diagnostic.ruleId,
+        rule: registry.ruleFor(diagnostic.plugin, diagnostic.ruleId, level),
+        level,
+        message: { text: diagnostic.message },
+        locations: [{ physicalLocation: { artifactLocation, ...(region && { region }) } }],
+    };
+    if (diagnostic.fix && diagnostic.pass === 1) {
+        const [start, end] = diagnostic.fix.range;
+        result.fixes = [{
+            description: { text: `Fix suggested by ${diagnostic.plugin}` },
+            artifactChanges: [{
+                artifactLocation,
+                replacements: [{ deletedRegion: { charOffset: start, charLength: end - start }, insertedContent: { text: diagnostic.fix.text } }],
+            }],
+        }];
+    }
+    return result;
+}
+
+/**
+ * Result SARIF untuk file yang formatnya menyimpang (outcome `unformatted`).
+ * Jika diff tersedia (`--diff`), lokasi menunjuk ke hunk pertama dan diff disertakan di `properties`.
+ */
+function driftToResult(fileResult, registry, rootDir, level) {
+    const firstHunk = fileResult.diff?.match(/^@@ -(\d+)/m);
+    const region = firstHunk ? { startLine: Math.max(1, Number(firstHunk[1])) } : undefined;
+    return {
+        ruleId: FORMATTING_RULE_ID,
+        rule: registry.ruleFor(null, FORMATTING_RULE_ID, level),
+        level,
+        message: { text: 'File is not formatted; running vrzaq would change it.' },
+        locations: [{ physicalLocation: { artifactLocation: toArtifactLocation(fileResult.file, rootDir), ...(region && { region }) } }],
+        ...(fileResult.diff && { properties: { diff: fileResult.diff } }),
+    };
+}
+
+/**
+ * SARIF Reporter
+ * Memetakan diagnostik plugin dan penyimpangan format ke SARIF 2.1.0 untuk dashboard code scanning.
+ * Setiap plugin menjadi tool component (`tool.extensions`), setiap ruleId menjadi rule descriptor,
+ * dan fix dari plugin menjadi `fixes`. File yang gagal diproses dicatat sebagai notifikasi eksekusi.
+ * @param {object} summary - Hasil dari Quantum Formatter (dari event 'run:complete')
+ * @param {{ version?: string, rootDir?: string }} [options]
+ * @returns {string} Dokumen SARIF.
+ */
+export default function sarifReporter(summary, options = {}) {
+    const { mode, results = [], diagnostics = [] } = summary;
+    const rootDir = options.rootDir || process.cwd();
+    const registry = createComponentRegistry(options.version || 'unknown');
+
+    // Penyimpangan format menggagalkan `check`, sehingga dilaporkan sebagai error di mode tersebut
+    const driftLevel = mode === 'check' ? 'error' : 'warning';
+    const sarifResults = [
+        ...diagnostics.map(diagnostic => diagnosticToResult(diagnostic, registry, rootDir)),
+        ...results.filter(r => r.outcome === 'unformatted').map(r => driftToResult(r, registry, rootDir, driftLevel)),
+    ];
+
+    const failed = results.filter(r => r.outcome === 'invalid');
+    const run = {
+        tool: { driver: registry.driver, ...(registry.extensions.length > 0 && { extensions: registry.extensions }) },
+        originalUriBaseIds: { [ROOT_BASE_ID]: { uri: `${pathToFileURL(rootDir).href}/` } },
+        invocations: [{
+            executionSuccessful: failed.length === 0,
+            toolExecutionNotifications: failed.map(r => ({
+                level: 'error',
+                message: { text: r.error?.message || 'File could not be processed.' },
+                locations: [{ physicalLocation: { artifactLocation: toArtifactLocation(r.file, rootDir) } }],
+            })),
+        }],
+        results: sarifResults,
+    };
+
+    return JSON.stringify({ $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs: [run] }, null, 2);
+}
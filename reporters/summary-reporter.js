@@ -24,56 +24,91 @@ function formatTitle(title, width) {
     return `${BOX_CHARS.topLeft}${titleLine}${BOX_CHARS.topRight}`;
 }
 
+/**
+ * Summary Reporter
+ * Laporan ringkas berbingkai untuk terminal: jumlah per outcome, file yang gagal, diagnostik, dan telemetri.
+ * @param {object} summary - Hasil dari Quantum Formatter (dari event 'run:complete')
+ * @param {{ isDryRun?: boolean, isVerbose?: boolean }} [options]
+ * @returns {string} Laporan siap cetak (berwarna).
+ */
 export default function summaryReporter(summary, options = {}) {
-    const { total, fulfilled, rejected, details, telemetry, files } = summary;
+    const { total, stats, results = [], telemetry, diagnostics = [], diagnosticCounts, transaction } = summary;
     const { isDryRun = false, isVerbose = false } = options;
 
     const terminalWidth = process.stdout.columns || 80;
     const contentWidth = Math.min(terminalWidth - 6, 100);
+    const failedResults = results.filter(result => result.outcome === 'invalid');
+    const lines = [];
 
-    console.log('');
-    console.log(formatTitle('Vrzaq Run Report', contentWidth));
+    lines.push('');
+    lines.push(formatTitle('Vrzaq Run Report', contentWidth));
     
     if (isDryRun) {
-        console.log(formatLine(chalk.yellow.bold('DRY RUN MODE ENABLED - NO FILES WERE CHANGED'), contentWidth));
+        lines.push(formatLine(chalk.yellow.bold('DRY RUN MODE ENABLED - NO FILES WERE CHANGED'), contentWidth));
     }
 
-    console.log(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
-    console.log(formatLine(`${chalk.bold('Total Files:')}   ${chalk.cyan(total)}`, contentWidth));
-    console.log(formatLine(`${chalk.green.bold('Successful:')}    ${chalk.green(fulfilled)}`, contentWidth));
-    console.log(formatLine(`${chalk.red.bold('Failed:')}        ${chalk.red(rejected)}`, contentWidth));
+    lines.push(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
+    lines.push(formatLine(`${chalk.bold('Total Files:')}   ${chalk.cyan(total)}`, contentWidth));
+    lines.push(formatLine(`${chalk.green.bold('Formatted:')}     ${chalk.green(isDryRun ? stats.unformatted : stats.formatted)}${isDryRun ? chalk.dim(' (would change)') : ''}`, contentWidth));
+    lines.push(formatLine(`${chalk.bold('Unchanged:')}     ${stats.unchanged}`, contentWidth));
+    lines.push(formatLine(`${chalk.bold('Cache Hits:')}    ${chalk.dim(stats.skipped)}`, contentWidth));
+    lines.push(formatLine(`${chalk.red.bold('Failed:')}        ${chalk.red(failedResults.length)}`, contentWidth));
+    if (transaction) {
+        const color = transaction.status === 'committed' ? chalk.green : chalk.red;
+        lines.push(formatLine(`${chalk.bold('Transaction:')}   ${color(transaction.status)}${transaction.error ? chalk.dim(` - ${transaction.error.message}`) : ''}`, contentWidth));
+    }
     
-    if (rejected > 0) {
-        console.log(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
-        console.log(formatLine(chalk.red.bold('▼ FAILED FILES DETAILS'), contentWidth));
+    if (failedResults.length > 0) {
+        lines.push(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
+        lines.push(formatLine(chalk.red.bold('▼ FAILED FILES DETAILS'), contentWidth));
         
-        details.forEach((result, index) => {
-            if (result.status === 'rejected') {
-                const filePath = files[index] || 'Unknown file';
-                const errorMessage = result.reason?.message || 'An unknown error occurred.';
-                
-                console.log(formatLine(`📄 ${chalk.yellow(filePath)}`, contentWidth));
-                console.log(formatLine(`   ${chalk.dim(errorMessage.split('\n')[0])}`, contentWidth));
+        failedResults.forEach(({ file, error }) => {
+            const errorMessage = error?.message || 'An unknown error occurred.';
+            lines.push(formatLine(`📄 ${chalk.yellow(file)}`, contentWidth));
+            lines.push(formatLine(`   ${chalk.dim(errorMessage.split('\n')[0])}`, contentWidth));
+        });
+    }
 
-                if (isVerbose && result.reason?.stack) {
-                    const stackLines = result.reason.stack.split('\n').slice(1);
-                    stackLines.forEach(line => console.log(formatLine(`     ${chalk.gray(line.trim())}`, contentWidth)));
-                }
-            }
+    if (isVerbose && results.length > 0) {
+        // Rincian per file: outcome, selisih ukuran, durasi, dan plugin yang fix-nya diterapkan
+        lines.push(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
+        lines.push(formatLine(chalk.cyan.bold('📋 FILE RESULTS'), contentWidth));
+        results.forEach(({ file, outcome, bytesChanged, durationMs, plugins }) => {
+            const bytes = bytesChanged > 0 ? `+${bytesChanged}` : String(bytesChanged);
+            const pluginList = plugins.length > 0 ? ` ${chalk.dim(`[${plugins.join(', ')}]`)}` : '';
+            lines.push(formatLine(`${outcome.padEnd(11)} ${chalk.yellow(file)}`, contentWidth));
+            lines.push(formatLine(`            ${chalk.dim(`${bytes} B, ${durationMs.toFixed(2)} ms`)}${pluginList}`, contentWidth));
         });
     }
 
+    if (diagnostics.length > 0) {
+        lines.push(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
+        lines.push(formatLine(chalk.yellow.bold('🔍 DIAGNOSTICS'), contentWidth));
+        lines.push(formatLine(`${chalk.red(`${diagnosticCounts.error} error(s)`)}, ${chalk.yellow(`${diagnosticCounts.warn} warning(s)`)}, ${chalk.dim(`${diagnosticCounts.info} info`)}`, contentWidth));
+
+        // Info hanya ditampilkan dalam mode verbose agar laporan tetap ringkas
+        diagnostics
+            .filter(d => isVerbose || d.severity !== 'info')
+            .forEach(d => {
+                const color = d.severity === 'error' ? chalk.red : d.severity === 'warn' ? chalk.yellow : chalk.dim;
+                const location = d.line ? `${d.file}:${d.line}:${d.column ?? 0}` : d.file;
+                lines.push(formatLine(`${color(d.severity.padEnd(5))} ${chalk.yellow(location)}`, contentWidth));
+                lines.push(formatLine(`      ${d.message} ${chalk.dim(`(${d.ruleId})`)}`, contentWidth));
+            });
+    }
+
     if (telemetry) {
-        console.log(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
-        console.log(formatLine(chalk.magenta.bold('🚀 PERFORMANCE TELEMETRY'), contentWidth));
+        lines.push(`${BOX_CHARS.left}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.right}`);
+        lines.push(formatLine(chalk.magenta.bold('🚀 PERFORMANCE TELEMETRY'), contentWidth));
         const formatMs = (ms) => chalk.magenta(`${ms.toFixed(2)} ms`);
         
-        console.log(formatLine(`Scan Phase:          ${formatMs(telemetry.scan)}`, contentWidth));
-        if (telemetry.backup > 0) console.log(formatLine(`Backup Phase:        ${formatMs(telemetry.backup)}`, contentWidth));
-        console.log(formatLine(`Processing Phase:    ${formatMs(telemetry.processing)}`, contentWidth));
-        console.log(formatLine(`${chalk.bold('Total Duration:')}        ${formatMs(telemetry.total)}`, contentWidth));
+        lines.push(formatLine(`Scan Phase:          ${formatMs(telemetry.scan)}`, contentWidth));
+        if (telemetry.backup > 0) lines.push(formatLine(`Backup Phase:        ${formatMs(telemetry.backup)}`, contentWidth));
+        lines.push(formatLine(`Processing Phase:    ${formatMs(telemetry.processing)}`, contentWidth));
+        lines.push(formatLine(`${chalk.bold('Total Duration:')}        ${formatMs(telemetry.total)}`, contentWidth));
     }
     
-    console.log(`${BOX_CHARS.bottomLeft}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.bottomRight}`);
-    console.log('');
+    lines.push(`${BOX_CHARS.bottomLeft}${BOX_CHARS.horizontal.repeat(contentWidth + 2)}${BOX_CHARS.bottomRight}`);
+    lines.push('');
+    return lines.join('\n');
 }
\ No newline at end of file
@@ -0,0 +1,211 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// session-history.js (PER-SESSION UNDO EDITION)
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { writeTextFileAtomic } from './text-file.js';
+
+// Satu direktori per sesi: `changes.jsonl` (append-only, aman ditulis bersamaan dari worker),
+// salinan konten asli, dan `undone.json` setelah sesi di-undo
+const CHANGES_FILE = 'changes.jsonl';
+const UNDONE_FILE = 'undone.json';
+
+/**
+ * Satu file yang diubah oleh sebuah sesi.
+ * @typedef {object} SessionChange
+ * @property {string} file Path absolut file.
+ * @property {string} rootDir rootDir proyek saat file diubah.
+ * @property {string} sessionId
+ * @property {string} original Nama file salinan konten asli di direktori sesi.
+ * @property {string} hashBefore SHA-256 dari byte asli.
+ * @property {string} hashAfter SHA-256 dari byte yang ditulis sesi ini.
+ * @property {string} recordedAt Waktu pencatatan (ISO).
+ */
+
+class UndoError extends Error { constructor(message) { super(message); this.name = 'UndoError'; } }
+
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Lokasi riwayat sesi.
+ * @param {{ backupDir: string }} config
+ * @returns {string}
+ */
+export function getHistoryDir(config) {
+    return path.join(config.backupDir, 'sessions');
+}
+
+/**
+ * Mencatat konten asli sebuah file sebelum sesi menulisnya. Dipanggil sebelum penulisan, sehingga crash
+ * di tengah jalan tidak pernah meninggalkan file berubah tanpa catatan; file yang ternyata tidak jadi ditulis
+ * dikenali saat undo karena isinya masih sama dengan `hashBefore`.
+ * @param {{ historyDir: string, sessionId: string, rootDir: string, file: string, original: Buffer, written: Buffer }} change
+ * `original`: byte file sebelum diubah; `written`: byte yang akan ditulis.
+ * @returns {Promise<SessionChange>}
+ */
+export async function recordChange({ historyDir, sessionId, rootDir, file, original, written }) {
+    const sessionDir = path.join(historyDir, sessionId);
+    await fs.mkdir(sessionDir, { recursive: true });
+    // Id acak di depan basename: file bernama sama di folder berbeda (atau file yang ditulis ulang di watch mode) tidak bertabrakan
+    const originalName = `${crypto.randomBytes(4).toString('hex')}-${path.basename(file)}`;
+    await fs.writeFile(path.join(sessionDir, originalName), original);
+
+    const change = {
+        file: path.resolve(file),
+        rootDir,
+        sessionId,
+        original: originalName,
+        hashBefore: hashBuffer(original),
+        hashAfter: hashBuffer(written),
+        recordedAt: new Date().toISOString(),
+    };
+    await fs.appendFile(path.join(sessionDir, CHANGES_FILE), `${JSON.stringify(change)}\n`);
+    return change;
+}
+
+/**
+ * Membaca catatan perubahan sebuah sesi. Baris yang rusak (misalnya tulisan terpotong karena crash) dilewati.
+ * @returns {Promise<SessionChange[]|null>} `null` jika sesi tidak ada.
+ */
+async function readChanges(sessionDir) {
+    let content;
+    try {
+        content = await fs.readFile(path.join(sessionDir, CHANGES_FILE), 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+    return content.split('\n').filter(Boolean).flatMap((line) => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+async function readUndone(sessionDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(sessionDir, UNDONE_FILE), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Daftar sesi yang mengubah file, terbaru lebih dulu.
+ * @param {string} historyDir
+ * @param {{ rootDir?: string }} [options] Tanpa `rootDir`, sesi dari semua proyek ikut ditampilkan.
+ * @returns {Promise<{ sessionId: string, rootDir: string, createdAt: string, files: string[], undoneAt: string|null }[]>}
+ */
+export async function listSessions(historyDir, { rootDir } = {}) {
+    const dirents = await fs.readdir(historyDir, { withFileTypes: true }).catch(() => []);
+    const sessions = [];
+    for (const dirent of dirents.filter(d => d.isDirectory())) {
+        const sessionDir = path.join(historyDir, dirent.name);
+        const changes = await readChanges(sessionDir);
+        if (!changes || changes.length === 0) continue;
+        if (rootDir && changes[0].rootDir !== rootDir) continue;
+        sessions.push({
+            sessionId: dirent.name,
+            rootDir: changes[0].rootDir,
+            createdAt: changes[0].recordedAt,
+            files: [...new Set(changes.map(change => change.file))],
+            undoneAt: (await readUndone(sessionDir))?.undoneAt ?? null,
+        });
+    }
+    return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Menentukan isi yang dipulihkan untuk satu file. Perubahan ditelusuri dari yang terbaru: selama isi file sama
+ * dengan yang ditulis sebuah perubahan, isi sebelum perubahan itu menjadi isi berikutnya. Jika rantai ini putus,
+ * file sudah diedit lagi setelah ditulis sesi ini.
+ * @param {SessionChange[]} changes Perubahan satu file, urut sesuai waktu.
+ * @param {string|null} currentHash Hash isi file saat ini (`null` jika file sudah dihapus).
+ * @returns {'restore'|'unchanged'|'modified'}
+ */
+function planFileUndo(changes, currentHash) {
+    if (currentHash === changes[0].hashBefore) return 'unchanged';
+    let hash = currentHash;
+    for (const change of [...changes].reverse()) {
+        if (hash !== change.hashAfter) return 'modified';
+        hash = change.hashBefore;
+    }
+    return 'restore';
+}
+
+/**
+ * Mengembalikan file yang diubah sebuah sesi ke isi sebelum sesi tersebut. Hanya file yang dicatat sesi itu
+ * yang disentuh. File yang sudah diedit lagi sejak run dilewati (dilaporkan sebagai `modified`), kecuali `force`.
+ * Sesi ditandai sudah di-undo hanya jika tidak ada file yang dilewati, sehingga undo bisa diulang dengan `force`.
+ * @param {string} historyDir
+ * @param {{ sessionId?: string, rootDir?: string, force?: boolean }} [options] Tanpa `sessionId`, sesi terbaru
+ * milik `rootDir` yang belum di-undo yang dipakai.
+ * @returns {Promise<{ sessionId: string, files: { file: string, status: 'restored'|'unchanged'|'modified' }[] }>}
+ * @throws {UndoError} Jika sesi tidak ditemukan atau sudah di-undo.
+ */
+export async function undoSession(historyDir, { sessionId, rootDir, force = false } = {}) {
+    if (!sessionId) {
+        const latest = (await listSessions(historyDir, { rootDir })).find(session => !session.undoneAt);
+        if (!latest) throw new UndoError('No session with recorded changes to undo.');
+        sessionId = latest.sessionId;
+    }
+    const sessionDir = path.join(historyDir, sessionId);
+    const changes = await readChanges(sessionDir);
+    if (!changes) throw new UndoError(`No recorded changes for session "${sessionId}".`);
+    const undone = await readUndone(sessionDir);
+    if (undone) throw new UndoError(`Session "${sessionId}" was already undone at ${undone.undoneAt}.`);
+
+    const byFile = new Map();
+    for (const change of changes) {
+        byFile.set(change.file, [...(byFile.get(change.file) ?? []), change]);
+    }
+    const files = [];
+    for (const [file, fileChanges] of byFile) {
+        const current = await fs.readFile(file).catch(() => null);
+        const plan = planFileUndo(fileChanges, current && hashBuffer(current));
+        if (plan === 'unchanged' || (plan === 'modified' && !force)) {
+            files.push({ file, status: plan });
+            continue;
+        }
+        const original = await fs.readFile(path.join(sessionDir, fileChanges[0].original));
+        if (hashBuffer(original) !== fileChanges[0].hashBefore) {
+            throw new UndoError(`Saved original of ${file} does not match its recorded hash; refusing to restore it.`);
+        }
+        const stat = await fs.stat(file).catch(() => null);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await writeTextFileAtomic(file, original, { stat });
+        files.push({ file, status: 'restored' });
+    }
+
+    if (!files.some(({ status }) => status === 'modified')) {
+        await writeTextFileAtomic(path.join(sessionDir, UNDONE_FILE), JSON.stringify({ undoneAt: new Date().toISOString(), files }, null, 2));
+    }
+    return { sessionId, files };
+}
+
+/**
+ * Membuang riwayat sebuah sesi, misalnya karena transaksinya tidak pernah di-commit.
+ * @param {string} historyDir
+ * @param {string} sessionId
+ */
+export async function discardSession(historyDir, sessionId) {
+    await fs.rm(path.join(historyDir, sessionId), { recursive: true, force: true });
+}
+
+/**
+ * Menyisakan `keep` sesi terbaru milik `rootDir`; sesi yang lebih lama dihapus.
+ * @param {string} historyDir
+ * @param {{ rootDir: string, keep: number }} options
+ * @returns {Promise<string[]>} Id sesi yang dihapus.
+ */
+export async function pruneSessions(historyDir, { rootDir, keep }) {
+    const expired = (await listSessions(historyDir, { rootDir })).slice(keep).map(session => session.sessionId);
+    await Promise.all(expired.map(sessionId => discardSession(historyDir, sessionId)));
+    return expired;
+}
@@ -0,0 +1,153 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// suppressions.js (INLINE DIRECTIVE EDITION)
+
+/**
+ * Direktif yang dikenali di dalam komentar:
+ * - `vrzaq-disable-next-line [rule...]` : baris berikutnya
+ * - `vrzaq-disable [rule...]` ... `vrzaq-enable [rule...]` : blok (sampai akhir file jika tidak ditutup)
+ * - `vrzaq-disable-file [rule...]` : seluruh file
+ * Tanpa daftar rule, direktif berlaku untuk semua rule.
+ */
+const DIRECTIVE_REGEX = /^\s*vrzaq-(disable-next-line|disable-file|disable|enable)(?:\s+([\s\S]*?))?\s*$/;
+
+/**
+ * Mengambil semua komentar dari konten. Memakai komentar AST jika tersedia,
+ * selain itu memindai komentar blok secara tekstual (misalnya untuk CSS).
+ * @param {string} content Kode sumber.
+ * @param {object|null} ast AST Babel dari `content`.
+ * @returns {Array<{ value: string, start: number, end: number }>}
+ */
+function extractComments(content, ast) {
+    if (ast?.comments) {
+        return ast.comments.map(({ value, start, end }) => ({ value, start, end }));
+    }
+    return Array.from(content.matchAll(/\/\*([\s\S]*?)\*\//g), match => ({
+        value: match[1],
+        start: match.index,
+        end: match.index + match[0].length,
+    }));
+}
+
+/**
+ * Membuat fungsi konversi offset -> nomor baris (1-based).
+ * @param {string} content Kode sumber.
+ * @returns {(offset: number) => number}
+ */
+export function createLineLocator(content) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === '\n') lineStarts.push(i + 1);
+    }
+    return (offset) => {
+        let low = 0, high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return low + 1;
+    };
+}
+
+/**
+ * Mengecek apakah salah satu id (rule atau nama plugin) cocok dengan daftar rule direktif.
+ * `autodoc` cocok dengan `autodoc` maupun `autodoc/deprecated-call`.
+ * @param {string[]|null} rules Daftar rule direktif (null = semua rule).
+ * @param {string[]} ids Id yang dicek.
+ * @returns {boolean}
+ */
+function matchesRules(rules, ids) {
+    if (!rules) return true;
+    return rules.some(rule => ids.some(id => id && (id === rule || id.startsWith(`${rule}/`))));
+}
+
+/**
+ * Mem-parse direktif suppression dari konten dan mengembalikan scope untuk mengeceknya.
+ * Penanda pemakaian (`used`) dikunci berdasarkan jenis, daftar rule, dan urutan kemunculan,
+ * sehingga tetap terbawa ketika konten berubah di antara pass transformasi.
+ * @param {string} content Kode sumber.
+ * @param {object|null} ast AST Babel dari `content` (opsional).
+ * @param {Set<string>} [used] Kunci direktif yang sudah terpakai (dibagikan antar scope).
+ * @returns {{ directives: object[], used: Set<string>, isSuppressed: Function, isRangeSuppressed: Function, getUnused: Function }}
+ */
+export function createSuppressionScope(content, ast = null, used = new Set()) {
+    const locate = createLineLocator(content);
+    const directives = [];
+    const ordinals = new Map();
+
+    for (const comment of extractComments(content, ast)) {
+        const match = comment.value.match(DIRECTIVE_REGEX);
+        if (!match) continue;
+
+        const [, kind, ruleList] = match;
+        const rules = ruleList ? ruleList.split(/[\s,]+/).filter(Boolean) : null;
+        const signature = `${kind}:${rules ? rules.join(',') : '*'}`;
+        const ordinal = ordinals.get(signature) || 0;
+        ordinals.set(signature, ordinal + 1);
+
+        directives.push({
+            key: `${signature}#${ordinal}`,
+            kind,
+            rules,
+            line: locate(comment.start),
+            endLine: locate(comment.end),
+            text: comment.value.trim(),
+        });
+    }
+
+    // Ubah direktif menjadi rentang baris yang disuppress
+    const regions = [];
+    const openBlocks = [];
+    const lastLine = locate(content.length);
+    for (const directive of directives) {
+        if (directive.kind === 'disable-file') {
+            regions.push({ directive, startLine: 1, endLine: Infinity });
+        } else if (directive.kind === 'disable-next-line') {
+            regions.push({ directive, startLine: directive.endLine + 1, endLine: directive.endLine + 1 });
+        } else if (directive.kind === 'disable') {
+            openBlocks.push(directive);
+        } else {
+            // `vrzaq-enable` menutup blok terbuka yang rule-nya cocok (atau semuanya jika tanpa rule)
+            for (let i = openBlocks.length - 1; i >= 0; i--) {
+                const block = openBlocks[i];
+                if (directive.rules && block.rules && !block.rules.every(rule => directive.rules.includes(rule))) continue;
+                regions.push({ directive: block, startLine: block.line, endLine: directive.line });
+                openBlocks.splice(i, 1);
+            }
+        }
+    }
+    openBlocks.forEach(block => regions.push({ directive: block, startLine: block.line, endLine: lastLine }));
+
+    /**
+     * @param {string[]} ids Rule id dan/atau nama plugin.
+     * @param {number} [startLine] Baris awal; tanpa baris, hanya direktif file yang berlaku.
+     * @param {number} [endLine] Baris akhir (default sama dengan baris awal).
+     * @returns {boolean}
+     */
+    function isSuppressed(ids, startLine, endLine = startLine) {
+        const region = regions.find(r => matchesRules(r.directive.rules, ids) && (
+            startLine === undefined
+                ? r.directive.kind === 'disable-file'
+                : startLine <= r.endLine && endLine >= r.startLine
+        ));
+        if (!region) return false;
+        used.add(region.directive.key);
+        return true;
+    }
+
+    return {
+        directives,
+        used,
+        isSuppressed,
+        /** Mengecek rentang offset `[start, end]` (misalnya fix) terhadap direktif. */
+        isRangeSuppressed(ids, [start, end]) {
+            return isSuppressed(ids, locate(start), locate(Math.max(start, end - 1)));
+        },
+        /** Direktif yang tidak pernah menyembunyikan apa pun (`vrzaq-enable` tidak dihitung). */
+        getUnused() {
+            return directives.filter(d => d.kind !== 'enable' && !used.has(d.key));
+        },
+    };
+}
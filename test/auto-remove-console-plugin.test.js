@@ -0,0 +1,86 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/auto-remove-console-plugin.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import logger from '../logger.js';
+import { getAst } from '../parser.js';
+import { applyFixes } from '../fixer.js';
+import autoRemoveConsolePlugin from '../plugins/auto-remove-console-plugin.js';
+
+logger.setLevels({ quiet: true });
+
+/** Menjalankan transform plugin satu kali seperti core: mengembalikan hasil fix dan diagnostiknya. */
+function removeConsole(code, options = {}) {
+    let transform;
+    const diagnostics = [];
+    autoRemoveConsolePlugin({
+        emitter: new EventEmitter(),
+        logger,
+        options,
+        registerTransform: (fn) => { transform = fn; },
+        report: (diagnostic) => diagnostics.push(diagnostic),
+    });
+    const fixes = transform(code, { file: 'a.js', ext: 'js', ast: getAst(code) });
+    const { output } = applyFixes(code, fixes.map(fix => ({ ...fix, order: 0 })));
+    // Hasil harus tetap kode yang valid
+    assert.doesNotThrow(() => getAst(output));
+    return { output, diagnostics };
+}
+
+describe('statements that only call console', () => {
+    test('are deleted from a block or the program body', () => {
+        const { output, diagnostics } = removeConsole('a();\nconsole.log(1);\nfunction f() { console.debug(2); return 3; }\n');
+        assert.equal(output, 'a();\n\nfunction f() {  return 3; }\n');
+        assert.deepEqual(diagnostics.map(d => d.message), ['Removed console.log', 'Removed console.debug']);
+    });
+
+    test('are replaced with an empty block as the body of if/else', () => {
+        const { output } = removeConsole("if (ready) console.log('ready');\nelse console.warn('no');\n");
+        assert.equal(output, 'if (ready) {}\nelse {}\n');
+    });
+
+    test('are replaced with an empty block as a loop body', () => {
+        const { output } = removeConsole('for (const x of xs) console.log(x);\nwhile (next()) console.info(1);\n');
+        assert.equal(output, 'for (const x of xs) {}\nwhile (next()) {}\n');
+    });
+
+    test('are deleted from a switch case', () => {
+        const { output } = removeConsole("switch (a) { case 1: console.log('one'); break; }\n");
+        assert.equal(output, 'switch (a) { case 1:  break; }\n');
+    });
+});
+
+describe('console calls inside expressions', () => {
+    const shapes = {
+        'a call argument': "doThing(console.log('y'));\n",
+        'an arrow function body': "const f = () => console.log('x');\n",
+        'a logical expression': 'const g = a && console.log(1);\n',
+        'an expression statement that is not the call itself': 'ready && console.log(1);\n',
+    };
+
+    for (const [shape, code] of Object.entries(shapes)) {
+        test(`are reported without a fix in ${shape}`, () => {
+            const { output, diagnostics } = removeConsole(code);
+            assert.equal(output, code);
+            assert.equal(diagnostics.length, 1);
+            assert.equal(diagnostics[0].fix, undefined);
+            assert.equal(diagnostics[0].data.removable, false);
+        });
+    }
+});
+
+test('a console call nested in a removed statement is reported once', () => {
+    const { output, diagnostics } = removeConsole('console.log(console.debug(1));\nb();\n');
+    assert.equal(output, '\nb();\n');
+    assert.equal(diagnostics.length, 1);
+});
+
+test('reportOnly reports the fix without applying it', () => {
+    const { output, diagnostics } = removeConsole('if (a) console.log(1);\n', { reportOnly: true });
+    assert.equal(output, 'if (a) console.log(1);\n');
+    assert.deepEqual(diagnostics[0].fix, { range: [7, 22], text: '{}' });
+    assert.equal(diagnostics[0].message, 'Found console.log');
+});
@@ -0,0 +1,146 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/fixer.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createFixFromRewrite, validateFix, applyFixes } from '../fixer.js';
+
+const fix = (start, end, text, order = 0) => ({ range: [start, end], text, order });
+
+describe('applyFixes', () => {
+    test('applies non-overlapping fixes from the back so earlier offsets stay valid', () => {
+        const { output, applied, deferred } = applyFixes('aaa bbb ccc', [fix(8, 11, 'CCCC'), fix(0, 3, 'A')]);
+        assert.equal(output, 'A bbb CCCC');
+        assert.equal(applied.length, 2);
+        assert.deepEqual(deferred, []);
+    });
+
+    test('defers a fix that overlaps an accepted one', () => {
+        const { output, applied, deferred } = applyFixes('abcdef', [fix(1, 4, 'X', 0), fix(3, 5, 'Y', 1)]);
+        assert.equal(output, 'aXef');
+        assert.deepEqual(applied.map(f => f.text), ['X']);
+        assert.deepEqual(deferred.map(f => f.text), ['Y']);
+    });
+
+    test('prefers the earlier plugin when fixes start at the same offset', () => {
+        const { output, deferred } = applyFixes('abcdef', [fix(0, 2, 'late', 1), fix(0, 2, 'early', 0)]);
+        assert.equal(output, 'earlycdef');
+        assert.deepEqual(deferred.map(f => f.text), ['late']);
+    });
+
+    test('applies adjacent ranges, including an insertion at the end of another fix', () => {
+        const { output, applied, deferred } = applyFixes('abcdef', [fix(0, 2, 'X'), fix(2, 4, 'Y'), fix(4, 4, '+')]);
+        assert.equal(output, 'XY+ef');
+        assert.equal(applied.length, 3);
+        assert.deepEqual(deferred, []);
+    });
+});
+
+describe('createFixFromRewrite', () => {
+    test('returns the smallest range that covers the change', () => {
+        assert.deepEqual(createFixFromRewrite('let a = 1;', 'let b = 1;'), { range: [4, 5], text: 'b' });
+        assert.deepEqual(createFixFromRewrite('aaa', 'aaaa'), { range: [3, 3], text: 'a' });
+    });
+
+    test('returns null when nothing changed', () => {
+        assert.equal(createFixFromRewrite('same', 'same'), null);
+    });
+});
+
+describe('validateFix', () => {
+    test('accepts a range inside the content', () => {
+        assert.equal(validateFix(fix(0, 3, ''), 3), null);
+    });
+
+    test('rejects malformed and out-of-bounds ranges', () => {
+        assert.match(validateFix({ range: [0], text: '' }, 3), /\[start, end\] tuple/);
+        assert.match(validateFix(fix(2, 1, ''), 3), /out of bounds/);
+        assert.match(validateFix(fix(0, 4, ''), 3), /out of bounds/);
+        assert.match(validateFix({ range: [0, 1], text: 1 }, 3), /fix.text/);
+    });
+});
+
+// Pipeline multi-pass di core.js, dengan plugin sementara di direktori proyek tersendiri
+describe('multi-pass transforms', () => {
+    let tmpDir;
+    let Core;
+    const emitter = new EventEmitter();
+
+    before(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrzaq-fixer-'));
+        // Dua plugin berebut rentang `foo`; plugin kedua harus dijalankan ulang terhadap hasil plugin pertama
+        await fs.writeFile(path.join(tmpDir, 'rename-plugin.js'), `
+            export default ({ registerTransform }) => registerTransform((code) => {
+                const start = code.indexOf('foo');
+                return start === -1 ? [] : [{ range: [start, start + 3], text: 'bar' }];
+            });`);
+        await fs.writeFile(path.join(tmpDir, 'upper-plugin.js'), `
+            export default ({ registerTransform, report }) => registerTransform((code, { file }) => {
+                const start = code.search(/foo|bar/);
+                if (start === -1) return [];
+                const fix = { range: [start, start + 3], text: code.slice(start, start + 3).toUpperCase() };
+                report({ ruleId: 'upper', severity: 'info', file, line: 1, message: 'lowercase name', fix });
+                return [fix];
+            });`);
+        // Langkah yang selalu mengusulkan dua fix tumpang tindih, sehingga tidak pernah selesai
+        await fs.writeFile(path.join(tmpDir, 'conflicting-plugin.js'), `
+            export default ({ registerTransform }) => registerTransform(() => {
+                globalThis.vrzaqConflictingCalls = (globalThis.vrzaqConflictingCalls ?? 0) + 1;
+                return [{ range: [3, 4], text: 'b' }, { range: [3, 5], text: 'c' }];
+            });`);
+        await fs.writeFile(path.join(tmpDir, 'vrzaq.config.js'), `
+            export default {
+                rootDir: ${JSON.stringify(tmpDir)},
+                targetExtensions: ['.js'],
+                fix: { maxPasses: 3 },
+                overrides: [
+                    { files: 'pair/**', plugins: ['./rename-plugin.js', './upper-plugin.js'] },
+                    { files: 'loop/**', plugins: ['./conflicting-plugin.js'] },
+                ],
+            };`);
+
+        process.chdir(tmpDir);
+        const logger = (await import('../logger.js')).default;
+        logger.setLevels({ quiet: true });
+        const { loadConfig } = await import('../config.js');
+        Core = await import('../core.js');
+        await Core.initialize(await loadConfig(), emitter, { role: 'embedded' });
+    });
+
+    after(async () => {
+        await Core.shutdown();
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('re-runs a deferred step against the output of the previous pass', async () => {
+        const passes = [];
+        const onPass = event => passes.push(event);
+        emitter.on('fix:pass', onPass);
+        const result = await Core.formatContent(path.join(tmpDir, 'pair/a.js'), '// foo\n');
+        emitter.off('fix:pass', onPass);
+
+        assert.equal(result.error, undefined);
+        assert.equal(result.formatted, '// BAR\n');
+        assert.deepEqual(passes.map(({ pass, applied, deferred }) => ({ pass, applied, deferred })), [
+            { pass: 1, applied: 1, deferred: 1 },
+            { pass: 2, applied: 1, deferred: 0 },
+        ]);
+        // Diagnostik dari pass 1 yang ditunda dibuang; yang tersisa mencatat pass tempat fix-nya dihitung
+        assert.deepEqual(result.diagnostics.map(({ pass, fix }) => ({ pass, fix })), [{ pass: 2, fix: { range: [3, 6], text: 'BAR' } }]);
+    });
+
+    test('stops after fix.maxPasses and reports the pending plugins', async () => {
+        let exhausted = null;
+        emitter.once('fix:exhausted', (event) => { exhausted = event; });
+        const result = await Core.formatContent(path.join(tmpDir, 'loop/a.js'), '// aaaa\n');
+
+        assert.equal(result.formatted, '// baaa\n');
+        assert.equal(globalThis.vrzaqConflictingCalls, 3);
+        assert.deepEqual(exhausted, { file: path.join(tmpDir, 'loop/a.js'), passes: 3, plugins: ['conflicting-plugin'] });
+    });
+});
@@ -0,0 +1,94 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/html-reporter.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import htmlReporter from '../reporters/html-reporter.js';
+
+let rootDir;
+let html;
+
+const fileResult = (name, outcome, fields = {}) => ({
+    file: path.join(rootDir, name),
+    outcome,
+    bytesChanged: 0,
+    durationMs: 1,
+    plugins: [],
+    error: null,
+    ...fields,
+});
+
+/** Blok `<h2>` sampai `<h2>` berikutnya. */
+const sectionOf = heading => html.split('<h2>').find(section => section.startsWith(heading));
+
+before(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrzaq-html-'));
+    const sizes = { 'small.js': 10, 'big.js': 3000, 'medium.js': 500 };
+    for (const [name, size] of Object.entries(sizes)) await fs.writeFile(path.join(rootDir, name), 'x'.repeat(size));
+
+    const diagnostic = (ruleId, severity, message) => ({ ruleId, plugin: `${ruleId}-plugin`, severity, file: path.join(rootDir, 'big.js'), line: 3, column: 2, message });
+    const results = [
+        fileResult('big.js', 'formatted', { bytesChanged: 4, diff: '--- a\n+++ b\n@@ -1 +1 @@\n-x\n+y', plugins: ['auto-remove-console-plugin'] }),
+        fileResult('medium.js', 'invalid', { error: { name: 'SyntaxError', message: 'Unexpected token <div>' } }),
+        fileResult('small.js', 'unchanged'),
+    ];
+    html = await htmlReporter({
+        mode: 'check',
+        total: 3,
+        files: Object.keys(sizes).map(name => path.join(rootDir, name)),
+        stats: { formatted: 1, unformatted: 0, skipped: 0, unchanged: 1, invalid: 1 },
+        results,
+        diagnostics: [
+            diagnostic('detect-todo', 'info', 'TODO: replace <b> & co'),
+            diagnostic('auto-remove-console', 'info', 'Removed console.log'),
+            diagnostic('disallow-console', 'warn', 'Forbidden console.warn'),
+        ],
+        diagnosticCounts: { error: 0, warn: 1, info: 2 },
+        telemetry: { scan: 2, backup: 0, processing: 8, total: 10 },
+        sessionId: 'session-1',
+    }, { rootDir, version: '9.9.9', largestFiles: 2 });
+});
+
+after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+test('is a self-contained document describing the run', () => {
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>vrzaq report \(check\)<\/title>/);
+    assert.match(html, /Session session-1 · vrzaq 9\.9\.9/);
+    assert.doesNotMatch(html, /<(script|link)[^>]+(src|href)=/);
+    assert.match(html, /<div class="value">1<\/div><div class="label">Failed<\/div>/);
+    assert.match(sectionOf('Phase telemetry'), /<strong>10\.00 ms<\/strong>/);
+});
+
+test('lists every processed file with its outcome and a link to its details', () => {
+    const files = sectionOf('Files');
+    assert.equal([...files.matchAll(/<a href="#file-\d+">/g)].length, 3);
+    assert.match(files, /big\.js<\/a><\/td>\s*<td data-value="formatted">[^]*?\+4<\/td>/);
+    assert.match(files, /auto-remove-console-plugin/);
+});
+
+test('shows details only for files with an error, a diff or diagnostics', () => {
+    const details = sectionOf('File details');
+    assert.match(details, /<details id="file-0">[^]*<span class="diff-add">\+y<\/span>/);
+    assert.match(details, /<details id="file-1" open>[^]*SyntaxError<\/span> Unexpected token &lt;div&gt;/);
+    assert.doesNotMatch(details, /id="file-2"/);
+});
+
+test('ranks the largest scanned files by size, limited by largestFiles', () => {
+    const largest = sectionOf('Largest files');
+    assert.match(largest, /2\.93 KB<\/td>\s*<td><code>big\.js<\/code>[^]*500 B<\/td>\s*<td><code>medium\.js<\/code>/);
+    assert.doesNotMatch(largest, /small\.js/);
+});
+
+test('collects TODO and console findings into their own escaped sections', () => {
+    assert.match(sectionOf('TODO list (1)'), /TODO: replace &lt;b&gt; &amp; co/);
+    const consoleUsage = sectionOf('Console usage (2)');
+    assert.match(consoleUsage, /Removed console\.log/);
+    assert.match(consoleUsage, /<code>big\.js:3:2<\/code>[^]*Forbidden console\.warn/);
+});
@@ -0,0 +1,112 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/ignore-engine.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { IgnoreEngine } from '../ignore-engine.js';
+
+let rootDir;
+
+/** Menulis file-file proyek sekaligus (path relatif terhadap rootDir). */
+async function writeFiles(files) {
+    for (const [name, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(rootDir, name)), { recursive: true });
+        await fs.writeFile(path.join(rootDir, name), content);
+    }
+}
+
+before(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrzaq-ignore-'));
+    await writeFiles({
+        '.gitignore': '# build output\n*.log\ndist/\ngenerated/*.js\n!generated/keep.js\n',
+        '.prettierignore': 'legacy.js\n',
+        'packages/a/.gitignore': '/local.js\n!debug.log\n',
+        'packages/a/.vrzaqignore': 'vendor.js\n',
+        'packages/a/src/.gitignore': '!vendor.js\n',
+        'dist/.gitignore': '!bundle.js\n',
+    });
+});
+
+after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('root ignore files', () => {
+    test('match patterns, directory patterns and their contents', () => {
+        const engine = new IgnoreEngine({ rootDir });
+        assert.equal(engine.isIgnored('error.log'), true);
+        assert.equal(engine.isIgnored('src/deep/error.log'), true);
+        assert.equal(engine.isIgnored('dist', { directory: true }), true);
+        assert.equal(engine.isIgnored('dist'), false);
+        assert.equal(engine.isIgnored('src/index.js'), false);
+        assert.equal(engine.isIgnored('legacy.js'), true);
+    });
+
+    test('a negation re-includes a file matched by an earlier pattern', () => {
+        const engine = new IgnoreEngine({ rootDir });
+        assert.equal(engine.isIgnored('generated/api.js'), true);
+        assert.equal(engine.isIgnored('generated/keep.js'), false);
+    });
+
+    test('a file inside an ignored directory cannot be re-included', () => {
+        const engine = new IgnoreEngine({ rootDir });
+        assert.equal(engine.isIgnored('dist/bundle.js'), true);
+        assert.deepEqual(engine.explain('dist/bundle.js'), { rule: 'dist/', source: '.gitignore', line: 3, path: 'dist', inherited: true });
+    });
+
+    test('paths outside rootDir are never ignored', () => {
+        const engine = new IgnoreEngine({ rootDir, patterns: ['*'] });
+        assert.equal(engine.isIgnored(path.join(rootDir, '..', 'other.js')), false);
+    });
+});
+
+describe('nested ignore files', () => {
+    test('apply relative to their own directory', () => {
+        const engine = new IgnoreEngine({ rootDir });
+        assert.equal(engine.isIgnored('packages/a/local.js'), true);
+        // `/local.js` berjangkar ke packages/a, bukan ke root atau subdirektori
+        assert.equal(engine.isIgnored('local.js'), false);
+        assert.equal(engine.isIgnored('packages/a/src/local.js'), false);
+    });
+
+    test('a deeper negation overrides a pattern from a parent directory', () => {
+        const engine = new IgnoreEngine({ rootDir });
+        assert.equal(engine.isIgnored('packages/a/debug.log'), false);
+        assert.equal(engine.isIgnored('packages/a/trace.log'), true);
+        assert.equal(engine.isIgnored('packages/b/debug.log'), true);
+    });
+
+    test('a later ignore file in the same directory wins, and a deeper one wins over both', () => {
+        const engine = new IgnoreEngine({ rootDir });
+        assert.equal(engine.isIgnored('packages/a/vendor.js'), true);
+        assert.equal(engine.isIgnored('packages/a/src/vendor.js'), false);
+        assert.deepEqual(engine.explain('packages/a/lib/vendor.js'), {
+            rule: 'vendor.js', source: 'packages/a/.vrzaqignore', line: 1, path: 'packages/a/lib/vendor.js', inherited: false,
+        });
+    });
+
+    test('config patterns form the lowest layer', () => {
+        const engine = new IgnoreEngine({ rootDir, patterns: ['*.snap', 'generated/keep.js'] });
+        assert.equal(engine.isIgnored('a.snap'), true);
+        assert.deepEqual(engine.explain('a.snap'), { rule: '*.snap', source: 'ignorePatterns (vrzaq config)', line: null, path: 'a.snap', inherited: false });
+        // Negasi di .gitignore root berada di lapisan yang lebih tinggi
+        assert.equal(engine.isIgnored('generated/keep.js'), false);
+    });
+});
+
+test('invalidate re-reads ignore files that changed', async () => {
+    const loaded = [];
+    const engine = new IgnoreEngine({ rootDir, onLoad: file => loaded.push(path.relative(rootDir, file)) });
+    assert.equal(engine.isIgnored('packages/c/tmp.js'), false);
+
+    await writeFiles({ 'packages/c/.gitignore': 'tmp.js\n' });
+    // Hasil lama tetap dipakai sampai cache direktori itu dibuang
+    assert.equal(engine.isIgnored('packages/c/tmp.js'), false);
+    engine.invalidate(path.join(rootDir, 'packages/c'));
+    assert.equal(engine.isIgnored('packages/c/tmp.js'), true);
+    assert.equal(loaded.filter(file => file === path.join('packages', 'c', '.gitignore')).length, 1);
+});
@@ -0,0 +1,84 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/json-reporter.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import jsonReporter from '../reporters/json-reporter.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+/** Ringkasan run minimal seperti yang dikirim `run:complete`. */
+function summaryOf(fields = {}) {
+    return {
+        mode: 'write',
+        total: 1,
+        stats: { formatted: 1, unformatted: 0, skipped: 0, unchanged: 0, invalid: 0 },
+        results: [],
+        unformatted: [],
+        failed: [],
+        diagnostics: [],
+        diagnosticCounts: { error: 0, warn: 0, info: 0 },
+        transaction: null,
+        sessionId: 'test',
+        ...fields,
+    };
+}
+
+const successOf = summary => JSON.parse(jsonReporter(summary)).success;
+
+describe('success', () => {
+    test('is true for a clean run', () => {
+        assert.equal(successOf(summaryOf()), true);
+        assert.equal(successOf(summaryOf({ mode: 'check' })), true);
+    });
+
+    test('is false when check mode finds unformatted or failed files', () => {
+        assert.equal(successOf(summaryOf({ mode: 'check', unformatted: ['a.js'] })), false);
+        assert.equal(successOf(summaryOf({ mode: 'check', failed: ['a.js'] })), false);
+    });
+
+    test('is false for error-level diagnostics in any mode', () => {
+        assert.equal(successOf(summaryOf({ diagnosticCounts: { error: 1, warn: 0, info: 0 } })), false);
+        assert.equal(successOf(summaryOf({ diagnosticCounts: { error: 0, warn: 3, info: 0 } })), true);
+    });
+
+    test('is false when a transaction was not committed', () => {
+        assert.equal(successOf(summaryOf({ transaction: { id: 't', status: 'aborted', files: [], error: null } })), false);
+        assert.equal(successOf(summaryOf({ transaction: { id: 't', status: 'committed', files: [], error: null } })), true);
+    });
+});
+
+// Field `success` dan exit code CLI berasal dari kondisi yang sama
+describe('agrees with the CLI exit code', () => {
+    const runCheck = async (content) => {
+        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrzaq-json-'));
+        try {
+            await fs.writeFile(path.join(tmpDir, 'a.js'), content);
+            const result = await promisify(execFile)(process.execPath, [CLI, 'check', '--reporter', 'json'], { cwd: tmpDir })
+                .then(({ stdout }) => ({ stdout, code: 0 }), error => ({ stdout: error.stdout, code: error.code }));
+            return { code: result.code, report: JSON.parse(result.stdout) };
+        } finally {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+        }
+    };
+
+    test('check with drift', async () => {
+        const { code, report } = await runCheck('const a  =  1\n');
+        assert.equal(code, 1);
+        assert.equal(report.success, false);
+        assert.equal(report.summary.outcomes.unformatted, 1);
+    });
+
+    test('check without drift', async () => {
+        const { code, report } = await runCheck('const a = 1;\n');
+        assert.equal(code, 0);
+        assert.equal(report.success, true);
+    });
+});
@@ -0,0 +1,74 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/junit-reporter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import junitReporter from '../reporters/junit-reporter.js';
+
+const rootDir = path.resolve('/project');
+
+const fileResult = (name, outcome, fields = {}) => ({
+    file: path.join(rootDir, name),
+    outcome,
+    durationMs: 12,
+    plugins: [],
+    error: null,
+    ...fields,
+});
+
+const render = summary => junitReporter({ mode: 'write', results: [], diagnostics: [], ...summary }, { rootDir });
+
+/** Blok `<testsuite>` dengan nama tertentu, atau undefined. */
+const suiteOf = (xml, name) => xml.match(new RegExp(`<testsuite name="${name}"[^]*?</testsuite>`))?.[0];
+
+/** Blok `<testcase>` untuk satu file di dalam sebuah suite. */
+const caseOf = (suite, name) => suite.match(new RegExp(`<testcase name="${name}"[^>]*?(/>|>[^]*?</testcase>)`))?.[0];
+
+test('writes one format testcase per file; only invalid files fail outside check mode', () => {
+    const xml = render({
+        results: [fileResult('a.js', 'formatted'), fileResult('b.js', 'unformatted'), fileResult('c.js', 'invalid', { error: { message: 'Unexpected token (1:5)' } })],
+    });
+    const suite = suiteOf(xml, 'vrzaq.format');
+    assert.match(suite, /tests="3" failures="1"/);
+    assert.match(caseOf(suite, 'a.js'), /time="0\.012"[^]*<system-out>outcome: formatted<\/system-out>/);
+    assert.doesNotMatch(caseOf(suite, 'b.js'), /<failure/);
+    assert.match(caseOf(suite, 'c.js'), /<failure type="invalid" message="Unexpected token \(1:5\)">/);
+});
+
+test('fails unformatted files in check mode and includes their diff', () => {
+    const xml = render({ mode: 'check', results: [fileResult('b.js', 'unformatted', { diff: '@@ -1 +1 @@\n-a\n+b' })] });
+    const testCase = caseOf(suiteOf(xml, 'vrzaq.format'), 'b.js');
+    assert.match(testCase, /<failure type="unformatted" message="File is not formatted; running vrzaq would change it\.">/);
+    assert.match(testCase, /@@ -1 \+1 @@\n-a\n\+b<\/failure>/);
+});
+
+test('writes one suite per plugin that fails only on error diagnostics', () => {
+    const a = path.join(rootDir, 'a.js');
+    const xml = render({
+        results: [fileResult('a.js', 'formatted', { plugins: ['auto-remove-console-plugin'] }), fileResult('b.js', 'unchanged')],
+        diagnostics: [
+            { ruleId: 'disallow-console', plugin: 'disallow-console-plugin', severity: 'error', file: a, line: 2, column: 4, message: 'Forbidden console.log' },
+            { ruleId: 'detect-todo', plugin: 'detect-todo-plugin', severity: 'info', file: path.join(rootDir, 'b.js'), line: 1, message: 'TODO: x' },
+        ],
+    });
+    assert.deepEqual([...xml.matchAll(/<testsuite name="([^"]+)"/g)].map(match => match[1]),
+        ['vrzaq.format', 'auto-remove-console-plugin', 'detect-todo-plugin', 'disallow-console-plugin']);
+    assert.match(suiteOf(xml, 'auto-remove-console-plugin'), /tests="1" failures="0"[^]*<testcase name="a\.js" classname="auto-remove-console-plugin"\/>/);
+    assert.match(caseOf(suiteOf(xml, 'detect-todo-plugin'), 'b.js'), /<system-out>b\.js:1:0 info TODO: x \(detect-todo\)<\/system-out>/);
+    assert.match(caseOf(suiteOf(xml, 'disallow-console-plugin'), 'a.js'),
+        /<failure type="disallow-console" message="Forbidden console\.log">a\.js:2:4 error Forbidden console\.log \(disallow-console\)<\/failure>/);
+    assert.match(xml, /<testsuites name="vrzaq" tests="5" failures="1" errors="0">/);
+});
+
+test('escapes XML and drops control characters from messages', () => {
+    const xml = render({ results: [fileResult('a.js', 'invalid', { error: { message: 'Unexpected "<" & \u0001done' } })] });
+    assert.match(xml, /message="Unexpected &quot;&lt;&quot; &amp; done"/);
+});
+
+test('takes suite and total times from the run telemetry', () => {
+    const xml = render({ results: [fileResult('a.js', 'unchanged')], telemetry: { processing: 1500, total: 2250 } });
+    assert.match(xml, /<testsuites name="vrzaq" tests="1" failures="0" errors="0" time="2\.250">/);
+    assert.match(suiteOf(xml, 'vrzaq.format'), /skipped="0" time="1\.500" timestamp="\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d"/);
+});
@@ -0,0 +1,84 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/precommit.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+let tmpDir;
+let runPrecommit;
+let summary;
+
+const git = (...args) => execFileSync('git', ['-c', 'core.autocrlf=false', ...args], { cwd: tmpDir, encoding: 'utf8' });
+const read = name => fs.readFile(path.join(tmpDir, name), 'utf8');
+const write = (name, content) => fs.writeFile(path.join(tmpDir, name), content);
+const statusOf = name => summary.files.find(f => f.file === path.join(tmpDir, name))?.status;
+
+// Satu repository dan satu run precommit untuk semua kasus; setiap file mewakili satu kasus
+before(async () => {
+    tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'vrzaq-precommit-')));
+    git('init', '-q');
+    await write('vrzaq.config.js', `export default { rootDir: ${JSON.stringify(tmpDir)}, targetExtensions: ['.js'] };`);
+    await write('README.md', 'readme\n');
+    git('add', 'README.md');
+    git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init');
+
+    // Di-stage penuh
+    await write('full.js', 'const a  =  1\n');
+    // Di-stage sebagian: format mengubah baris 1, yang menjadi konteks hunk unstaged di baris 4
+    await write('partial.js', 'const a  =  1;\nconst b = 2;\nconst c = 3;\nconst d = 4;\n');
+    // Di-stage sebagian: format dan perubahan unstaged menyentuh baris yang sama
+    await write('conflict.js', 'const x  =  1;\n');
+    // Di-stage lalu dihapus dari working tree
+    await write('deleted.js', 'const y  =  1;\n');
+    git('add', 'full.js', 'partial.js', 'conflict.js', 'deleted.js');
+    await write('partial.js', 'const a  =  1;\nconst b = 2;\nconst c = 3;\nconst d = 40;\n');
+    await write('conflict.js', 'const x  =  2;\n');
+    await fs.rm(path.join(tmpDir, 'deleted.js'));
+
+    process.chdir(tmpDir);
+    const logger = (await import('../logger.js')).default;
+    logger.setLevels({ quiet: true });
+    ({ runPrecommit } = await import('../precommit.js'));
+    summary = await runPrecommit({ backup: false });
+});
+
+after(async () => {
+    const Core = await import('../core.js');
+    await Core.shutdown();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test('formats a fully staged file in the index and the working tree', async () => {
+    assert.equal(statusOf('full.js'), 'formatted');
+    assert.equal(git('show', ':full.js'), 'const a = 1;\n');
+    assert.equal(await read('full.js'), 'const a = 1;\n');
+});
+
+test('keeps unstaged changes whose hunk context was touched by formatting', async () => {
+    assert.equal(statusOf('partial.js'), 'formatted');
+    assert.equal(git('show', ':partial.js'), 'const a = 1;\nconst b = 2;\nconst c = 3;\nconst d = 4;\n');
+    assert.equal(await read('partial.js'), 'const a = 1;\nconst b = 2;\nconst c = 3;\nconst d = 40;\n');
+    // Yang tersisa di luar index hanya perubahan yang memang belum di-stage
+    assert.match(git('diff', '--', 'partial.js'), /^-const d = 4;\n\+const d = 40;$/m);
+});
+
+test('leaves the working tree untouched when unstaged changes conflict with formatting', async () => {
+    assert.equal(statusOf('conflict.js'), 'formatted-index-only');
+    assert.equal(git('show', ':conflict.js'), 'const x = 1;\n');
+    assert.equal(await read('conflict.js'), 'const x  =  2;\n');
+});
+
+test('formats a staged file that was deleted from the working tree in the index only', async () => {
+    assert.equal(statusOf('deleted.js'), 'formatted');
+    assert.equal(git('show', ':deleted.js'), 'const y = 1;\n');
+    await assert.rejects(fs.access(path.join(tmpDir, 'deleted.js')), { code: 'ENOENT' });
+});
+
+test('skips files that are not staged', () => {
+    assert.deepEqual(summary.files.map(f => path.basename(f.file)).sort(), ['conflict.js', 'deleted.js', 'full.js', 'partial.js']);
+});
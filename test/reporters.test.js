@@ -0,0 +1,148 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/reporters.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { stripVTControlCharacters } from 'util';
+import { loadReporters, runReporter, writesToStdout, BUILTIN_REPORTERS } from '../reporters/index.js';
+import summaryReporter from '../reporters/summary-reporter.js';
+import jsonReporter from '../reporters/json-reporter.js';
+
+let rootDir;
+
+/** FileResult seperti yang dihasilkan core. */
+const fileResult = (name, fields = {}) => ({
+    file: path.join(rootDir, name),
+    outcome: 'formatted',
+    hashBefore: 'a',
+    hashAfter: 'b',
+    bytesChanged: 3,
+    durationMs: 1.23456,
+    diagnostics: [],
+    plugins: [],
+    error: null,
+    ...fields,
+});
+
+function summaryOf(fields = {}) {
+    const results = fields.results ?? [fileResult('a.js'), fileResult('b.js', { outcome: 'invalid', error: { name: 'SyntaxError', message: 'Unexpected token (1:5)' } })];
+    const diagnostics = fields.diagnostics ?? [
+        { ruleId: 'disallow-console', plugin: 'disallow-console-plugin', severity: 'warn', file: path.join(rootDir, 'a.js'), line: 2, column: 4, message: 'Forbidden console.log' },
+        { ruleId: 'detect-todo', plugin: 'detect-todo-plugin', severity: 'info', file: path.join(rootDir, 'a.js'), line: 5, message: 'TODO: tidy up' },
+    ];
+    return {
+        mode: 'write',
+        total: results.length,
+        files: results.map(r => r.file),
+        stats: { formatted: 1, unformatted: 0, skipped: 0, unchanged: 0, invalid: 1 },
+        results,
+        unformatted: [],
+        failed: results.filter(r => r.outcome === 'invalid').map(r => r.file),
+        diagnostics,
+        diagnosticCounts: { error: 0, warn: 1, info: 1 },
+        transaction: null,
+        telemetry: { scan: 1.5, backup: 0, processing: 12.25, total: 15 },
+        sessionId: 'session-1',
+        ...fields,
+    };
+}
+
+before(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrzaq-reporters-'));
+});
+
+after(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('loadReporters', () => {
+    test('resolves built-in names, files relative to rootDir, and options', async () => {
+        await fs.writeFile(path.join(rootDir, 'count-reporter.js'), 'export default (summary, options) => `${options.prefix}${summary.total}`;');
+        const reporters = await loadReporters(['json', ['./count-reporter.js', { prefix: 'total=' }]], { rootDir });
+        assert.equal(reporters[0].report, BUILTIN_REPORTERS.json);
+        assert.equal(reporters[1].name, './count-reporter.js');
+        assert.equal(await reporters[1].report({ total: 2 }, reporters[1].options), 'total=2');
+    });
+
+    test('fails before any file is processed when a reporter cannot be loaded', async () => {
+        await assert.rejects(loadReporters(['./missing-reporter.js'], { rootDir }), /Reporter "\.\/missing-reporter\.js" could not be loaded/);
+        await fs.writeFile(path.join(rootDir, 'no-default.js'), 'export const report = () => "";');
+        await assert.rejects(loadReporters(['./no-default.js'], { rootDir }), { name: 'TypeError' });
+    });
+});
+
+describe('runReporter', () => {
+    test('writes to outputFile without ANSI colors, creating its directory', async () => {
+        const outputFile = path.join(rootDir, 'reports', 'summary.txt');
+        const reporter = { name: 'summary', options: { outputFile }, report: summaryReporter };
+        assert.equal(await runReporter(reporter, summaryOf(), { rootDir }), outputFile);
+        const written = await fs.readFile(outputFile, 'utf8');
+        assert.equal(written, stripVTControlCharacters(written));
+        assert.match(written, /Vrzaq Run Report/);
+    });
+
+    test('passes the tool version and dry-run state to the reporter', async () => {
+        let received;
+        const reporter = { name: 'spy', options: { outputFile: path.join(rootDir, 'spy.txt') }, report: (summary, options) => { received = options; } };
+        await runReporter(reporter, summaryOf({ mode: 'check' }), { rootDir, isVerbose: true });
+        assert.equal(received.isDryRun, true);
+        assert.equal(received.isVerbose, true);
+        assert.match(received.version, /^\d+\.\d+\.\d+/);
+    });
+
+    test('writesToStdout is true only without an outputFile', () => {
+        assert.equal(writesToStdout('json'), true);
+        assert.equal(writesToStdout(['json', { outputFile: 'out.json' }]), false);
+    });
+});
+
+describe('summary reporter', () => {
+    const render = (summary, options) => stripVTControlCharacters(summaryReporter(summary, options));
+
+    test('shows outcome counts, failed files with their first error line, and telemetry', () => {
+        const output = render(summaryOf());
+        assert.match(output, /Total Files:\s+2/);
+        assert.match(output, /Formatted:\s+1/);
+        assert.match(output, /Failed:\s+1/);
+        assert.match(output, /b\.js[\s\S]*Unexpected token \(1:5\)/);
+        assert.match(output, /Processing Phase:\s+12\.25 ms/);
+        assert.doesNotMatch(output, /Backup Phase/);
+    });
+
+    test('lists warnings but hides info diagnostics unless verbose', () => {
+        const output = render(summaryOf());
+        assert.match(output, /0 error\(s\), 1 warning\(s\), 1 info/);
+        assert.match(output, /Forbidden console\.log \(disallow-console\)/);
+        assert.doesNotMatch(output, /TODO: tidy up/);
+        assert.match(render(summaryOf(), { isVerbose: true }), /TODO: tidy up \(detect-todo\)/);
+    });
+
+    test('counts files that would change on a dry run', () => {
+        const output = render(summaryOf({ mode: 'dry-run', stats: { formatted: 0, unformatted: 4, skipped: 0, unchanged: 0, invalid: 0 } }), { isDryRun: true });
+        assert.match(output, /DRY RUN MODE ENABLED/);
+        assert.match(output, /Formatted:\s+4 \(would change\)/);
+    });
+
+    test('shows the transaction status', () => {
+        const transaction = { id: 't', status: 'aborted', files: [], error: { message: '1 file(s) failed to process; no files were written.' } };
+        assert.match(render(summaryOf({ transaction })), /Transaction:\s+aborted - 1 file\(s\) failed to process/);
+    });
+});
+
+describe('json reporter', () => {
+    test('includes the run metadata, summary and serializable file results', () => {
+        const payload = JSON.parse(jsonReporter(summaryOf(), { version: '9.9.9' }));
+        assert.equal(payload.schemaVersion, '3.2.0');
+        assert.equal(payload.metadata.toolVersion, '9.9.9');
+        assert.equal(payload.metadata.sessionId, 'session-1');
+        assert.deepEqual(payload.metadata.performance, { scanMs: 1.5, backupMs: 0, processingMs: 12.25, totalMs: 15 });
+        assert.deepEqual(payload.summary, { totalFiles: 2, outcomes: summaryOf().stats, failed: 1, diagnostics: { error: 0, warn: 1, info: 1 } });
+        assert.equal(payload.results[0].durationMs, 1.23);
+        assert.deepEqual(payload.results[1].error, { name: 'SyntaxError', message: 'Unexpected token (1:5)' });
+        assert.equal(payload.transaction, null);
+    });
+});
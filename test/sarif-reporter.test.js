@@ -0,0 +1,80 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/sarif-reporter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import sarifReporter from '../reporters/sarif-reporter.js';
+
+const rootDir = path.resolve('/project');
+
+/** Diagnostik plugin dengan fix, seperti yang dicatat core untuk sebuah pass. */
+const diagnostic = (pass, fields = {}) => ({
+    ruleId: 'auto-remove-console',
+    plugin: 'auto-remove-console-plugin',
+    severity: 'info',
+    file: path.join(rootDir, 'src/a.js'),
+    line: 2,
+    column: 4,
+    message: 'Removed console.log',
+    fix: { range: [10, 25], text: '' },
+    pass,
+    ...fields,
+});
+
+const runOf = summary => JSON.parse(sarifReporter({ mode: 'write', results: [], diagnostics: [], ...summary }, { rootDir, version: '1.0.0' })).runs[0];
+
+test('maps fixes from the first pass to replacements on the original file', () => {
+    const [result] = runOf({ diagnostics: [diagnostic(1)] }).results;
+    assert.deepEqual(result.locations[0].physicalLocation, {
+        artifactLocation: { uri: 'src/a.js', uriBaseId: 'ROOTDIR' },
+        region: { startLine: 2, startColumn: 5 },
+    });
+    assert.deepEqual(result.fixes[0].artifactChanges[0].replacements, [
+        { deletedRegion: { charOffset: 10, charLength: 15 }, insertedContent: { text: '' } },
+    ]);
+});
+
+test('omits fixes computed against the output of an earlier pass', () => {
+    const results = runOf({ diagnostics: [diagnostic(2), diagnostic(undefined)] }).results;
+    assert.equal(results.length, 2);
+    assert.ok(results.every(result => result.fixes === undefined));
+});
+
+test('registers each plugin as a tool extension with its rules', () => {
+    const run = runOf({ diagnostics: [
+        diagnostic(1),
+        diagnostic(1, { ruleId: 'disallow-console', plugin: 'disallow-console-plugin', severity: 'error' }),
+        diagnostic(1, { line: 7 }),
+    ] });
+    assert.deepEqual(run.tool.extensions.map(extension => extension.name), ['auto-remove-console-plugin', 'disallow-console-plugin']);
+    assert.deepEqual(run.tool.extensions[1].rules[0].defaultConfiguration, { level: 'error' });
+    assert.deepEqual(run.results.map(result => result.rule), [
+        { id: 'auto-remove-console', index: 0, toolComponent: { index: 0 } },
+        { id: 'disallow-console', index: 0, toolComponent: { index: 1 } },
+        { id: 'auto-remove-console', index: 0, toolComponent: { index: 0 } },
+    ]);
+    assert.deepEqual(run.results.map(result => result.level), ['note', 'error', 'note']);
+});
+
+test('reports unformatted files under the driver rule, as errors only in check mode', () => {
+    const unformatted = { file: path.join(rootDir, 'src/b.js'), outcome: 'unformatted', diff: '--- a\n+++ b\n@@ -3,2 +3,2 @@\n-x\n+y\n' };
+    const [result] = runOf({ mode: 'check', results: [unformatted] }).results;
+    assert.equal(result.ruleId, 'vrzaq/formatting');
+    assert.equal(result.level, 'error');
+    assert.equal(result.rule.toolComponent, undefined);
+    assert.deepEqual(result.locations[0].physicalLocation.region, { startLine: 3 });
+    assert.equal(result.properties.diff, unformatted.diff);
+    assert.equal(runOf({ mode: 'dry-run', results: [unformatted] }).results[0].level, 'warning');
+});
+
+test('records files that failed to process as execution notifications', () => {
+    const run = runOf({ results: [{ file: path.join(rootDir, 'src/c.js'), outcome: 'invalid', error: { message: 'Unexpected token (1:5)' } }] });
+    const [invocation] = run.invocations;
+    assert.equal(invocation.executionSuccessful, false);
+    assert.equal(invocation.toolExecutionNotifications[0].message.text, 'Unexpected token (1:5)');
+    assert.equal(invocation.toolExecutionNotifications[0].locations[0].physicalLocation.artifactLocation.uri, 'src/c.js');
+    assert.equal(run.results.length, 0);
+    assert.equal(runOf({}).invocations[0].executionSuccessful, true);
+});
@@ -0,0 +1,118 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/suppressions.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSuppressionScope, createLineLocator } from '../suppressions.js';
+import { getAst } from '../parser.js';
+
+/** Scope dari kode JavaScript, dengan komentar diambil dari AST seperti di core.js. */
+const scopeOf = (code, used) => createSuppressionScope(code, getAst(code), used);
+
+describe('disable / enable regions', () => {
+    const code = [
+        'a();',                              // 1
+        '// vrzaq-disable disallow-console', // 2
+        'b();',                              // 3
+        '// vrzaq-enable disallow-console',  // 4
+        'c();',                              // 5
+    ].join('\n');
+
+    test('suppresses the lines between disable and enable for the listed rule', () => {
+        const scope = scopeOf(code);
+        assert.equal(scope.isSuppressed(['disallow-console'], 1), false);
+        assert.equal(scope.isSuppressed(['disallow-console'], 3), true);
+        assert.equal(scope.isSuppressed(['disallow-console'], 5), false);
+        assert.equal(scope.isSuppressed(['autodoc'], 3), false);
+    });
+
+    test('matches sub-rules by prefix and also accepts the plugin name', () => {
+        const scope = scopeOf('// vrzaq-disable autodoc\nx();\n');
+        assert.equal(scope.isSuppressed(['autodoc/deprecated-call'], 2), true);
+        assert.equal(scope.isSuppressed(['other-rule', 'autodoc'], 2), true);
+        assert.equal(scope.isSuppressed(['autodocs'], 2), false);
+    });
+
+    test('an enable with other rules does not close the block', () => {
+        const scope = scopeOf('// vrzaq-disable a\nx();\n// vrzaq-enable b\ny();\n');
+        assert.equal(scope.isSuppressed(['a'], 4), true);
+    });
+
+    test('an enable without rules closes every open block', () => {
+        const scope = scopeOf('// vrzaq-disable a\n// vrzaq-disable b\nx();\n// vrzaq-enable\ny();\n');
+        assert.equal(scope.isSuppressed(['a'], 3), true);
+        assert.equal(scope.isSuppressed(['b'], 3), true);
+        assert.equal(scope.isSuppressed(['a'], 5), false);
+        assert.equal(scope.isSuppressed(['b'], 5), false);
+    });
+
+    test('an unclosed disable runs to the end of the file', () => {
+        const scope = scopeOf('x();\n/* vrzaq-disable */\ny();\nz();');
+        assert.equal(scope.isSuppressed(['anything'], 1), false);
+        assert.equal(scope.isSuppressed(['anything'], 4), true);
+    });
+
+    test('disable-file applies everywhere, including file-level checks without a line', () => {
+        const scope = scopeOf('x();\n// vrzaq-disable-file license-header\n');
+        assert.equal(scope.isSuppressed(['license-header']), true);
+        assert.equal(scope.isSuppressed(['license-header'], 1), true);
+        assert.equal(scope.isSuppressed(['other']), false);
+    });
+});
+
+describe('disable-next-line', () => {
+    test('applies to the line after a single-line comment only', () => {
+        const scope = scopeOf('// vrzaq-disable-next-line\nx();\ny();\n');
+        assert.equal(scope.isSuppressed(['rule'], 2), true);
+        assert.equal(scope.isSuppressed(['rule'], 3), false);
+    });
+
+    test('applies to the line after the end of a multi-line comment', () => {
+        const code = '/* vrzaq-disable-next-line\n   disallow-console */\nconsole.log(1);\nconsole.log(2);\n';
+        const scope = scopeOf(code);
+        assert.deepEqual(scope.directives[0].rules, ['disallow-console']);
+        assert.equal(scope.isSuppressed(['disallow-console'], 2), false);
+        assert.equal(scope.isSuppressed(['disallow-console'], 3), true);
+        assert.equal(scope.isSuppressed(['disallow-console'], 4), false);
+    });
+
+    test('checks offset ranges with an exclusive end', () => {
+        const code = 'a();\n// vrzaq-disable-next-line\nb();\nc();\n';
+        const scope = scopeOf(code);
+        const lineThree = code.indexOf('b();');
+        assert.equal(scope.isRangeSuppressed(['rule'], [lineThree, lineThree + 4]), true);
+        // Rentang yang berakhir tepat di awal baris 3 hanya menyentuh baris 2
+        assert.equal(scope.isRangeSuppressed(['rule'], [code.indexOf('//'), lineThree]), false);
+        assert.equal(scope.isRangeSuppressed(['rule'], [0, 4]), false);
+    });
+});
+
+describe('unused directives', () => {
+    test('reports directives that never suppressed anything, ignoring enable comments', () => {
+        const scope = scopeOf('// vrzaq-disable a\nx();\n// vrzaq-enable a\n// vrzaq-disable-next-line b\ny();\n');
+        scope.isSuppressed(['a'], 2);
+        assert.deepEqual(scope.getUnused().map(d => d.key), ['disable-next-line:b#0']);
+    });
+
+    test('keys stay stable when the content shifts between passes', () => {
+        const before = scopeOf('// vrzaq-disable-next-line a\nx();\n// vrzaq-disable-next-line a\ny();\n');
+        assert.deepEqual(before.directives.map(d => d.key), ['disable-next-line:a#0', 'disable-next-line:a#1']);
+        before.isSuppressed(['a'], 4);
+
+        // Pass berikutnya menambah baris di atas; penanda pemakaian dibagikan lewat `used`
+        const after = scopeOf('import z from "z";\n// vrzaq-disable-next-line a\nx();\n// vrzaq-disable-next-line a\ny();\n', before.used);
+        assert.deepEqual(after.getUnused().map(d => d.key), ['disable-next-line:a#0']);
+    });
+
+    test('falls back to scanning block comments without an AST', () => {
+        const scope = createSuppressionScope('a { color: red; }\n/* vrzaq-disable-next-line */\nb { }\n');
+        assert.equal(scope.isSuppressed(['rule'], 3), true);
+        assert.deepEqual(scope.getUnused(), []);
+    });
+});
+
+test('createLineLocator maps offsets to 1-based lines', () => {
+    const locate = createLineLocator('ab\ncd\n');
+    assert.deepEqual([0, 2, 3, 5, 6].map(locate), [1, 1, 2, 2, 3]);
+});
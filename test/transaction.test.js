@@ -0,0 +1,135 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// test/transaction.test.js
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import logger from '../logger.js';
+import { commitTransaction, abortTransaction, recoverTransaction } from '../transaction.js';
+import { stageTextFile } from '../text-file.js';
+
+logger.setLevels({ quiet: true });
+
+const TX = 'tx-test';
+let tmpDir;
+let journalPath;
+
+/** Membuat file asli beserta file stage berisi konten baru; mengembalikan entri transaksinya. */
+async function stage(name, original, updated) {
+    const file = path.join(tmpDir, name);
+    await fs.writeFile(file, original);
+    const stat = await fs.stat(file);
+    const { target, tempFile } = await stageTextFile(file, updated, { stat, transactionId: TX });
+    return { file: target, staged: tempFile, mtimeMs: stat.mtimeMs, size: stat.size };
+}
+
+const read = file => fs.readFile(file, 'utf8');
+const exists = file => fs.access(file).then(() => true, () => false);
+const leftovers = async () => (await fs.readdir(tmpDir)).filter(name => /\.vrzaq-(stage|orig)$/.test(name));
+
+/** Journal seperti yang ditinggalkan proses yang crash, lengkap dengan salinan asli (`.vrzaq-orig`). */
+async function writeCrashedJournal(status, entries) {
+    const journal = {
+        id: TX,
+        status,
+        createdAt: new Date().toISOString(),
+        entries: entries.map(entry => ({ ...entry, original: path.join(tmpDir, `.${path.basename(entry.file)}.${TX}.vrzaq-orig`) })),
+    };
+    for (const entry of journal.entries) await fs.link(entry.file, entry.original);
+    await fs.writeFile(journalPath, JSON.stringify(journal));
+    return journal;
+}
+
+beforeEach(async () => {
+    tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'vrzaq-tx-')));
+    journalPath = path.join(tmpDir, 'backups', 'transaction-journal.json');
+    await fs.mkdir(path.dirname(journalPath));
+});
+
+afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('commitTransaction', () => {
+    test('replaces every file and removes the journal and originals', async () => {
+        const entries = [await stage('a.js', 'a1', 'a2'), await stage('b.js', 'b1', 'b2')];
+        await commitTransaction({ id: TX, journalPath, entries });
+
+        assert.equal(await read(entries[0].file), 'a2');
+        assert.equal(await read(entries[1].file), 'b2');
+        assert.equal(await exists(journalPath), false);
+        assert.deepEqual(await leftovers(), []);
+    });
+
+    test('writes nothing when a file changed after it was read', async () => {
+        const entries = [await stage('a.js', 'a1', 'a2'), await stage('b.js', 'b1', 'b2')];
+        await fs.writeFile(entries[1].file, 'edited meanwhile');
+
+        await assert.rejects(commitTransaction({ id: TX, journalPath, entries }), { name: 'TransactionConflictError' });
+        assert.equal(await read(entries[0].file), 'a1');
+        assert.equal(await exists(journalPath), false);
+    });
+
+    test('rolls back files already renamed when a later rename fails', async () => {
+        const entries = [await stage('a.js', 'a1', 'a2'), await stage('b.js', 'b1', 'b2')];
+        await fs.rm(entries[1].staged);
+
+        await assert.rejects(commitTransaction({ id: TX, journalPath, entries }), { code: 'ENOENT' });
+        assert.equal(await read(entries[0].file), 'a1');
+        assert.equal(await read(entries[1].file), 'b1');
+        assert.equal(await exists(journalPath), false);
+        assert.deepEqual(await leftovers(), []);
+    });
+});
+
+test('abortTransaction removes stage files without touching the originals', async () => {
+    const entries = [await stage('a.js', 'a1', 'a2')];
+    await abortTransaction(entries);
+    assert.equal(await read(entries[0].file), 'a1');
+    assert.deepEqual(await leftovers(), []);
+});
+
+describe('recoverTransaction', () => {
+    test('returns null when no transaction was interrupted', async () => {
+        assert.equal(await recoverTransaction(journalPath), null);
+    });
+
+    test('rolls forward a transaction that passed the commit point', async () => {
+        const entries = [await stage('a.js', 'a1', 'a2'), await stage('b.js', 'b1', 'b2')];
+        await writeCrashedJournal('committing', entries);
+        // Crash setelah file pertama di-rename
+        await fs.rename(entries[0].staged, entries[0].file);
+
+        const recovered = await recoverTransaction(journalPath);
+        assert.deepEqual(recovered, { id: TX, action: 'rolled-forward', files: entries.map(entry => entry.file) });
+        assert.equal(await read(entries[0].file), 'a2');
+        assert.equal(await read(entries[1].file), 'b2');
+        assert.equal(await exists(journalPath), false);
+        assert.deepEqual(await leftovers(), []);
+    });
+
+    test('rolls back a transaction that had not reached the commit point', async () => {
+        const entries = [await stage('a.js', 'a1', 'a2'), await stage('b.js', 'b1', 'b2')];
+        await writeCrashedJournal('prepared', entries);
+
+        const recovered = await recoverTransaction(journalPath);
+        assert.equal(recovered.action, 'rolled-back');
+        assert.equal(await read(entries[0].file), 'a1');
+        assert.equal(await read(entries[1].file), 'b1');
+        assert.equal(await exists(journalPath), false);
+        assert.deepEqual(await leftovers(), []);
+    });
+
+    test('tolerates originals that were never created before the crash', async () => {
+        const entries = [await stage('a.js', 'a1', 'a2')];
+        const journal = await writeCrashedJournal('prepared', entries);
+        await fs.rm(journal.entries[0].original);
+
+        assert.equal((await recoverTransaction(journalPath)).action, 'rolled-back');
+        assert.equal(await read(entries[0].file), 'a1');
+        assert.deepEqual(await leftovers(), []);
+    });
+});
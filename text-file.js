@@ -0,0 +1,152 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// text-file.js (ENCODING-PRESERVING ATOMIC I/O EDITION)
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/** Byte order mark yang dikenali, dari yang paling panjang. */
+const BOMS = [
+    { encoding: 'utf8', bytes: [0xEF, 0xBB, 0xBF] },
+    { encoding: 'utf16le', bytes: [0xFF, 0xFE] },
+    { encoding: 'utf16be', bytes: [0xFE, 0xFF] },
+];
+
+/**
+ * Format penyimpanan sebuah file teks, dipakai untuk menulis ulang file dengan byte yang sama persis.
+ * @typedef {object} TextFormat
+ * @property {'utf8'|'utf16le'|'utf16be'|'latin1'} encoding
+ * @property {boolean} bom Apakah file diawali byte order mark.
+ */
+
+/**
+ * Mendeteksi encoding dari byte file: BOM menentukan encoding jika ada; tanpa BOM, file yang bukan
+ * UTF-8 valid dianggap Latin-1 (setiap byte valid, sehingga bisa ditulis ulang tanpa kehilangan data).
+ * @param {Buffer} buffer
+ * @returns {TextFormat}
+ */
+export function detectTextFormat(buffer) {
+    const bom = BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+    if (bom) return { encoding: bom.encoding, bom: true };
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return { encoding: 'utf8', bom: false };
+    } catch {
+        return { encoding: 'latin1', bom: false };
+    }
+}
+
+/**
+ * Mengubah byte file menjadi teks tanpa BOM.
+ * @param {Buffer} buffer
+ * @returns {{ content: string, format: TextFormat }}
+ */
+export function decodeText(buffer) {
+    const format = detectTextFormat(buffer);
+    let bytes = format.bom ? buffer.subarray(BOMS.find(b => b.encoding === format.encoding).bytes.length) : buffer;
+    if (format.encoding === 'utf16be') {
+        // Node tidak punya decoder UTF-16BE; tukar urutan byte lalu decode sebagai UTF-16LE
+        bytes = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2))).swap16();
+    }
+    return { content: bytes.toString(format.encoding === 'utf16be' ? 'utf16le' : format.encoding), format };
+}
+
+/**
+ * Kebalikan dari `decodeText`: mengubah teks menjadi byte dengan encoding dan BOM aslinya.
+ * @param {string} content
+ * @param {TextFormat} [format] Default UTF-8 tanpa BOM.
+ * @returns {Buffer}
+ */
+export function encodeText(content, format = { encoding: 'utf8', bom: false }) {
+    const { encoding, bom } = format;
+    let bytes = Buffer.from(content, encoding === 'utf16be' ? 'utf16le' : encoding);
+    if (encoding === 'utf16be') bytes = bytes.swap16();
+    return bom ? Buffer.concat([Buffer.from(BOMS.find(b => b.encoding === encoding).bytes), bytes]) : bytes;
+}
+
+/**
+ * Akhir baris yang paling sering dipakai dalam teks, dengan nama yang sama seperti opsi `endOfLine` Prettier.
+ * @param {string} content
+ * @returns {'lf'|'crlf'|'cr'|null} `null` jika teks tidak memiliki akhir baris.
+ */
+export function detectLineEnding(content) {
+    const counts = { lf: 0, crlf: 0, cr: 0 };
+    for (const [match] of content.matchAll(/\r\n|\r|\n/g)) {
+        counts[match === '\r\n' ? 'crlf' : match === '\r' ? 'cr' : 'lf']++;
+    }
+    const [eol, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? eol : null;
+}
+
+/**
+ * Membaca file teks beserta format penyimpanannya.
+ * @param {string} file
+ * @returns {Promise<{ content: string, format: TextFormat }>}
+ */
+export async function readTextFile(file) {
+    return decodeText(await fs.readFile(file));
+}
+
+/**
+ * Menulis konten ke file sementara di samping `file` (symlink diikuti) dengan mode dan pemilik file asli, lalu fsync.
+ * @param {string} file
+ * @param {string|Buffer} content Teks (di-encode sesuai `format`) atau byte yang ditulis apa adanya.
+ * @param {{ format?: TextFormat, stat?: import('fs').Stats, suffix: string }} options
+ * @returns {Promise<{ target: string, tempFile: string }>} `target` adalah path asli file setelah symlink di-resolve.
+ */
+async function writeSiblingFile(file, content, { format, stat, suffix }) {
+    const target = await fs.realpath(file).catch(() => file);
+    const tempFile = path.join(path.dirname(target), `.${path.basename(target)}.${suffix}`);
+    let handle;
+    try {
+        handle = await fs.open(tempFile, 'wx', stat ? stat.mode & 0o7777 : 0o666);
+        await handle.writeFile(Buffer.isBuffer(content) ? content : encodeText(content, format));
+        if (stat) {
+            // Mode saat `open` terpotong oleh umask; pemilik hanya bisa dipulihkan jika proses berhak
+            await handle.chmod(stat.mode & 0o7777);
+            await handle.chown(stat.uid, stat.gid).catch(() => {});
+        }
+        await handle.sync();
+        await handle.close();
+    } catch (err) {
+        await handle?.close().catch(() => {});
+        await fs.rm(tempFile, { force: true });
+        throw err;
+    }
+    return { target, tempFile };
+}
+
+/**
+ * Menulis file teks secara atomik: konten ditulis ke file sementara di direktori yang sama, di-fsync,
+ * lalu di-rename menggantikan file asli. Crash di tengah penulisan tidak pernah meninggalkan file setengah jadi.
+ * Symlink diikuti (yang diganti adalah file tujuannya), dan mode serta pemilik file asli dipertahankan.
+ * @param {string} file
+ * @param {string|Buffer} content Teks, atau byte yang ditulis apa adanya.
+ * @param {{ format?: TextFormat, stat?: import('fs').Stats }} [options] `stat` dari file asli (mode dan pemilik).
+ */
+export async function writeTextFileAtomic(file, content, { format, stat } = {}) {
+    const suffix = `${process.pid}-${crypto.randomBytes(4).toString('hex')}.vrzaq-tmp`;
+    const { target, tempFile } = await writeSiblingFile(file, content, { format, stat, suffix });
+    try {
+        await fs.rename(tempFile, target);
+    } catch (err) {
+        await fs.rm(tempFile, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * Menyiapkan (stage) konten baru sebuah file tanpa menggantinya: konten ditulis ke file `.vrzaq-stage`
+ * di samping file asli, siap di-rename saat transaksi di-commit (lihat transaction.js).
+ * Nama file stage unik per pemanggilan, sehingga percobaan ulang setelah timeout tidak bertabrakan
+ * dengan file stage milik percobaan sebelumnya yang mungkin masih berjalan.
+ * @param {string} file
+ * @param {string} content
+ * @param {{ format?: TextFormat, stat?: import('fs').Stats, transactionId: string }} options
+ * @returns {Promise<{ target: string, tempFile: string }>}
+ */
+export async function stageTextFile(file, content, { format, stat, transactionId }) {
+    const suffix = `${transactionId}-${crypto.randomBytes(4).toString('hex')}.vrzaq-stage`;
+    return writeSiblingFile(file, content, { format, stat, suffix });
+}
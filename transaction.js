@@ -0,0 +1,182 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// transaction.js (JOURNALED COMMIT EDITION)
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import { writeTextFileAtomic } from './text-file.js';
+
+/** Nama file journal di dalam `backupDir`. */
+const JOURNAL_FILE = 'transaction-journal.json';
+
+class TransactionConflictError extends Error { constructor(message) { super(message); this.name = 'TransactionConflictError'; } }
+
+/**
+ * Satu file dalam transaksi.
+ * @typedef {object} TransactionEntry
+ * @property {string} file Path file tujuan (symlink sudah di-resolve).
+ * @property {string} staged File `.vrzaq-stage` berisi konten baru.
+ * @property {number} mtimeMs mtime file asli saat dibaca, untuk mendeteksi perubahan sebelum commit.
+ * @property {number} size Ukuran file asli saat dibaca.
+ * @property {string} [original] Hard link (atau salinan) konten asli untuk rollback, diisi oleh `commitTransaction`.
+ * Path-nya sudah tercatat di journal sebelum link dibuat, sehingga recovery selalu bisa menemukannya.
+ */
+
+/**
+ * Lokasi journal transaksi.
+ * @param {{ backupDir: string }} config
+ * @returns {string}
+ */
+export function getJournalPath(config) {
+    return path.join(config.backupDir, JOURNAL_FILE);
+}
+
+/**
+ * Menulis journal secara atomik dan durable; status journal adalah titik keputusan saat recovery.
+ */
+async function writeJournal(journalPath, journal) {
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await writeTextFileAtomic(journalPath, JSON.stringify(journal, null, 2));
+}
+
+async function readJournal(journalPath) {
+    try {
+        return JSON.parse(await fs.readFile(journalPath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new Error(`Transaction journal ${journalPath} is unreadable: ${err.message}`);
+    }
+}
+
+async function exists(file) {
+    return fs.access(file).then(() => true, () => false);
+}
+
+/**
+ * Menyimpan konten asli file di `entry.original`. Hard link tidak menyalin data; setelah rename,
+ * inode lama tetap hidup lewat link ini. Sistem file tanpa dukungan hard link memakai salinan.
+ */
+async function preserveOriginal(entry) {
+    await fs.rm(entry.original, { force: true });
+    await fs.link(entry.file, entry.original).catch(() => fs.copyFile(entry.file, entry.original));
+}
+
+/**
+ * Mengembalikan semua file ke kondisi sebelum transaksi: file yang sudah diganti dipulihkan dari salinan aslinya,
+ * file stage dan salinan asli dihapus, lalu journal dibuang.
+ * @param {{ entries: TransactionEntry[] }} journal
+ * @param {string} [journalPath]
+ */
+async function rollBack(journal, journalPath) {
+    for (const entry of journal.entries) {
+        // File stage yang sudah hilang berarti rename-nya sudah terjadi
+        if (!(await exists(entry.staged)) && await exists(entry.original)) {
+            await fs.rename(entry.original, entry.file);
+            // Jika rename file ini sendiri gagal, keduanya masih hard link ke inode yang sama dan rename tidak berbuat apa-apa
+            await fs.rm(entry.original, { force: true });
+        } else {
+            await fs.rm(entry.staged, { force: true });
+            await fs.rm(entry.original, { force: true });
+        }
+    }
+    if (journalPath) await fs.rm(journalPath, { force: true });
+}
+
+/**
+ * Menyelesaikan commit: file stage yang tersisa di-rename ke tujuannya, lalu salinan asli dan journal dihapus.
+ * @param {{ entries: TransactionEntry[] }} journal
+ * @param {string} journalPath
+ */
+async function rollForward(journal, journalPath) {
+    for (const entry of journal.entries) {
+        if (await exists(entry.staged)) await fs.rename(entry.staged, entry.file);
+    }
+    for (const entry of journal.entries) {
+        await fs.rm(entry.original, { force: true });
+    }
+    await fs.rm(journalPath, { force: true });
+}
+
+/**
+ * Meng-commit sekumpulan file stage sebagai satu kesatuan.
+ * 1. Setiap file dicek belum berubah sejak dibaca (mtime dan ukuran); jika ada yang berubah, tidak ada yang ditulis.
+ * 2. Journal berstatus `prepared` ditulis, lalu konten asli setiap file disimpan di sampingnya.
+ * 3. Journal berstatus `committing` ditulis; inilah titik commit.
+ * 4. Setiap file stage di-rename ke tujuannya. Jika satu rename gagal, semua file dikembalikan.
+ * 5. Salinan asli dan journal dihapus.
+ * @param {{ id: string, journalPath: string, entries: TransactionEntry[] }} transaction
+ * @throws {TransactionConflictError} Jika file berubah setelah dibaca.
+ */
+export async function commitTransaction({ id, journalPath, entries }) {
+    for (const entry of entries) {
+        const stat = await fs.stat(entry.file).catch(() => null);
+        if (!stat || stat.mtimeMs !== entry.mtimeMs || stat.size !== entry.size) {
+            throw new TransactionConflictError(`${entry.file} was modified during the run; nothing was written.`);
+        }
+    }
+
+    const journal = {
+        id,
+        status: 'prepared',
+        createdAt: new Date().toISOString(),
+        entries: entries.map(entry => ({
+            ...entry,
+            original: path.join(path.dirname(entry.file), `.${path.basename(entry.file)}.${id}.vrzaq-orig`),
+        })),
+    };
+    try {
+        await writeJournal(journalPath, journal);
+        for (const entry of journal.entries) {
+            await preserveOriginal(entry);
+        }
+        journal.status = 'committing';
+        await writeJournal(journalPath, journal);
+    } catch (err) {
+        await rollBack(journal, journalPath);
+        throw err;
+    }
+
+    try {
+        for (const entry of journal.entries) {
+            await fs.rename(entry.staged, entry.file);
+        }
+    } catch (err) {
+        logger.error(`Transaction ${id} failed while committing; restoring original files.`, err);
+        await rollBack(journal, journalPath);
+        throw err;
+    }
+
+    for (const entry of journal.entries) {
+        await fs.rm(entry.original, { force: true });
+    }
+    await fs.rm(journalPath, { force: true });
+}
+
+/**
+ * Membuang semua file stage tanpa menyentuh file asli (transaksi dibatalkan sebelum commit).
+ * @param {TransactionEntry[]} entries
+ */
+export async function abortTransaction(entries) {
+    await Promise.all(entries.map(entry => fs.rm(entry.staged, { force: true })));
+}
+
+/**
+ * Memulihkan transaksi yang terputus (misalnya karena crash) dari journal-nya, dipanggil saat vrzaq mulai.
+ * Transaksi yang sudah melewati titik commit (`committing`) diselesaikan (roll forward): file stage yang tersisa
+ * di-rename ke tujuannya. Transaksi yang belum mencapai titik commit dikembalikan ke kondisi asli (roll back).
+ * @param {string} journalPath
+ * @returns {Promise<{ id: string, action: 'rolled-forward'|'rolled-back', files: string[] } | null>} `null` jika tidak ada transaksi terputus.
+ */
+export async function recoverTransaction(journalPath) {
+    const journal = await readJournal(journalPath);
+    if (!journal) return null;
+
+    const files = journal.entries.map(entry => entry.file);
+    if (journal.status === 'committing') {
+        await rollForward(journal, journalPath);
+        return { id: journal.id, action: 'rolled-forward', files };
+    }
+    await rollBack(journal, journalPath);
+    return { id: journal.id, action: 'rolled-back', files };
+}
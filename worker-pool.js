@@ -0,0 +1,157 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// worker-pool.js (MULTI-CORE PROCESSING EDITION)
+import { Worker } from 'worker_threads';
+import logger from './logger.js';
+
+/** Penanda pada payload event yang diteruskan dari worker ke emitter main thread. */
+export const FORWARDED_EVENT = Symbol.for('vrzaq.forwardedEvent');
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+/**
+ * WorkerPool Class
+ * Sekumpulan worker_threads yang masing-masing memuat config dan plugin sekali,
+ * lalu memproses file yang dikirim kepadanya satu per satu.
+ * Event dari worker diteruskan ke emitter main thread; hasil per file dikembalikan ke pemanggil.
+ */
+export class WorkerPool {
+    /**
+     * @param {{ size: number, emitter: import('events').EventEmitter }} options
+     */
+    constructor({ size, emitter }) {
+        this.size = size;
+        this.emitter = emitter;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.parserStats = new Map();
+        this.nextTaskId = 1;
+        this.terminating = false;
+    }
+
+    /**
+     * Menjalankan semua worker dan menunggu sampai masing-masing selesai memuat config dan plugin.
+     */
+    async start() {
+        await Promise.all(Array.from({ length: this.size }, () => this._spawn()));
+    }
+
+    /**
+     * Mengirim satu tugas ke worker yang menganggur (atau mengantrikannya).
+     * @param {{ file: string, dryRun?: boolean, cacheEntry?: object }} task
+     * @returns {Promise<object>} Record hasil `processFile` dari worker.
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextTaskId++, task, resolve, reject });
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Statistik parser gabungan dari semua worker.
+     * @returns {{ parsed: number, hits: number, cached: number }}
+     */
+    getParserStats() {
+        const total = { parsed: 0, hits: 0, cached: 0 };
+        for (const stats of this.parserStats.values()) {
+            total.parsed += stats.parsed;
+            total.hits += stats.hits;
+            total.cached += stats.cached;
+        }
+        return total;
+    }
+
+    /**
+     * Menghentikan semua worker. Tugas yang belum selesai ditolak.
+     */
+    async terminate() {
+        this.terminating = true;
+        const pending = [...this.queue, ...this.workers.map(w => w.current).filter(Boolean)];
+        this.queue = [];
+        pending.forEach(job => job.reject(new Error('Worker pool terminated')));
+        await Promise.all(this.workers.map(({ worker }) => worker.terminate()));
+        this.workers = [];
+        this.idle = [];
+    }
+
+    _spawn() {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(WORKER_URL, { workerData: { logLevels: logger.getLevels(), logOutput: logger.getOutput() } });
+            const slot = { worker, current: null, ready: false };
+            this.workers.push(slot);
+
+            worker.on('message', (message) => {
+                switch (message.type) {
+                    case 'ready':
+                        slot.ready = true;
+                        // Worker menganggur tidak boleh menahan proses tetap hidup
+                        worker.unref();
+                        this.idle.push(slot);
+                        this._dispatch();
+                        resolve();
+                        break;
+                    case 'init-error':
+                        reject(message.error);
+                        break;
+                    case 'event':
+                        this._forwardEvent(message.event, message.payload);
+                        break;
+                    case 'result':
+                        this._finish(slot, (job) => {
+                            this.parserStats.set(worker.threadId, message.parserStats);
+                            job.resolve(message.record);
+                        });
+                        break;
+                }
+            });
+
+            worker.on('error', (err) => {
+                if (!slot.ready) return reject(err);
+                logger.error(`Worker ${worker.threadId} crashed.`, err);
+                this._finish(slot, (job) => job.reject(err), false);
+            });
+
+            worker.on('exit', (code) => {
+                this.workers = this.workers.filter(w => w !== slot);
+                this.idle = this.idle.filter(w => w !== slot);
+                if (!slot.ready) return reject(new Error(`Worker exited during startup (code ${code})`));
+                if (slot.current) this._finish(slot, (job) => job.reject(new Error(`Worker exited unexpectedly (code ${code})`)), false);
+                // Ganti worker yang mati agar kapasitas pool tetap
+                if (!this.terminating) {
+                    this._spawn().catch(err => logger.error('Failed to respawn worker.', err));
+                }
+            });
+        });
+    }
+
+    _dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const slot = this.idle.shift();
+            const job = this.queue.shift();
+            slot.current = job;
+            slot.worker.ref();
+            slot.worker.postMessage({ type: 'task', id: job.id, task: job.task });
+        }
+    }
+
+    _finish(slot, settle, reusable = true) {
+        const job = slot.current;
+        slot.current = null;
+        slot.worker.unref();
+        if (job) settle(job);
+        if (reusable && !this.terminating) {
+            this.idle.push(slot);
+            this._dispatch();
+        }
+    }
+
+    _forwardEvent(event, payload) {
+        if (payload && typeof payload === 'object') {
+            Object.defineProperty(payload, FORWARDED_EVENT, { value: true });
+        }
+        this.emitter.emit(event, payload);
+    }
+}
@@ -0,0 +1,77 @@
+// In memory of Dr. Arifi Razzaq - The Bootstrap Loader
+// Saweria: https://saweria.co/arzzq
+
+// worker.js (WORKER THREAD ENTRY EDITION)
+import { parentPort, workerData } from 'worker_threads';
+import { EventEmitter } from 'events';
+import { loadConfig } from './config.js';
+import logger from './logger.js';
+import * as Core from './core.js';
+import { getParserStats } from './parser.js';
+
+const emitter = new EventEmitter();
+let activeTaskId = null;
+
+/**
+ * Menyalin payload event menjadi objek yang bisa dikirim lewat `postMessage`:
+ * getter (misalnya `ast`), fungsi, dan `config` dibuang.
+ * @param {*} payload Payload event.
+ * @returns {*}
+ */
+function toMessagePayload(payload) {
+    if (!payload || typeof payload !== 'object' || payload instanceof Error || Array.isArray(payload)) {
+        return payload;
+    }
+    const plain = {};
+    for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(payload))) {
+        if (!descriptor.enumerable || descriptor.get || typeof descriptor.value === 'function' || key === 'config') continue;
+        plain[key] = descriptor.value;
+    }
+    return plain;
+}
+
+/**
+ * Mengirim pesan ke main thread. Jika payload tidak bisa di-clone (misalnya berisi fungsi bersarang),
+ * kirim ulang versi JSON-nya.
+ * @param {object} message
+ */
+function post(message) {
+    try {
+        parentPort.postMessage(message);
+    } catch (err) {
+        if (err.name !== 'DataCloneError') throw err;
+        parentPort.postMessage(JSON.parse(JSON.stringify(message, (key, value) => (typeof value === 'function' ? undefined : value))));
+    }
+}
+
+// Semua event yang terjadi selama sebuah tugas diteruskan ke emitter main thread
+const emit = emitter.emit.bind(emitter);
+emitter.emit = (event, payload, ...rest) => {
+    if (activeTaskId !== null) {
+        post({ type: 'event', id: activeTaskId, event, payload: toMessagePayload(payload) });
+    }
+    return emit(event, payload, ...rest);
+};
+
+parentPort.on('message', async (message) => {
+    if (message.type !== 'task') return;
+    activeTaskId = message.id;
+    try {
+        const record = await Core.processFile(message.task);
+        post({ type: 'result', id: message.id, record, parserStats: getParserStats() });
+    } finally {
+        activeTaskId = null;
+    }
+});
+
+try {
+    // Log pemuatan config dan plugin sudah ditampilkan oleh main thread
+    logger.setOutput(workerData.logOutput);
+    logger.setLevels({ quiet: true });
+    const config = await loadConfig();
+    await Core.initialize(config, emitter, { role: 'worker' });
+    logger.setLevels(workerData.logLevels);
+    parentPort.postMessage({ type: 'ready' });
+} catch (error) {
+    parentPort.postMessage({ type: 'init-error', error });
+}